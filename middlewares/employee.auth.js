@@ -1,19 +1,19 @@
-const jwt = require("jsonwebtoken");
+const { verifyAccessToken } = require("./token.verify");
+const { denyApiKeys } = require("./permission");
 
-// Basic authentication middleware for all employees
+// Basic authentication middleware for all employees (personal sessions, not API keys)
 const authenticateEmployee = (req, res, next) => {
   const token = req.headers["authorization"]?.split(" ")[1];
   if (!token) return res.status(401).json({ success: false, message: "Access token required" });
 
-  jwt.verify(
+  verifyAccessToken(
     token,
-    process.env.JWT_SECRET || "your-secret-key",
     (err, employee) => {
       if (err)
         return res.status(403).json({ success: false, message: "Invalid or expired token" });
       
       req.employee = employee;
-      next();
+      denyApiKeys(req, res, next);
     }
   );
 };
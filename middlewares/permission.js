@@ -0,0 +1,68 @@
+const { verifyAccessToken } = require("./token.verify");
+
+// Permission based access control for all routes.
+// The registered resolver (services/permissions.service.js) maps an authenticated
+// employee to the set of permission names their role grants; requirePermission()
+// authenticates the request if no earlier middleware did and checks the set.
+let permissionResolver = null;
+
+const setPermissionResolver = (resolver) => {
+  permissionResolver = resolver;
+};
+
+// Permissions of the request's employee, resolved once per request
+const getPermissions = async (req) => {
+  if (!permissionResolver) throw new Error("No permission resolver registered");
+  if (!req.permissions) req.permissions = await permissionResolver(req.employee);
+  return req.permissions;
+};
+
+const hasPermission = async (req, name) => (await getPermissions(req)).has(name);
+
+// requirePermission('reports.read.company') or requirePermission(['a', 'b']) for
+// "any of"; options.message replaces the default 403 message
+const requirePermission = (required, { message = "Access denied" } = {}) => {
+  const names = Array.isArray(required) ? required : [required];
+
+  const check = (req, res, next) => {
+    getPermissions(req)
+      .then((permissions) => {
+        if (!names.some((name) => permissions.has(name))) {
+          return res.status(403).json({ success: false, message });
+        }
+        next();
+      })
+      .catch((err) => {
+        // Fail closed
+        console.error("Permission check failed:", err.message);
+        res.status(500).json({ success: false, message: "Server error" });
+      });
+  };
+
+  return (req, res, next) => {
+    if (req.employee) return check(req, res, next);
+
+    const token = req.headers["authorization"]?.split(" ")[1];
+    if (!token) return res.status(401).json({ success: false, message: "Access token required" });
+
+    verifyAccessToken(
+      token,
+      (err, employee) => {
+        if (err)
+          return res.status(403).json({ success: false, message: "Invalid or expired token" });
+        req.employee = employee;
+        check(req, res, next);
+      }
+    );
+  };
+};
+
+// For endpoints about the caller's own account, which API keys do not have
+const denyApiKeys = (req, res, next) => {
+  if (req.employee && req.employee.apiKeyId) {
+    return res.status(403).json({ success: false, message: "API keys cannot be used for this endpoint" });
+  }
+  next();
+};
+
+module.exports = { requirePermission, hasPermission, getPermissions, setPermissionResolver, denyApiKeys };
@@ -0,0 +1,70 @@
+const jwt = require("jsonwebtoken");
+
+// Shared access token verification for all auth middlewares.
+// Besides the JWT signature and expiry it rejects purpose tokens (password reset,
+// invitation) and asks the registered revocation check (see
+// services/sessions.service.js) whether the token was revoked.
+// API keys (nxk_...) are handed to the registered key verifier (see
+// services/apiKeys.service.js) instead.
+let revocationCheck = null;
+let apiKeyVerifier = null;
+
+const setRevocationCheck = (check) => {
+  revocationCheck = check;
+};
+
+const setApiKeyVerifier = (verifier) => {
+  apiKeyVerifier = verifier;
+};
+
+const verifyApiKey = (token, callback) => {
+  if (!apiKeyVerifier) {
+    const keyErr = new Error("API keys are not enabled");
+    keyErr.name = "JsonWebTokenError";
+    return callback(keyErr);
+  }
+  apiKeyVerifier(token)
+    .then((principal) => {
+      if (!principal) {
+        const keyErr = new Error("Invalid, expired or revoked API key");
+        keyErr.name = "JsonWebTokenError";
+        return callback(keyErr);
+      }
+      callback(null, principal);
+    })
+    .catch((checkErr) => {
+      console.error("API key check failed:", checkErr.message);
+      callback(checkErr);
+    });
+};
+
+// callback(err, payload) like jwt.verify
+const verifyAccessToken = (token, callback) => {
+  if (typeof token === "string" && token.startsWith("nxk_")) return verifyApiKey(token, callback);
+  jwt.verify(token, process.env.JWT_SECRET || "your-secret-key", (err, payload) => {
+    if (err) return callback(err);
+    // Reset and invitation tokens carry a purpose and are not sessions
+    if (payload.purpose) {
+      const purposeErr = new Error(`Token with purpose "${payload.purpose}" cannot be used for authentication`);
+      purposeErr.name = "JsonWebTokenError";
+      return callback(purposeErr);
+    }
+    if (!revocationCheck) return callback(null, payload);
+    revocationCheck(payload)
+      .then((revoked) => {
+        if (revoked) {
+          const revokedErr = new Error("Token has been revoked");
+          revokedErr.name = "TokenRevokedError";
+          return callback(revokedErr);
+        }
+        callback(null, payload);
+      })
+      .catch((checkErr) => {
+        // Fail closed: a token we cannot check is not accepted
+        console.error("Token revocation check failed:", checkErr.message);
+        callback(checkErr);
+      });
+  });
+};
+
+module.exports = { verifyAccessToken, setRevocationCheck, setApiKeyVerifier };
@@ -1,8 +1,19 @@
 const express = require('express');
 const archiver = require('archiver');
+const { requirePermission } = require('../middlewares/permission');
+
+// Company report CSV row for a company below its minimum group size: no report data
+const suppressedReportRow = (companyId, companyName, row) => [
+  companyId,
+  companyName,
+  ...Array(16).fill(''),
+  row.created_at || '',
+  row.is_filled || 0,
+  'yes',
+];
 
 // Admin feedback routes
-module.exports = (pool) => {
+module.exports = (pool, cycles, trends, anonymity) => {
   const router = express.Router();
 
   // GET /company/:company/feedback - fetch HR feedback for a company
@@ -83,24 +94,27 @@ module.exports = (pool) => {
       // Pipe master archive to response
       masterArchive.pipe(res);
 
-      // Get all companies with complete data in ONE query
-      const [companies] = await pool.execute(`
-        SELECT DISTINCT 
-          c.company_id, 
-          c.company_name,
-          (SELECT COUNT(*) FROM employees WHERE company_id = c.company_id AND role != 'HR') as total_employees,
-          (SELECT COUNT(*) FROM employees WHERE company_id = c.company_id AND role != 'HR' AND COALESCE(is_filled, 0) = 1) as filled_employees,
-          (SELECT COUNT(*) FROM responses_langchain_sentiment 
-           WHERE employeesID IN (SELECT employeesID FROM employees WHERE company_id = c.company_id AND role != 'HR')) as reports_count,
-          (SELECT COUNT(*) FROM company_reports_sentiment WHERE company_id = c.company_id AND COALESCE(is_filled, 0) = 1) as has_company_report
+      // Get all companies whose current survey cycle has complete data
+      const [candidates] = await pool.execute(`
+        SELECT c.company_id, c.company_name
         FROM companies c
-        WHERE EXISTS (SELECT 1 FROM employees WHERE company_id = c.company_id)
-        HAVING total_employees > 0 
-          AND total_employees = filled_employees 
-          AND total_employees = reports_count 
-          AND has_company_report > 0
+        WHERE EXISTS (SELECT 1 FROM employees WHERE company_id = c.company_id AND role != 'HR')
         ORDER BY c.company_name
       `);
+      const companies = [];
+      for (const candidate of candidates) {
+        const cycle = await cycles.getCurrentCycle(candidate.company_id);
+        if (!cycle) continue;
+        const completion = await cycles.getCompletion(candidate.company_id, cycle.cycle_id);
+        if (!completion.every(e => e.is_filled)) continue;
+        if (!completion.every(e => e.has_report)) continue;
+        const [[counts]] = await pool.execute(`
+          SELECT
+            (SELECT COUNT(*) FROM company_reports_sentiment WHERE company_id = ? AND cycle_id = ? AND COALESCE(is_filled, 0) = 1) as has_company_report
+        `, [candidate.company_id, cycle.cycle_id]);
+        if (!Number(counts.has_company_report)) continue;
+        companies.push({ ...candidate, cycle_id: cycle.cycle_id, respondents: completion.length });
+      }
 
       console.log(`Found ${companies.length} companies with complete data`);
 
@@ -125,9 +139,12 @@ module.exports = (pool) => {
 
       // Process each company
       for (const company of companies) {
-        const { company_id: companyId, company_name: companyName } = company;
+        const { company_id: companyId, company_name: companyName, cycle_id: cycleId } = company;
         console.log(`Processing ${companyName}...`);
 
+        // Companies below their minimum group size get no per-employee files either
+        const suppressed = (await anonymity.guardFor(companyId)).isTooSmall(company.respondents);
+
         // ===== CSV 1: Employee Responses Matrix =====
         const [employees] = await pool.execute(
           'SELECT employeesID, name FROM employees WHERE company_id = ? AND role != ? ORDER BY employeesID',
@@ -146,9 +163,9 @@ module.exports = (pool) => {
           FROM Responses_Sentiment rs
           JOIN FormQuestions_Sentiment fq ON rs.form_question_id = fq.form_question_id
           JOIN MasterQuestions_Sentiment mq ON fq.master_question_id = mq.master_question_id
-          WHERE rs.employeesID IN (${employeeIds.map(() => '?').join(',')})
+          WHERE rs.cycle_id = ? AND rs.employeesID IN (${employeeIds.map(() => '?').join(',')})
           ORDER BY rs.employeesID, mq.question_number
-        `, employeeIds);
+        `, [cycleId, ...employeeIds]);
 
         // Group responses by employee
         const responsesByEmployee = {};
@@ -191,7 +208,7 @@ module.exports = (pool) => {
         }
 
         // Add to master ZIP directly (no intermediate ZIP)
-        masterArchive.append(responseMatrix.join('\n'), { 
+        if (!suppressed) masterArchive.append(responseMatrix.join('\n'), { 
           name: `${companyName}/${companyName}_responses_sentiment_matrix.csv` 
         });
 
@@ -205,9 +222,9 @@ module.exports = (pool) => {
             attrition_factor_3, attrition_problem_3, retention_strategy_3,
             created_at
           FROM responses_langchain_sentiment
-          WHERE employeesID IN (${employeeIds.map(() => '?').join(',')})
+          WHERE cycle_id = ? AND employeesID IN (${employeeIds.map(() => '?').join(',')})
           ORDER BY employeesID
-        `, employeeIds);
+        `, [cycleId, ...employeeIds]);
 
         const langchainCSV = [];
         langchainCSV.push([
@@ -244,7 +261,7 @@ module.exports = (pool) => {
           langchainCSV.push(csvRow.join(','));
         });
 
-        masterArchive.append(langchainCSV.join('\n'), { 
+        if (!suppressed) masterArchive.append(langchainCSV.join('\n'), { 
           name: `${companyName}/${companyName}_responses_langchain_sentiment.csv` 
         });
 
@@ -260,15 +277,16 @@ module.exports = (pool) => {
             attrition_factor_3, attrition_problem_3, retention_strategy_3,
             created_at, is_filled
           FROM company_reports_sentiment
-          WHERE company_id = ?
+          WHERE company_id = ? AND cycle_id = ?
           ORDER BY created_at DESC
           LIMIT 1
-        `, [companyId]);
+        `, [companyId, cycleId]);
 
         if (companyReport.length > 0) {
           allCompanyReports.push({
             ...companyReport[0],
-            company_name: companyName
+            company_name: companyName,
+            suppressed,
           });
         }
 
@@ -326,10 +344,14 @@ module.exports = (pool) => {
         'Attrition Factor 1', 'Attrition Problem 1', 'Retention Strategy 1',
         'Attrition Factor 2', 'Attrition Problem 2', 'Retention Strategy 2',
         'Attrition Factor 3', 'Attrition Problem 3', 'Retention Strategy 3',
-        'Created At', 'Is Filled'
+        'Created At', 'Is Filled', 'Suppressed'
       ].join(','));
 
       allCompanyReports.forEach(row => {
+        if (row.suppressed) {
+          companyReportsCSV.push(suppressedReportRow(row.company_id, row.company_name, row).join(','));
+          return;
+        }
         const csvRow = [
           row.company_id,
           row.company_name,
@@ -350,7 +372,8 @@ module.exports = (pool) => {
           `"${(row.attrition_problem_3 || '').replace(/"/g, '""')}"`,
           `"${(row.retention_strategy_3 || '').replace(/"/g, '""')}"`,
           row.created_at || '',
-          row.is_filled || 0
+          row.is_filled || 0,
+          'no'
         ];
         companyReportsCSV.push(csvRow.join(','));
       });
@@ -390,6 +413,7 @@ module.exports = (pool) => {
   });
 
   // GET /download/reports - Download all company reports as ZIP with CSV files
+  // Uses the current survey cycle, or ?cycleId= for an earlier one.
   // Only works if all employees have filled forms and generated reports
   router.get('/download/reports', async (req, res) => {
     try {
@@ -418,11 +442,14 @@ module.exports = (pool) => {
       );
       const companyName = companyRows.length ? companyRows[0].company_name : `company_${companyId}`;
 
+      const cycle = await cycles.resolveCycle(companyId, req.query.cycleId);
+      if (!cycle) {
+        return res.status(404).json({ success: false, message: 'Survey cycle not found' });
+      }
+      const cycleId = cycle.cycle_id;
+
       // ===== VALIDATION: Check if all employees have filled forms and generated reports =====
-      const [validationEmployees] = await pool.execute(
-        'SELECT employeesID, COALESCE(is_filled, 0) as is_filled FROM employees WHERE company_id = ? AND role != ?',
-        [companyId, 'HR']
-      );
+      const validationEmployees = await cycles.getCompletion(companyId, cycleId);
 
       if (validationEmployees.length === 0) {
         return res.status(404).json({ success: false, message: 'No employees found for this company' });
@@ -439,23 +466,18 @@ module.exports = (pool) => {
       }
 
       // Check if all employees have generated reports (langchain sentiment)
-      const [reportCounts] = await pool.execute(`
-        SELECT COUNT(*) as count 
-        FROM responses_langchain_sentiment 
-        WHERE employeesID IN (SELECT employeesID FROM employees WHERE company_id = ? AND role != ?)
-      `, [companyId, 'HR']);
-
-      if (reportCounts[0].count !== validationEmployees.length) {
+      const reportCount = validationEmployees.filter(emp => emp.has_report === 1).length;
+      if (reportCount !== validationEmployees.length) {
         return res.status(409).json({ 
           success: false, 
-          message: `Not all employee reports have been generated. ${reportCounts[0].count}/${validationEmployees.length} reports available.` 
+          message: `Not all employee reports have been generated. ${reportCount}/${validationEmployees.length} reports available.` 
         });
       }
 
       // Check if company report exists
       const [companyReportCheck] = await pool.execute(
-        'SELECT 1 FROM company_reports_sentiment WHERE company_id = ? AND COALESCE(is_filled, 0) = 1 LIMIT 1',
-        [companyId]
+        'SELECT 1 FROM company_reports_sentiment WHERE company_id = ? AND cycle_id = ? AND COALESCE(is_filled, 0) = 1 LIMIT 1',
+        [companyId, cycleId]
       );
 
       if (companyReportCheck.length === 0) {
@@ -480,6 +502,9 @@ module.exports = (pool) => {
       // Pipe archive to response
       archive.pipe(res);
 
+      // Companies below their minimum group size get no per-employee files either
+      const suppressed = (await anonymity.guardFor(companyId)).isTooSmall(validationEmployees.length);
+
       // ===== CSV 1: Employee Responses Matrix (Questions as columns, Employees as rows) =====
       const [questions] = await pool.execute(`
         SELECT mq.question_number, fq.question_text, mq.question_type, mq.options_questions
@@ -505,9 +530,9 @@ module.exports = (pool) => {
           FROM Responses_Sentiment rs
           JOIN FormQuestions_Sentiment fq ON rs.form_question_id = fq.form_question_id
           JOIN MasterQuestions_Sentiment mq ON fq.master_question_id = mq.master_question_id
-          WHERE rs.employeesID = ?
+          WHERE rs.employeesID = ? AND rs.cycle_id = ?
           ORDER BY mq.question_number
-        `, [emp.employeesID]);
+        `, [emp.employeesID, cycleId]);
 
         const answerMap = {};
         responses.forEach(r => {
@@ -547,7 +572,7 @@ module.exports = (pool) => {
         responseMatrix.push(row.join(','));
       }
 
-      archive.append(responseMatrix.join('\n'), { name: 'responses_sentiment_matrix.csv' });
+      if (!suppressed) archive.append(responseMatrix.join('\n'), { name: 'responses_sentiment_matrix.csv' });
 
       // ===== CSV 2: LangChain Sentiment Analysis for Each Employee =====
       const [langchainData] = await pool.execute(`
@@ -559,9 +584,9 @@ module.exports = (pool) => {
           attrition_factor_3, attrition_problem_3, retention_strategy_3,
           created_at
         FROM responses_langchain_sentiment
-        WHERE employeesID IN (SELECT employeesID FROM employees WHERE company_id = ?)
+        WHERE cycle_id = ? AND employeesID IN (SELECT employeesID FROM employees WHERE company_id = ?)
         ORDER BY employeesID
-      `, [companyId]);
+      `, [cycleId, companyId]);
 
       const langchainCSV = [];
       if (langchainData.length > 0) {
@@ -602,7 +627,7 @@ module.exports = (pool) => {
         });
       }
 
-      archive.append(langchainCSV.join('\n'), { name: 'responses_langchain_sentiment.csv' });
+      if (!suppressed) archive.append(langchainCSV.join('\n'), { name: 'responses_langchain_sentiment.csv' });
 
       // ===== CSV 3: Company Report =====
       const [companyReport] = await pool.execute(`
@@ -614,10 +639,10 @@ module.exports = (pool) => {
           attrition_factor_3, attrition_problem_3, retention_strategy_3,
           created_at, is_filled
         FROM company_reports_sentiment
-        WHERE company_id = ?
+        WHERE company_id = ? AND cycle_id = ?
         ORDER BY created_at DESC
         LIMIT 1
-      `, [companyId]);
+      `, [companyId, cycleId]);
 
       const companyReportCSV = [];
       companyReportCSV.push([
@@ -626,10 +651,12 @@ module.exports = (pool) => {
         'Attrition Factor 1', 'Attrition Problem 1', 'Retention Strategy 1',
         'Attrition Factor 2', 'Attrition Problem 2', 'Retention Strategy 2',
         'Attrition Factor 3', 'Attrition Problem 3', 'Retention Strategy 3',
-        'Created At', 'Is Filled'
+        'Created At', 'Is Filled', 'Suppressed'
       ].join(','));
 
-      if (companyReport.length > 0) {
+      if (companyReport.length > 0 && suppressed) {
+        companyReportCSV.push(suppressedReportRow(companyId, companyName, companyReport[0]).join(','));
+      } else if (companyReport.length > 0) {
         const row = companyReport[0];
         const csvRow = [
           row.company_id,
@@ -651,7 +678,8 @@ module.exports = (pool) => {
           `"${(row.attrition_problem_3 || '').replace(/"/g, '""')}"`,
           `"${(row.retention_strategy_3 || '').replace(/"/g, '""')}"`,
           row.created_at || '',
-          row.is_filled || 0
+          row.is_filled || 0,
+          'no'
         ];
         companyReportCSV.push(csvRow.join(','));
       }
@@ -670,9 +698,9 @@ module.exports = (pool) => {
   });
 
   // POST /company/:company/reset - Reset company data after downloading reports
-  // Clears: Responses_Sentiment, responses_langchain_sentiment, company_reports_sentiment
+  // Clears: Responses_Sentiment, survey_submissions, responses_langchain_sentiment, company_reports_sentiment
   // Resets is_filled flag for all employees
-  router.post('/company/:company/reset', async (req, res) => {
+  router.post('/company/:company/reset', requirePermission('company.reset'), async (req, res) => {
     const connection = await pool.getConnection();
     try {
       const companyParam = req.params.company;
@@ -723,11 +751,26 @@ module.exports = (pool) => {
         employeeIds
       );
 
+      // Delete the submission records so the survey can be submitted again
+      await connection.execute(
+        `DELETE FROM survey_submissions WHERE employeesID IN (${employeeIds.map(() => '?').join(',')})`,
+        employeeIds
+      );
+
       // Delete from responses_langchain_sentiment
       const [langchainResult] = await connection.execute(
         `DELETE FROM responses_langchain_sentiment WHERE employeesID IN (${employeeIds.map(() => '?').join(',')})`,
         employeeIds
       );
+      let deletedLangchainReports = langchainResult.affectedRows;
+      // ...including anonymized reports of former employees on a full reset
+      if (!onlyFilled) {
+        const [anonymizedResult] = await connection.execute(
+          'DELETE FROM responses_langchain_sentiment WHERE company_id = ? AND anonymized_at IS NOT NULL',
+          [companyId]
+        );
+        deletedLangchainReports += anonymizedResult.affectedRows;
+      }
 
       // Delete company report
       const [companyReportResult] = await connection.execute(
@@ -748,7 +791,7 @@ module.exports = (pool) => {
         success: true,
         message: `Successfully reset data for ${employees.length} employee(s)`,
         deletedResponses: respResult.affectedRows,
-        deletedLangchainReports: langchainResult.affectedRows,
+        deletedLangchainReports,
         deletedCompanyReports: companyReportResult.affectedRows,
         resetEmployees: updateResult.affectedRows
       });
@@ -762,5 +805,87 @@ module.exports = (pool) => {
     }
   });
 
+  // Resolve a :company route param (numeric id or company name) to a company_id
+  const resolveCompanyId = async (companyParam) => {
+    const companyId = Number(companyParam);
+    if (!Number.isNaN(companyId)) return companyId;
+    const [rows] = await pool.execute(
+      'SELECT company_id FROM companies WHERE company_name = ? LIMIT 1',
+      [companyParam]
+    );
+    return rows.length ? rows[0].company_id : null;
+  };
+
+  // GET /company/:company/cycles - list survey cycles of a company
+  router.get('/company/:company/cycles', async (req, res) => {
+    try {
+      const companyId = await resolveCompanyId(req.params.company);
+      if (!companyId) {
+        return res.status(404).json({ success: false, message: 'Company not found' });
+      }
+      const list = await cycles.listCycles(companyId);
+      return res.json({ success: true, cycles: list });
+    } catch (err) {
+      console.error('Error listing survey cycles', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  });
+
+  // POST /company/:company/cycles - open (or schedule) a new survey cycle
+  // Body: { name, formId?, opensAt?, closesAt? }
+  router.post('/company/:company/cycles', async (req, res) => {
+    try {
+      const companyId = await resolveCompanyId(req.params.company);
+      if (!companyId) {
+        return res.status(404).json({ success: false, message: 'Company not found' });
+      }
+      const { name, formId, opensAt, closesAt } = req.body || {};
+      const cycle = await cycles.createCycle(companyId, { name, formId, opensAt, closesAt, createdBy: req.employee.employeesID });
+      return res.status(201).json({ success: true, cycle });
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ success: false, message: err.message });
+      console.error('Error creating survey cycle', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  });
+
+  // POST /company/:company/cycles/:cycleId/close - stop accepting responses for a cycle
+  router.post('/company/:company/cycles/:cycleId/close', async (req, res) => {
+    try {
+      const companyId = await resolveCompanyId(req.params.company);
+      if (!companyId) {
+        return res.status(404).json({ success: false, message: 'Company not found' });
+      }
+      const cycle = await cycles.closeCycle(companyId, Number(req.params.cycleId));
+      return res.json({ success: true, cycle });
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ success: false, message: err.message });
+      console.error('Error closing survey cycle', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  });
+
+  // GET /company/:company/trends[/questions|/movers] - same trend analytics HR sees
+  const trendRoutes = {
+    '': (companyId, q) => trends.getSentimentSeries(companyId, { limit: q.limit }),
+    '/questions': (companyId, q) => trends.getQuestionTrends(companyId, { limit: q.limit, masterQuestionId: q.questionId }),
+    '/movers': (companyId, q) => trends.getMovers(companyId, { fromCycleId: q.fromCycleId, toCycleId: q.toCycleId, top: q.top }),
+  };
+  Object.entries(trendRoutes).forEach(([suffix, fn]) => {
+    router.get(`/company/:company/trends${suffix}`, async (req, res) => {
+      try {
+        const companyId = await resolveCompanyId(req.params.company);
+        if (!companyId) {
+          return res.status(404).json({ success: false, message: 'Company not found' });
+        }
+        return res.json({ success: true, companyId, ...(await fn(companyId, req.query)) });
+      } catch (err) {
+        if (err.status) return res.status(err.status).json({ success: false, message: err.message });
+        console.error('Error fetching company trends', err);
+        return res.status(500).json({ success: false, message: 'Server error' });
+      }
+    });
+  });
+
   return router;
 };
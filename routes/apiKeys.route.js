@@ -0,0 +1,50 @@
+const express = require('express');
+const { getPermissions } = require('../middlewares/permission');
+const { PERMISSIONS } = require('../services/permissions.service');
+const { API_KEY_PERMISSIONS } = require('../services/apiKeys.service');
+
+// API key routes - exports a function that takes (apiKeys, getCompanyId)
+// getCompanyId(req) resolves the company whose keys are managed; mounted for HR
+// (/api/hr/api-keys, own company) and Admin (/api/admin/company/:company/api-keys).
+module.exports = (apiKeys, getCompanyId) => {
+  const router = express.Router({ mergeParams: true });
+
+  // Wraps a service call; service errors carry an HTTP status
+  const handle = (label, fn, status = 200) => async (req, res) => {
+    try {
+      const companyId = await getCompanyId(req);
+      if (!companyId) return res.status(404).json({ success: false, message: 'Company not found' });
+      const result = await fn(req, companyId);
+      return res.status(status).json({ success: true, ...result });
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ success: false, message: err.message });
+      console.error(`Error ${label}`, err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  };
+
+  // GET /permissions - permissions an API key can carry
+  router.get('/permissions', handle('listing API key permissions', async () => ({
+    permissions: API_KEY_PERMISSIONS.map(name => ({ name, description: PERMISSIONS[name] })),
+  })));
+
+  router.get('/', handle('listing API keys', async (req, companyId) => ({ apiKeys: await apiKeys.listKeys(companyId) })));
+
+  // POST / - body: { name, permissions: [...], expiresInDays? }. The key is only returned here.
+  router.post('/', handle('creating API key', async (req, companyId) => {
+    const actorPermissions = await getPermissions(req);
+    return apiKeys.createKey(companyId, req.body || {}, { actorId: req.employee.employeesID, actorPermissions });
+  }, 201));
+
+  router.delete('/:keyId', handle('revoking API key', async (req, companyId) => {
+    await apiKeys.revokeKey(companyId, req.params.keyId, req.employee.employeesID);
+    return { message: 'API key revoked' };
+  }));
+
+  // GET /:keyId/audit?limit= - most recent requests made with the key
+  router.get('/:keyId/audit', handle('fetching API key audit', async (req, companyId) => ({
+    audit: await apiKeys.getAudit(companyId, req.params.keyId, { limit: req.query.limit }),
+  })));
+
+  return router;
+};
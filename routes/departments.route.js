@@ -0,0 +1,33 @@
+const express = require('express');
+
+// HR department analytics - exports a function that takes (cycles, org, getCompanyId)
+// Mounted behind reports.read.company; all data is scoped to the company
+// getCompanyId(req) resolves for the caller.
+module.exports = (cycles, org, getCompanyId) => {
+  const router = express.Router();
+
+  // Resolves the company and the cycle (current one unless ?cycleId= is given)
+  const handle = (label, fn) => async (req, res) => {
+    try {
+      const companyId = await getCompanyId(req);
+      if (!companyId) return res.status(404).json({ error: 'HR user company not found' });
+      const cycle = await cycles.resolveCycle(companyId, req.query.cycleId);
+      if (req.query.cycleId && !cycle) return res.status(404).json({ error: 'Survey cycle not found' });
+      return res.json({ companyId, cycle, ...(await fn(companyId, cycle ? cycle.cycle_id : null)) });
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message });
+      console.error(`Error fetching ${label}:`, err);
+      return res.status(500).json({ error: `Failed to fetch ${label}` });
+    }
+  };
+
+  // GET /completion - employees and responses per department. Query: cycleId
+  router.get('/completion', handle('department completion', (companyId, cycleId) =>
+    org.completionByDepartment(companyId, cycleId)));
+
+  // GET /sentiment - average sentiment and top attrition factors per department. Query: cycleId
+  router.get('/sentiment', handle('department sentiment', (companyId, cycleId) =>
+    org.sentimentByDepartment(companyId, cycleId)));
+
+  return router;
+};
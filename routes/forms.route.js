@@ -0,0 +1,80 @@
+const express = require('express');
+
+// Admin questionnaire builder routes - exports a function that takes the forms service
+// Mounted at /api/admin/sentiment behind authenticateAdmin.
+module.exports = (forms) => {
+  const router = express.Router();
+
+  // Wraps a service call; service errors carry an HTTP status
+  const handle = (label, fn, status = 200) => async (req, res) => {
+    try {
+      const result = await fn(req);
+      return res.status(status).json({ success: true, ...result });
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ success: false, message: err.message });
+      console.error(`Error ${label}`, err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  };
+
+  // ==================== FORMS ====================
+
+  router.get('/forms', handle('listing forms', async () => ({ forms: await forms.listForms() })));
+
+  // POST /forms - body: { form_name }
+  router.post('/forms', handle('creating form', async (req) => ({ form: await forms.createForm(req.body || {}) }), 201));
+
+  router.get('/forms/:formId', handle('fetching form', async (req) => ({ form: await forms.getForm(req.params.formId) })));
+
+  // PUT /forms/:formId - body: { form_name }
+  router.put('/forms/:formId', handle('updating form', async (req) => ({
+    form: await forms.updateForm(req.params.formId, req.body || {}),
+  })));
+
+  router.delete('/forms/:formId', handle('deleting form', async (req) => {
+    await forms.deleteForm(req.params.formId);
+    return { message: 'Form deleted' };
+  }));
+
+  // POST /forms/:formId/questions - attach a master question. Body: { master_question_id, question_text }
+  router.post('/forms/:formId/questions', handle('attaching question', async (req) => ({
+    form: await forms.attachQuestion(req.params.formId, req.body || {}),
+  }), 201));
+
+  // PUT /forms/:formId/questions/:formQuestionId - body: { question_text }
+  router.put('/forms/:formId/questions/:formQuestionId', handle('updating form question', async (req) => ({
+    form: await forms.updateFormQuestion(req.params.formId, req.params.formQuestionId, req.body || {}),
+  })));
+
+  router.delete('/forms/:formId/questions/:formQuestionId', handle('removing form question', async (req) => ({
+    form: await forms.detachQuestion(req.params.formId, req.params.formQuestionId),
+  })));
+
+  // ==================== MASTER QUESTIONS ====================
+
+  router.get('/master-questions', handle('listing master questions', async () => ({
+    questions: await forms.listMasterQuestions(),
+  })));
+
+  // POST /master-questions - body: { question_type, options_questions, helper_text, is_required?, question_number? }
+  router.post('/master-questions', handle('creating master question', async (req) => ({
+    question: await forms.createMasterQuestion(req.body || {}),
+  }), 201));
+
+  // PUT /master-questions/order - body: { order: [master_question_id, ...] }
+  router.put('/master-questions/order', handle('reordering master questions', async (req) => ({
+    questions: await forms.reorderMasterQuestions((req.body || {}).order),
+  })));
+
+  // PUT /master-questions/:id - body: any of { question_type, options_questions, helper_text, is_required }
+  router.put('/master-questions/:id', handle('updating master question', async (req) => ({
+    question: await forms.updateMasterQuestion(req.params.id, req.body || {}),
+  })));
+
+  router.delete('/master-questions/:id', handle('deleting master question', async (req) => {
+    await forms.deleteMasterQuestion(req.params.id);
+    return { message: 'Master question deleted' };
+  }));
+
+  return router;
+};
@@ -1,16 +1,29 @@
 const express = require('express');
-const bcrypt = require('bcrypt');
 const multer = require('multer');
 const XLSX = require('xlsx');
+const { requirePermission, getPermissions, denyApiKeys } = require('../middlewares/permission');
 
 const upload = multer({ storage: multer.memoryStorage() });
 
-// HR routes module - exports a function that takes (pool, TABLE_NAME, authenticateHR, authenticateToken)
-module.exports = (pool, TABLE_NAME, authenticateHR, authenticateToken) => {
+// HR routes module - exports a function that takes (pool, TABLE_NAME, authenticateHR, authenticateToken, cycles, passwords, employeeAccounts, offboarding, org)
+module.exports = (pool, TABLE_NAME, authenticateHR, authenticateToken, cycles, passwords, employeeAccounts, offboarding, org) => {
   const router = express.Router();
 
+  // Company the caller acts for: API keys carry theirs, HR users are looked up
+  const getHrCompanyId = async (hrUser) => {
+    if (hrUser.apiKeyId) return hrUser.company_id;
+    const [hrRow] = await pool.execute(
+      `SELECT e.company_id FROM ${TABLE_NAME} e WHERE e.employeesID = ? LIMIT 1`,
+      [hrUser.employeesID]
+    );
+    return hrRow.length ? hrRow[0].company_id : null;
+  };
+
   // ==================== HR FEEDBACK ROUTES ====================
 
+  // Feedback is the HR user's own; not available to API keys
+  router.use('/feedback', denyApiKeys);
+
   // GET /feedback/questions - get all active HR feedback questions with options
   router.get('/feedback/questions', async (req, res) => {
     try {
@@ -97,13 +110,10 @@ module.exports = (pool, TABLE_NAME, authenticateHR, authenticateToken) => {
 
   // ==================== EMPLOYEE MANAGEMENT ROUTES ====================
 
-  // POST /import - CSV/XLSX import (HR only)
-  router.post('/import', authenticateHR, upload.single('file'), async (req, res) => {
+  // POST /import - CSV/XLSX import (permission employees.import)
+  router.post('/import', requirePermission('employees.import'), upload.single('file'), async (req, res) => {
     try {
       const hrUser = req.employee;
-      // minimal role check
-      if (hrUser.role !== 'HR')
-        return res.status(403).json({ message: 'Access denied' });
       if (!req.file)
         return res.status(400).json({ message: 'CSV file required' });
       
@@ -177,13 +187,9 @@ module.exports = (pool, TABLE_NAME, authenticateHR, authenticateToken) => {
         return res.status(400).json({ message: 'Empty CSV' });
 
       // Determine HR user's company_id once
-      const [hrRow] = await pool.execute(
-        `SELECT e.company_id, c.company_name FROM ${TABLE_NAME} e LEFT JOIN companies c ON e.company_id = c.company_id WHERE e.employeesID = ? LIMIT 1`,
-        [hrUser.employeesID]
-      );
-      if (!hrRow || !hrRow.length)
+      const hrCompanyId = await getHrCompanyId(hrUser);
+      if (!hrCompanyId)
         return res.status(400).json({ message: 'HR company not found' });
-      const hrCompanyId = hrRow[0].company_id;
 
       // Determine employeesID column max length to pre-validate rows and avoid ER_DATA_TOO_LONG
       let employeesIDMax = null;
@@ -204,8 +210,20 @@ module.exports = (pool, TABLE_NAME, authenticateHR, authenticateToken) => {
         employeesIDMax = null;
       }
 
+      // Roles are checked against what the importer may grant, once per role name
+      const actor = { actorPermissions: await getPermissions(req), apiKey: !!hrUser.apiKeyId };
+      const roleChecks = new Map();
+      const checkRole = (value) => {
+        const key = String(value || '').trim().toLowerCase();
+        if (!roleChecks.has(key)) roleChecks.set(key, employeeAccounts.assignableRole(hrCompanyId, value, actor));
+        return roleChecks.get(key);
+      };
+
       // assume simple rows: employeesID,name,email,role
-      const results = { inserted: 0, skipped: 0, errors: [], generated: [] };
+      // (department, team and manager only with a header row)
+      const results = { inserted: 0, updated: 0, skipped: 0, errors: [], generated: [] };
+      // Managers are assigned after all rows are in, so a manager may appear later in the file
+      const managerAssignments = [];
 
       // Delimiter detection: prefer comma, fallback to tab, else single-column lines (useful for .xl/.txt exports)
       let delimiter = null;
@@ -266,13 +284,20 @@ module.exports = (pool, TABLE_NAME, authenticateHR, authenticateToken) => {
           p === 'id' ||
           p.includes('email') ||
           p.includes('name') ||
-          p.includes('role')
+          p.includes('role') ||
+          p.includes('department') ||
+          p.includes('team') ||
+          p.includes('manager')
       );
       if (looksLikeHeader) {
         headerMap = {};
         for (let hi = 0; hi < lowerFirst.length; hi++) {
           const key = lowerFirst[hi].replace(/\s+/g, '');
-          if (key.includes('employeesid') || key === 'id')
+          // org columns first: "manager employeesID", "department name", "team name"
+          if (key.includes('manager')) headerMap.manager = hi;
+          else if (key.includes('department') || key === 'dept') headerMap.department = hi;
+          else if (key.includes('team')) headerMap.team = hi;
+          else if (key.includes('employeesid') || key === 'id')
             headerMap.employeesID = hi;
           else if (key.includes('email')) headerMap.email = hi;
           else if (key.includes('name')) headerMap.name = hi;
@@ -295,6 +320,9 @@ module.exports = (pool, TABLE_NAME, authenticateHR, authenticateToken) => {
         let name = null;
         let email = null;
         let role = 'Employee';
+        let department = null;
+        let team = null;
+        let managerId = null;
 
         if (headerMap) {
           employeesID = parts[headerMap.employeesID] || '';
@@ -310,6 +338,9 @@ module.exports = (pool, TABLE_NAME, authenticateHR, authenticateToken) => {
             headerMap.role != null
               ? parts[headerMap.role] || 'Employee'
               : parts[3] || 'Employee';
+          if (headerMap.department != null) department = parts[headerMap.department] || null;
+          if (headerMap.team != null) team = parts[headerMap.team] || null;
+          if (headerMap.manager != null) managerId = parts[headerMap.manager] || null;
         } else {
           // No header: assume format employeesID, name, email, role (no password column expected)
           if (parts.length >= 4) {
@@ -360,6 +391,19 @@ module.exports = (pool, TABLE_NAME, authenticateHR, authenticateToken) => {
             `SELECT employeesID FROM ${TABLE_NAME} WHERE employeesID = ? AND company_id = ? LIMIT 1`,
             [employeesID, hrCompanyId]
           );
+          const hasOrgColumns = !!(department || team || managerId);
+          if (exists && exists.length > 0 && hasOrgColumns) {
+            // Known employee: only their department / team and manager are updated
+            if (department || team) {
+              if (!department) throw new Error('team given without department');
+              await org.assignEmployee(hrCompanyId, employeesID, {
+                departmentId: await org.findOrCreateUnit(hrCompanyId, department, team),
+              });
+            }
+            if (managerId) managerAssignments.push({ line: i + 1, employeesID, managerId });
+            results.updated++;
+            continue;
+          }
           if (exists && exists.length > 0) {
             results.skipped++;
             results.errors.push({
@@ -387,12 +431,16 @@ module.exports = (pool, TABLE_NAME, authenticateHR, authenticateToken) => {
             }
           }
 
-          // Set static default password for all new employees
+          role = await checkRole(role);
+
+          let departmentId = null;
+          if (department) departmentId = await org.findOrCreateUnit(hrCompanyId, department, team);
+          else if (team) throw new Error('team given without department');
+
+          // Random password nobody knows; employees choose their own via the invitation link
           let hashedPassword = null;
           try {
-            const saltRounds = 10;
-            const defaultPassword = 'Welcome@123'; // Static password for all employees
-            hashedPassword = await bcrypt.hash(defaultPassword, saltRounds);
+            hashedPassword = await passwords.unusablePasswordHash();
           } catch (hashErr) {
             console.error(
               'Password hash failed for',
@@ -410,12 +458,13 @@ module.exports = (pool, TABLE_NAME, authenticateHR, authenticateToken) => {
 
           // insert new employee with hashed password (or NULL) and is_loggedin set to FALSE
           await pool.execute(
-            `INSERT INTO ${TABLE_NAME} (employeesID, password, name, email, role, company_id, is_loggedin) VALUES (?, ?, ?, ?, ?, ?, ?)`,
-            [employeesID, hashedPassword, name, email, role, hrCompanyId, false]
+            `INSERT INTO ${TABLE_NAME} (employeesID, password, name, email, role, company_id, is_loggedin, department_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [employeesID, hashedPassword, name, email, role, hrCompanyId, false, departmentId]
           );
+          if (managerId) managerAssignments.push({ line: i + 1, employeesID, managerId });
           results.inserted++;
         } catch (rowErr) {
-          console.error('Import row error at line', i + 1, rowErr);
+          if (!rowErr.status) console.error('Import row error at line', i + 1, rowErr);
           results.skipped++;
           results.errors.push({
             line: i + 1,
@@ -427,6 +476,15 @@ module.exports = (pool, TABLE_NAME, authenticateHR, authenticateToken) => {
         }
       }
 
+      for (const { line, employeesID, managerId } of managerAssignments) {
+        try {
+          await org.assignEmployee(hrCompanyId, employeesID, { managerId });
+        } catch (managerErr) {
+          if (!managerErr.status) console.error('Import manager error at line', line, managerErr);
+          results.errors.push({ line, employeesID, reason: managerErr.message });
+        }
+      }
+
       const delimLabel =
         delimiter === ','
           ? 'comma'
@@ -434,7 +492,7 @@ module.exports = (pool, TABLE_NAME, authenticateHR, authenticateToken) => {
             ? 'tab'
             : 'single-line';
       res.json({
-        message: `Import complete (${delimLabel} detected). Inserted ${results.inserted}, skipped ${results.skipped}`,
+        message: `Import complete (${delimLabel} detected). Inserted ${results.inserted}, updated ${results.updated}, skipped ${results.skipped}`,
         results,
         detectedDelimiter: delimLabel,
       });
@@ -444,26 +502,21 @@ module.exports = (pool, TABLE_NAME, authenticateHR, authenticateToken) => {
     }
   });
 
-  // POST /employees - Add single employee (HR only), skip if existing
-  router.post('/employees', authenticateHR, async (req, res) => {
+  // POST /employees - Add single employee (permission employees.create), skip if existing
+  router.post('/employees', requirePermission('employees.create'), async (req, res) => {
     try {
       const hrUser = req.employee;
-      if (hrUser.role !== 'HR')
-        return res.status(403).json({ message: 'Access denied' });
-      const { employeesID, name, email, role, company, company_id } = req.body;
+      const { employeesID, name, email, role, company, company_id, departmentId, managerId } = req.body;
       if (!employeesID)
         return res.status(400).json({ message: 'employeesID required' });
 
-      // Determine target company_id: prefer provided company_id, otherwise use HR's company_id
-      let targetCompanyId = company_id;
+      // Target company: the caller's own. Only admins may name another company_id.
+      const actorPermissions = await getPermissions(req);
+      let targetCompanyId = actorPermissions.has('admin.access') ? company_id : null;
       if (!targetCompanyId) {
-        const [hrRow] = await pool.execute(
-          `SELECT e.company_id FROM ${TABLE_NAME} e WHERE e.employeesID = ? LIMIT 1`,
-          [hrUser.employeesID]
-        );
-        if (!hrRow || !hrRow.length)
+        targetCompanyId = await getHrCompanyId(hrUser);
+        if (!targetCompanyId)
           return res.status(400).json({ message: 'HR company not found' });
-        targetCompanyId = hrRow[0].company_id;
       }
 
       // check exists in same company
@@ -491,10 +544,20 @@ module.exports = (pool, TABLE_NAME, authenticateHR, authenticateToken) => {
         }
       }
 
-      // Set static default password for all new employees
-      const saltRounds = 10;
-      const defaultPassword = 'Welcome@123';
-      const hashed = await bcrypt.hash(defaultPassword, saltRounds);
+      let assignedRole;
+      try {
+        assignedRole = await employeeAccounts.assignableRole(targetCompanyId, role || 'Employee', {
+          actorPermissions,
+          apiKey: !!hrUser.apiKeyId,
+        });
+        await org.checkAssignment(targetCompanyId, employeesID, { departmentId, managerId });
+      } catch (checkErr) {
+        if (checkErr.status) return res.status(checkErr.status).json({ message: checkErr.message });
+        throw checkErr;
+      }
+
+      // Random password nobody knows; the employee chooses one via the invitation link
+      const hashed = await passwords.unusablePasswordHash();
 
       await pool.execute(
         `INSERT INTO ${TABLE_NAME} (employeesID, password, name, email, role, company_id, is_loggedin) VALUES (?, ?, ?, ?, ?, ?, ?)`,
@@ -503,11 +566,12 @@ module.exports = (pool, TABLE_NAME, authenticateHR, authenticateToken) => {
           hashed,
           name || null,
           email || null,
-          role || 'Employee',
+          assignedRole,
           targetCompanyId,
           false,
         ]
       );
+      await org.assignEmployee(targetCompanyId, employeesID, { departmentId, managerId });
 
       res.json({ message: 'Employee inserted' });
     } catch (error) {
@@ -543,5 +607,166 @@ module.exports = (pool, TABLE_NAME, authenticateHR, authenticateToken) => {
     }
   });
 
+  // Employee maintenance in the caller's company; service errors carry an HTTP status
+  const employeeAction = (label, fn, status = 200) => async (req, res) => {
+    try {
+      const companyId = await getHrCompanyId(req.employee);
+      if (!companyId) return res.status(400).json({ success: false, message: 'HR company not found' });
+      const actor = {
+        actorId: req.employee.employeesID,
+        actorPermissions: await getPermissions(req),
+        apiKey: !!req.employee.apiKeyId,
+      };
+      return res.status(status).json({ success: true, ...(await fn(req, companyId, actor)) });
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ success: false, message: err.message });
+      console.error(`Error ${label}`, err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  };
+
+  // GET /employees?status=active|deactivated|all - employees of the company (default: active)
+  router.get('/employees', requirePermission('employees.read'), employeeAction('listing employees', async (req, companyId) => ({
+    employees: await employeeAccounts.listEmployees(companyId, { status: req.query.status || 'active' }),
+  })));
+
+  // PUT /employees/:employeesID - body: any of { name, email, role, departmentId, managerId } (null clears the last two)
+  router.put('/employees/:employeesID', requirePermission('employees.update'), employeeAction('updating employee', async (req, companyId, actor) => ({
+    employee: await employeeAccounts.updateEmployee(companyId, req.params.employeesID, req.body || {}, actor),
+  })));
+
+  // POST /employees/:employeesID/deactivate - no sign-in, not counted in completion, data kept
+  router.post('/employees/:employeesID/deactivate', requirePermission('employees.deactivate'), employeeAction('deactivating employee', async (req, companyId, actor) => ({
+    employee: await employeeAccounts.deactivate(companyId, req.params.employeesID, actor),
+  })));
+
+  router.post('/employees/:employeesID/reactivate', requirePermission('employees.deactivate'), employeeAction('reactivating employee', async (req, companyId, actor) => ({
+    employee: await employeeAccounts.reactivate(companyId, req.params.employeesID, actor),
+  })));
+
+  // DELETE /employees/:employeesID - permanently removes the employee with their responses and reports
+  router.delete('/employees/:employeesID', requirePermission('employees.delete'), employeeAction('deleting employee', async (req, companyId, actor) => ({
+    message: 'Employee deleted',
+    deleted: await employeeAccounts.deleteEmployee(companyId, req.params.employeesID, actor),
+  })));
+
+  // ==================== DEPARTMENTS ====================
+
+  // GET /departments - departments and teams (teams have a parentId) with member counts
+  router.get('/departments', employeeAction('listing departments', async (req, companyId) => ({
+    departments: await org.listDepartments(companyId),
+  })));
+
+  // POST /departments - body: { name, parentId? }
+  router.post('/departments', requirePermission('org.manage'), employeeAction('creating department', async (req, companyId) => ({
+    department: await org.createDepartment(companyId, req.body || {}),
+  }), 201));
+
+  // PUT /departments/:departmentId - body: any of { name, parentId (null = top level) }
+  router.put('/departments/:departmentId', requirePermission('org.manage'), employeeAction('updating department', async (req, companyId) => ({
+    department: await org.updateDepartment(companyId, Number(req.params.departmentId), req.body || {}),
+  })));
+
+  // DELETE /departments/:departmentId - only when it has no teams and no employees
+  router.delete('/departments/:departmentId', requirePermission('org.manage'), employeeAction('deleting department', async (req, companyId) => {
+    await org.deleteDepartment(companyId, Number(req.params.departmentId));
+    return { message: 'Department deleted' };
+  }));
+
+  // ==================== OFFBOARDING ====================
+
+  // POST /employees/:employeesID/offboard - body: { leaveDate: 'YYYY-MM-DD' } (first day no longer employed)
+  router.post('/employees/:employeesID/offboard', requirePermission('employees.offboard'), employeeAction('offboarding employee', async (req, companyId, actor) => ({
+    employee: await offboarding.offboard(companyId, req.params.employeesID, req.body || {}, actor),
+  })));
+
+  router.delete('/employees/:employeesID/offboard', requirePermission('employees.offboard'), employeeAction('cancelling offboarding', async (req, companyId, actor) => ({
+    employee: await offboarding.cancelOffboarding(companyId, req.params.employeesID, actor),
+  })));
+
+  // GET /offboarding/retention - how long former employees' individual reports are kept
+  router.get('/offboarding/retention', employeeAction('fetching report retention', async (req, companyId) => ({
+    retention: await offboarding.getRetention(companyId),
+  })));
+
+  // PUT /offboarding/retention - body: any of { retentionDays (null = default), reportAction: 'anonymize' | 'purge' }
+  router.put('/offboarding/retention', requirePermission('company.settings'), employeeAction('updating report retention', async (req, companyId) => ({
+    retention: await offboarding.setRetention(companyId, req.body || {}),
+  })));
+
+  // ==================== SURVEY CYCLE ROUTES ====================
+
+  // GET /cycles - survey cycles of the HR's company
+  router.get('/cycles', async (req, res) => {
+    try {
+      const companyId = await getHrCompanyId(req.employee);
+      if (!companyId) return res.status(400).json({ success: false, message: 'HR company not found' });
+      const list = await cycles.listCycles(companyId);
+      return res.json({ success: true, cycles: list });
+    } catch (err) {
+      console.error('Error listing survey cycles', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  });
+
+  // POST /cycles - open (or schedule) a new survey cycle. Body: { name, formId?, opensAt?, closesAt? }
+  router.post('/cycles', requirePermission('cycles.manage'), async (req, res) => {
+    try {
+      const companyId = await getHrCompanyId(req.employee);
+      if (!companyId) return res.status(400).json({ success: false, message: 'HR company not found' });
+      const { name, formId, opensAt, closesAt } = req.body || {};
+      const cycle = await cycles.createCycle(companyId, { name, formId, opensAt, closesAt, createdBy: req.employee.employeesID });
+      return res.status(201).json({ success: true, cycle });
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ success: false, message: err.message });
+      console.error('Error creating survey cycle', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  });
+
+  // POST /cycles/:cycleId/close - stop accepting responses for a cycle
+  router.post('/cycles/:cycleId/close', requirePermission('cycles.manage'), async (req, res) => {
+    try {
+      const companyId = await getHrCompanyId(req.employee);
+      if (!companyId) return res.status(400).json({ success: false, message: 'HR company not found' });
+      const cycle = await cycles.closeCycle(companyId, Number(req.params.cycleId));
+      return res.json({ success: true, cycle });
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ success: false, message: err.message });
+      console.error('Error closing survey cycle', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  });
+
+  // ==================== PASSWORD POLICY ====================
+
+  // GET /password-policy - the HR company's password policy and its rules as text
+  router.get('/password-policy', async (req, res) => {
+    try {
+      const companyId = await getHrCompanyId(req.employee);
+      if (!companyId) return res.status(400).json({ success: false, message: 'HR company not found' });
+      const policy = await passwords.getPolicy(companyId);
+      return res.json({ success: true, policy, requirements: passwords.describePolicy(policy) });
+    } catch (err) {
+      console.error('Error fetching password policy', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  });
+
+  // PUT /password-policy - body: any of { minLength, requireUppercase, requireLowercase,
+  // requireDigit, requireSymbol, blockCommon, historyCount }. Applies to passwords set from now on.
+  router.put('/password-policy', requirePermission('company.settings'), async (req, res) => {
+    try {
+      const companyId = await getHrCompanyId(req.employee);
+      if (!companyId) return res.status(400).json({ success: false, message: 'HR company not found' });
+      const policy = await passwords.updatePolicy(companyId, req.body || {}, req.employee.employeesID);
+      return res.json({ success: true, policy, requirements: passwords.describePolicy(policy) });
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ success: false, message: err.message, errors: err.errors });
+      console.error('Error updating password policy', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  });
+
   return router;
 };
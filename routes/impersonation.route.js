@@ -0,0 +1,48 @@
+const express = require('express');
+
+// Admin impersonation routes - exports a function that takes the impersonation service
+// Mounted at /api/admin/impersonations behind authenticateAdmin.
+module.exports = (impersonation) => {
+  const router = express.Router();
+
+  // Wraps a service call; service errors carry an HTTP status
+  const handle = (label, fn, status = 200) => async (req, res) => {
+    try {
+      const result = await fn(req);
+      return res.status(status).json({ success: true, ...result });
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ success: false, message: err.message });
+      console.error(`Error ${label}`, err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  };
+
+  // POST / - body: { employeesID, reason }. Returns a short-lived, read-only access
+  // token for that user (no refresh token).
+  router.post('/', handle('starting impersonation', async (req) => {
+    const { employeesID, reason } = req.body || {};
+    if (!employeesID) throw Object.assign(new Error('employeesID is required'), { status: 400 });
+    return impersonation.start(req.employee, employeesID, { reason, ip: req.ip });
+  }, 201));
+
+  // GET /?employeesID=&adminId=&limit=
+  router.get('/', handle('listing impersonations', async (req) => ({
+    impersonations: await impersonation.list({
+      employeesID: req.query.employeesID,
+      adminId: req.query.adminId,
+      limit: req.query.limit,
+    }),
+  })));
+
+  // GET /:impersonationId/requests - everything done with the token
+  router.get('/:impersonationId/requests', handle('fetching impersonation requests', async (req) => (
+    impersonation.getRequests(req.params.impersonationId)
+  )));
+
+  router.delete('/:impersonationId', handle('ending impersonation', async (req) => {
+    await impersonation.end(req.params.impersonationId, req.employee.employeesID);
+    return { message: 'Impersonation ended' };
+  }));
+
+  return router;
+};
@@ -1,43 +1,81 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
-const bcrypt = require('bcrypt');
 const router = express.Router();
 const { authenticateEmployee } = require('../middlewares/employee.auth');
+const { requirePermission } = require('../middlewares/permission');
 const nodemailer = require('nodemailer');
 
-module.exports = (pool) => {
+module.exports = (pool, sessions, actionTokens, mfa, throttle, passwords) => {
   // Hardcode the table name
   const EMPLOYEES_TABLE = "employees";
   const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key";
   const FRONTEND_URL = process.env.FRONTEND_URL 
   const BACKEND_URL = process.env.BACKEND_URL
   
-  // Helper function to create JWT tokens
-  const generateToken = (employee, expiresIn = "24h") => {
-    return jwt.sign(
-      { employeesID: employee.employeesID, role: employee.role },
-      JWT_SECRET,
-      { expiresIn }
-    );
+  // Start a login session: short-lived access token plus refresh token
+  const issueSession = async (employee, req) => {
+    const session = await sessions.createSession(employee, {
+      userAgent: req.get('user-agent'),
+      ip: req.ip,
+    });
+    return {
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+      refreshExpiresAt: session.refreshExpiresAt,
+    };
   };
 
-  // Helper function to hash passwords
-  const hashPassword = async (password) => {
-    const saltRounds = 10;
-    return await bcrypt.hash(password, saltRounds);
+  // Session after a verified password, unless a second factor is needed first:
+  // enrolled accounts continue at POST /login/mfa, HR of companies that require
+  // MFA enrol at POST /login/mfa/enroll
+  const startLogin = async (employee, req) => {
+    if (await mfa.isEnrolled(employee.employeesID)) {
+      return { mfaRequired: true, mfaToken: mfa.createChallenge(employee, 'mfa_login') };
+    }
+    if (await mfa.isRequired(employee)) {
+      return { mfaEnrollmentRequired: true, mfaToken: mfa.createChallenge(employee, 'mfa_enroll') };
+    }
+    return issueSession(employee, req);
   };
 
-  // Helper function to verify passwords
-  const verifyPassword = async (plainPassword, storedPassword) => {
-    if (!storedPassword) return false;
-    
-    if (storedPassword.startsWith("$2")) {
-      // bcrypt hash
-      return await bcrypt.compare(plainPassword, storedPassword);
-    } else {
-      // legacy plain text
-      return plainPassword === storedPassword;
-    }
+  // 429 from the login throttle; anything else is rethrown
+  const sendThrottled = (res, error) => {
+    if (error.status !== 429) throw error;
+    res.set('Retry-After', String(error.retryAfter));
+    return res.status(429).json({ success: false, message: error.message });
+  };
+
+  // 400 listing the password policy violations; anything else is rethrown
+  const sendPasswordError = (res, error) => {
+    if (error.status !== 400 || !error.errors) throw error;
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+      errors: error.errors,
+      requirements: error.requirements,
+    });
+  };
+
+  // Password rules shown on the reset / set-password pages
+  const requirementsHtml = async (employeesID) => {
+    const [rows] = await pool.execute(
+      `SELECT company_id FROM ${EMPLOYEES_TABLE} WHERE employeesID = ?`,
+      [employeesID]
+    );
+    const policy = await passwords.getPolicy(rows.length ? rows[0].company_id : null);
+    const items = passwords.describePolicy(policy).map(rule => `<li>${rule}</li>`).join('');
+    return `<div class="requirements"><strong>Your password needs:</strong><ul>${items}</ul></div>`;
+  };
+
+  // Policy check before a single-use link is used up, so a rejected password
+  // can be corrected on the same page
+  const checkNewPassword = async (employeesID, newPassword) => {
+    const [rows] = await pool.execute(
+      `SELECT employeesID, name, email, company_id, password FROM ${EMPLOYEES_TABLE} WHERE employeesID = ?`,
+      [employeesID]
+    );
+    if (rows.length) await passwords.assertValid(rows[0], newPassword);
   };
 
   // Email configuration and sending function - using Gmail App Password
@@ -205,6 +243,60 @@ module.exports = (pool) => {
     `;
   };
 
+  // Issue a single-use reset link (10 minutes) and email it; intro is the first paragraph
+  const sendPasswordResetEmail = async (employee, intro) => {
+    // Create a single-use reset token with 10-minute expiry
+    const { token: resetToken } = await actionTokens.issue(employee.employeesID, 'password_reset', '10m');
+
+    // Create reset URL pointing to our backend page
+    const resetURL = `${BACKEND_URL}/api/reset-password-page?token=${resetToken}`;
+
+    // Create professional email content for password reset
+    const emailContent = `
+      <h2>Password Reset Request</h2>
+      <p>Dear <strong>${employee.name || employee.employeesID}</strong>,</p>
+      <p>${intro}</p>
+      
+      <div class="info-box">
+          <strong>Account Information:</strong><br>
+          Employee ID: ${employee.employeesID}<br>
+          Email Address: ${employee.email}<br>
+          Request Timestamp: ${new Date().toLocaleString()}<br>
+          Link Expires: ${new Date(Date.now() + 10*60*1000).toLocaleString()}
+      </div>
+      
+      <div class="instructions">
+          <h3>📝 Password Reset Instructions:</h3>
+          <ol>
+              <li>Click the "Reset My Password" button below to access the secure reset page</li>
+              <li>Create a new, strong password following the security requirements</li>
+              <li>Confirm your new password by entering it again</li>
+              <li>Click "Reset Password" to save your changes</li>
+              <li>You will be automatically redirected to the ForteAI Nexus login page</li>
+              <li>Log in using your Employee ID and new password</li>
+          </ol>
+      </div>
+      
+      <p><strong>🔐 Important Security Information:</strong></p>
+      <p style="margin-bottom: 8px;">• This password reset link will expire in <strong>10 minutes</strong> for security purposes</p>
+      <p style="margin-bottom: 8px;">• The link can only be used once</p>
+      <p style="margin-bottom: 8px;">• If you did not request this password reset, please disregard this email</p>
+      <p style="margin-bottom: 8px;">• For any security concerns, please contact your HR department immediately</p>
+    `;
+
+    // Send email with professional template
+    await sendEmail(
+      employee.email, 
+      'ForteAI Nexus - Password Reset Request (Expires in 10 minutes)',
+      createCompactEmailTemplate(
+        'Password Reset Request',
+        emailContent,
+        'Reset My Password',
+        resetURL
+      )
+    );
+  };
+
   // 1. LOGIN ENDPOINT
   router.post("/login", async (req, res) => {
     try {
@@ -217,22 +309,62 @@ module.exports = (pool) => {
         });
       }
 
+      // Delayed or locked (per account id and per IP)?
+      const subject = { account: employeesID, ip: req.ip };
+      try {
+        await throttle.check('login', subject);
+      } catch (error) {
+        return sendThrottled(res, error);
+      }
+
       // Find the employee
       const [rows] = await pool.execute(
         `SELECT * FROM ${EMPLOYEES_TABLE} WHERE employeesID = ?`,
         [employeesID]
       );
+      const employee = rows[0];
 
-      if (rows.length === 0) {
+      // Same answer, and the same bcrypt work, for unknown accounts and wrong passwords
+      const check = employee
+        ? await passwords.verifyPassword(employee, password)
+        : await passwords.verifyMissingAccount(password);
+
+      // Correct, but still stored as plaintext after the cutoff: the password has to be reset
+      if (check.resetRequired) {
+        await throttle.reset('login', employeesID);
+        if (employee.email) {
+          sendPasswordResetEmail(
+            employee,
+            'For your security, the password of your ForteAI Nexus account has to be renewed before you can sign in again. Please choose a new password using the link below.'
+          ).catch(err => console.error('Password reset email failed:', err.message));
+        }
+        return res.status(403).json({
+          success: false,
+          message: employee.email
+            ? "Your password has expired. We have sent a link to reset it to your registered email address."
+            : "Your password has expired. Please contact your HR department to reset it.",
+          passwordResetRequired: true
+        });
+      }
+
+      if (!check.ok) {
+        await throttle.record('login', subject);
         return res.status(401).json({ 
           success: false, 
           message: "Invalid credentials" 
         });
       }
+      await throttle.reset('login', employeesID);
 
-      const employee = rows[0];
-      
-      // Check if password is set (is_loggedin flag)
+      if (employee.deactivated_at) {
+        return res.status(403).json({
+          success: false,
+          message: "Your account has been deactivated. Please contact your HR department.",
+          accountDeactivated: true
+        });
+      }
+
+      // Check if password is set (is_loggedin flag); only told to someone who knows the password
       if (!employee.is_loggedin) {
         return res.status(403).json({
           success: false,
@@ -241,18 +373,12 @@ module.exports = (pool) => {
         });
       }
 
-      // Verify password
-      const passwordMatches = await verifyPassword(password, employee.password);
-      if (!passwordMatches) {
-        return res.status(401).json({ 
-          success: false, 
-          message: "Invalid credentials" 
-        });
+      // Start a session (access + refresh token), or ask for the second factor
+      const tokens = await startLogin(employee, req);
+      if (!tokens.token) {
+        return res.json({ success: true, ...tokens });
       }
 
-      // Generate JWT token
-      const token = generateToken(employee);
-
       // Remove password from response
       const { password: _, ...employeeWithoutPassword } = employee;
 
@@ -263,7 +389,7 @@ module.exports = (pool) => {
       res.json({
         success: true,
         employee: employeeWithoutPassword,
-        token,
+        ...tokens,
       });
     } catch (error) {
       console.error("Login error:", error);
@@ -274,6 +400,94 @@ module.exports = (pool) => {
     }
   });
 
+  // Employee row for the MFA login steps
+  const findEmployee = async (employeesID) => {
+    const [rows] = await pool.execute(
+      `SELECT * FROM ${EMPLOYEES_TABLE} WHERE employeesID = ?`,
+      [employeesID]
+    );
+    return rows[0] || null;
+  };
+
+  const sendMfaError = (res, error, label) => {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error(`${label} error:`, error);
+    res.status(500).json({ 
+      success: false, 
+      message: "Server error during login" 
+    });
+  };
+
+  // 1a. LOGIN SECOND STEP - body: { mfaToken, code } (authenticator code or recovery code)
+  router.post("/login/mfa", async (req, res) => {
+    try {
+      const { mfaToken, code } = req.body || {};
+      if (!mfaToken || !code) {
+        return res.status(400).json({ 
+          success: false, 
+          message: "mfaToken and code are required" 
+        });
+      }
+      const { employeesID } = mfa.readChallenge(mfaToken, 'mfa_login');
+      const { method } = await mfa.verify(employeesID, code);
+
+      const employee = await findEmployee(employeesID);
+      if (!employee) return res.status(401).json({ success: false, message: "Invalid credentials" });
+      const tokens = await issueSession(employee, req);
+      const { password: _, ...employeeWithoutPassword } = employee;
+
+      console.log(`✅ Login successful for employee: ${employee.employeesID} (2FA: ${method})`);
+      res.json({
+        success: true,
+        employee: employeeWithoutPassword,
+        ...tokens,
+        mfaMethod: method,
+      });
+    } catch (error) {
+      sendMfaError(res, error, 'MFA login');
+    }
+  });
+
+  // 1b. MANDATORY ENROLMENT DURING LOGIN - body: { mfaToken }; returns the secret and otpauth URI
+  router.post("/login/mfa/enroll", async (req, res) => {
+    try {
+      const { mfaToken } = req.body || {};
+      const { employeesID } = mfa.readChallenge(mfaToken, 'mfa_enroll');
+      const employee = await findEmployee(employeesID);
+      if (!employee) return res.status(401).json({ success: false, message: "Invalid credentials" });
+      const enrolment = await mfa.startEnrolment(employee);
+      res.json({ success: true, ...enrolment });
+    } catch (error) {
+      sendMfaError(res, error, 'MFA enrolment');
+    }
+  });
+
+  // 1c. CONFIRM MANDATORY ENROLMENT - body: { mfaToken, code }; logs in and returns recovery codes
+  router.post("/login/mfa/enroll/confirm", async (req, res) => {
+    try {
+      const { mfaToken, code } = req.body || {};
+      const { employeesID } = mfa.readChallenge(mfaToken, 'mfa_enroll');
+      const recoveryCodes = await mfa.confirmEnrolment(employeesID, code);
+
+      const employee = await findEmployee(employeesID);
+      if (!employee) return res.status(401).json({ success: false, message: "Invalid credentials" });
+      const tokens = await issueSession(employee, req);
+      const { password: _, ...employeeWithoutPassword } = employee;
+
+      console.log(`✅ 2FA enrolled and login successful for employee: ${employee.employeesID}`);
+      res.json({
+        success: true,
+        employee: employeeWithoutPassword,
+        ...tokens,
+        recoveryCodes,
+      });
+    } catch (error) {
+      sendMfaError(res, error, 'MFA enrolment');
+    }
+  });
+
   // 2. SET PASSWORD (for new users)
   router.post("/set-password", async (req, res) => {
     try {
@@ -286,14 +500,18 @@ module.exports = (pool) => {
         });
       }
       
-      // Verify token
+      // Verify the invitation token and the new password, then use up the token (single use)
       let decoded;
       try {
-        decoded = jwt.verify(token, JWT_SECRET);
-      } catch (jwtError) {
+        const { employeesID: tokenEmployeeID } = await actionTokens.peek(token, 'invite');
+        await checkNewPassword(tokenEmployeeID, newPassword);
+        decoded = await actionTokens.consume(token, 'invite');
+      } catch (tokenError) {
+        if (tokenError.errors) return sendPasswordError(res, tokenError);
+        if (!tokenError.status) throw tokenError;
         return res.status(400).json({ 
           success: false, 
-          message: "Invalid or expired token" 
+          message: tokenError.message 
         });
       }
       
@@ -311,25 +529,32 @@ module.exports = (pool) => {
           message: "Employee not found" 
         });
       }
+
+      if (employees[0].deactivated_at) {
+        return res.status(403).json({
+          success: false,
+          message: "Your account has been deactivated. Please contact your HR department."
+        });
+      }
       
-      // Hash the new password
-      const hashedPassword = await hashPassword(newPassword);
-      
-      // Update the password and set is_loggedin to true
-      await pool.execute(
-        `UPDATE ${EMPLOYEES_TABLE} SET password = ?, is_loggedin = TRUE WHERE employeesID = ?`,
-        [hashedPassword, employeesID]
-      );
+      // Store the new password (policy checked again) and set is_loggedin to true
+      await passwords.setPassword(employeesID, newPassword, { markLoggedIn: true });
       
-      // Generate a login token for immediate login
-      const loginToken = generateToken(employees[0]);
+      // Sessions and links issued for the old password are ended
+      await sessions.revokeAllForEmployee(employeesID, { reason: 'password set' });
+      await actionTokens.invalidateForEmployee(employeesID);
+
+      // Start a session for immediate login (or the second factor step)
+      const tokens = await startLogin(employees[0], req);
       
       res.json({ 
         success: true, 
         message: "Password has been set successfully", 
-        token: loginToken
+        ...tokens
       });
     } catch (error) {
+      if (error.errors) return sendPasswordError(res, error);
+      if (error.status) return res.status(error.status).json({ success: false, message: error.message });
       console.error('Set password error:', error);
       res.status(500).json({ 
         success: false, 
@@ -350,14 +575,18 @@ module.exports = (pool) => {
         });
       }
       
-      // Verify token
+      // Verify the reset token and the new password, then use up the token (single use)
       let decoded;
       try {
-        decoded = jwt.verify(token, JWT_SECRET);
-      } catch (jwtError) {
+        const { employeesID: tokenEmployeeID } = await actionTokens.peek(token, 'password_reset');
+        await checkNewPassword(tokenEmployeeID, newPassword);
+        decoded = await actionTokens.consume(token, 'password_reset');
+      } catch (tokenError) {
+        if (tokenError.errors) return sendPasswordError(res, tokenError);
+        if (!tokenError.status) throw tokenError;
         return res.status(400).json({ 
           success: false, 
-          message: "Invalid or expired token" 
+          message: tokenError.message 
         });
       }
       
@@ -375,25 +604,32 @@ module.exports = (pool) => {
           message: "Employee not found" 
         });
       }
+
+      if (employees[0].deactivated_at) {
+        return res.status(403).json({
+          success: false,
+          message: "Your account has been deactivated. Please contact your HR department."
+        });
+      }
       
-      // Hash the new password
-      const hashedPassword = await hashPassword(newPassword);
-      
-      // Update the password and set is_loggedin to true
-      await pool.execute(
-        `UPDATE ${EMPLOYEES_TABLE} SET password = ?, is_loggedin = TRUE WHERE employeesID = ?`,
-        [hashedPassword, employeesID]
-      );
+      // Store the new password (policy checked again) and set is_loggedin to true
+      await passwords.setPassword(employeesID, newPassword, { markLoggedIn: true });
       
-      // Generate a login token for immediate login
-      const loginToken = generateToken(employees[0]);
+      // Sessions and links issued for the old password are ended
+      await sessions.revokeAllForEmployee(employeesID, { reason: 'password reset' });
+      await actionTokens.invalidateForEmployee(employeesID);
+
+      // Start a session for immediate login (or the second factor step)
+      const tokens = await startLogin(employees[0], req);
       
       res.json({ 
         success: true, 
         message: "Password has been reset successfully", 
-        token: loginToken
+        ...tokens
       });
     } catch (error) {
+      if (error.errors) return sendPasswordError(res, error);
+      if (error.status) return res.status(error.status).json({ success: false, message: error.message });
       console.error('Reset password error:', error);
       res.status(500).json({ 
         success: false, 
@@ -421,97 +657,39 @@ module.exports = (pool) => {
         });
       }
 
-      // First find employee by employeesID only
+      // Every request counts, per account id and per IP
+      const subject = { account: employeesID, ip: req.ip };
+      try {
+        await throttle.check('forgot', subject);
+      } catch (error) {
+        return sendThrottled(res, error);
+      }
+      await throttle.record('forgot', subject);
+
+      // The response is the same whether or not the ID and email match an account
+      const genericResponse = {
+        success: true,
+        message: "If the Employee ID and email address match our records, password reset instructions have been sent to that email address. The link expires in 10 minutes."
+      };
+
       const [employees] = await pool.execute(
-        `SELECT employeesID, name, email FROM ${EMPLOYEES_TABLE} WHERE employeesID = ?`,
+        `SELECT employeesID, name, email, deactivated_at FROM ${EMPLOYEES_TABLE} WHERE employeesID = ?`,
         [employeesID]
       );
-
-      if (employees.length === 0) {
-        // Employee doesn't exist
-        return res.status(400).json({
-          success: false,
-          message: "Employee ID not found. Please check your Employee ID and try again."
-        });
-      }
-
       const employee = employees[0];
-      
-      // Check if employee has an email in database
-      if (!employee.email) {
-        return res.status(400).json({
-          success: false,
-          message: "This account doesn't have an email address. Please contact your HR department."
-        });
-      }
 
-      // Check if the provided email matches the employee's registered email
-      if (employee.email.toLowerCase() !== email.toLowerCase()) {
-        return res.status(400).json({
-          success: false,
-          message: "The email address doesn't match our records for this Employee ID. Please enter the correct email address."
-        });
+      if (!employee || employee.deactivated_at || !employee.email || employee.email.toLowerCase() !== String(email).trim().toLowerCase()) {
+        console.log(`Password reset requested for unknown or mismatched account: ${employeesID}`);
+        return res.json(genericResponse);
       }
       
-      // Create a reset token with 10-minute expiry
-      const resetToken = jwt.sign(
-        { employeesID: employee.employeesID },
-        JWT_SECRET,
-        { expiresIn: "10m" }
-      );
-
-      // Create reset URL pointing to our backend page
-      const resetURL = `${BACKEND_URL}/api/reset-password-page?token=${resetToken}`;
-
-      // Create professional email content for password reset
-      const emailContent = `
-        <h2>Password Reset Request</h2>
-        <p>Dear <strong>${employee.name || employee.employeesID}</strong>,</p>
-        <p>We have received a request to reset the password for your ForteAI Nexus account. For security purposes, your identity has been verified using your Employee ID and registered email address.</p>
-        
-        <div class="info-box">
-            <strong>Account Information:</strong><br>
-            Employee ID: ${employee.employeesID}<br>
-            Email Address: ${employee.email}<br>
-            Request Timestamp: ${new Date().toLocaleString()}<br>
-            Link Expires: ${new Date(Date.now() + 10*60*1000).toLocaleString()}
-        </div>
-        
-        <div class="instructions">
-            <h3>📝 Password Reset Instructions:</h3>
-            <ol>
-                <li>Click the "Reset My Password" button below to access the secure reset page</li>
-                <li>Create a new, strong password following the security requirements</li>
-                <li>Confirm your new password by entering it again</li>
-                <li>Click "Reset Password" to save your changes</li>
-                <li>You will be automatically redirected to the ForteAI Nexus login page</li>
-                <li>Log in using your Employee ID and new password</li>
-            </ol>
-        </div>
-        
-        <p><strong>🔐 Important Security Information:</strong></p>
-        <p style="margin-bottom: 8px;">• This password reset link will expire in <strong>10 minutes</strong> for security purposes</p>
-        <p style="margin-bottom: 8px;">• The link can only be used once</p>
-        <p style="margin-bottom: 8px;">• If you did not request this password reset, please disregard this email</p>
-        <p style="margin-bottom: 8px;">• For any security concerns, please contact your HR department immediately</p>
-      `;
-
-      // Send email with professional template
-      await sendEmail(
-        employee.email, 
-        'ForteAI Nexus - Password Reset Request (Expires in 10 minutes)',
-        createCompactEmailTemplate(
-          'Password Reset Request',
-          emailContent,
-          'Reset My Password',
-          resetURL
-        )
-      );
+      // Not awaited so the response time does not reveal that the account exists
+      sendPasswordResetEmail(
+        employee,
+        'We have received a request to reset the password for your ForteAI Nexus account. For security purposes, your identity has been verified using your Employee ID and registered email address.'
+      ).catch(err => console.error('Password reset email failed:', err.message));
       
-      res.json({ 
-        success: true, 
-        message: "Password reset instructions have been sent to your registered email address. Please check your inbox and complete the process within 10 minutes." 
-      });
+      res.json(genericResponse);
     } catch (error) {
       console.error('Forgot password error:', error);
       res.status(500).json({ 
@@ -551,7 +729,7 @@ module.exports = (pool) => {
       const storedPassword = rows[0].password;
       
       // Verify current password
-      const passwordMatches = await verifyPassword(currentPassword, storedPassword);
+      const { ok: passwordMatches } = await passwords.verifyPassword({ employeesID, password: storedPassword }, currentPassword);
       if (!passwordMatches) {
         return res.status(401).json({ 
           success: false, 
@@ -559,13 +737,20 @@ module.exports = (pool) => {
         });
       }
       
-      // Hash and update the new password
-      const hashedPassword = await hashPassword(newPassword);
-      
-      await pool.execute(
-        `UPDATE ${EMPLOYEES_TABLE} SET password = ? WHERE employeesID = ?`,
-        [hashedPassword, employeesID]
-      );
+      // Check the password policy and store the new password
+      try {
+        await passwords.setPassword(employeesID, newPassword);
+      } catch (policyError) {
+        return sendPasswordError(res, policyError);
+      }
+
+      // End the employee's other sessions (the current one stays logged in)
+      // and any outstanding reset links
+      await sessions.revokeAllForEmployee(employeesID, {
+        reason: 'password changed',
+        exceptSessionId: req.employee.sid,
+      });
+      await actionTokens.invalidateForEmployee(employeesID);
       
       res.json({ 
         success: true, 
@@ -580,6 +765,84 @@ module.exports = (pool) => {
     }
   });
 
+  // 5a. REFRESH TOKEN - exchange a refresh token for a new token pair (the refresh token rotates)
+  router.post("/refresh-token", async (req, res) => {
+    try {
+      const { refreshToken } = req.body || {};
+      if (!refreshToken) {
+        return res.status(400).json({ 
+          success: false, 
+          message: "Refresh token is required" 
+        });
+      }
+
+      const session = await sessions.refresh(refreshToken);
+      res.json({
+        success: true,
+        token: session.accessToken,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn,
+        refreshExpiresAt: session.refreshExpiresAt,
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
+      console.error('Refresh token error:', error);
+      res.status(500).json({ 
+        success: false, 
+        message: "Server error during token refresh" 
+      });
+    }
+  });
+
+  // 5b. LOGOUT - end the session of the access token or of the given refresh token.
+  // Works with an expired access token as long as the refresh token is sent.
+  // Body: { refreshToken?, allSessions? } - allSessions ends every session of the employee
+  router.post("/logout", async (req, res) => {
+    try {
+      const { refreshToken, allSessions } = req.body || {};
+      let sessionId = null;
+      let employeesID = null;
+
+      const accessToken = req.headers["authorization"]?.split(" ")[1];
+      if (accessToken) {
+        try {
+          const decoded = jwt.verify(accessToken, JWT_SECRET, { ignoreExpiration: true });
+          sessionId = decoded.sid || null;
+          // Ending all sessions needs a token that is still valid
+          if (decoded.exp * 1000 > Date.now() && !(await sessions.isRevoked(decoded))) {
+            employeesID = decoded.employeesID;
+          }
+        } catch (jwtError) {
+          // fall back to the refresh token
+        }
+      }
+      // The refresh token is only trusted once its secret is checked (revokeByRefreshToken)
+      const byRefreshToken = !sessionId && !!sessions.parseRefreshToken(refreshToken);
+      if (!sessionId && !byRefreshToken && !(allSessions === true && employeesID)) {
+        return res.status(400).json({ 
+          success: false, 
+          message: "Access token or refresh token is required" 
+        });
+      }
+
+      if (allSessions === true && employeesID) {
+        const count = await sessions.revokeAllForEmployee(employeesID, { reason: 'logout all' });
+        return res.json({ success: true, message: `Logged out of ${count} session(s)` });
+      }
+      if (sessionId) await sessions.revokeSession(sessionId, 'logout');
+      else if (byRefreshToken) await sessions.revokeByRefreshToken(refreshToken, 'logout');
+      res.json({ success: true, message: "Logged out successfully" });
+    } catch (error) {
+      console.error('Logout error:', error);
+      res.status(500).json({ 
+        success: false, 
+        message: "Server error during logout" 
+      });
+    }
+  });
+
   // 6. TEST AGREEMENT ENDPOINT (without auth)
   router.post("/test-agreement", async (req, res) => {
     console.log('🧪 Test agreement endpoint called');
@@ -618,7 +881,7 @@ module.exports = (pool) => {
   });
 
   // 7. SEND INVITATION EMAIL - Updated with simplified content
-  router.post("/send-invite", authenticateEmployee, async (req, res) => {
+  router.post("/send-invite", requirePermission("employees.invite", { message: "You are not allowed to send invitations" }), async (req, res) => {
     try {
       const { employeesID } = req.body;
       
@@ -629,14 +892,6 @@ module.exports = (pool) => {
         });
       }
       
-      // Check if the requester has permission (HR or Admin)
-      if (req.employee.role !== 'HR' && req.employee.role !== 'Admin') {
-        return res.status(403).json({ 
-          success: false, 
-          message: "Only HR or Admin can send invitations" 
-        });
-      }
-      
       // Find employee
       const [employees] = await pool.execute(
         `SELECT * FROM ${EMPLOYEES_TABLE} WHERE employeesID = ?`,
@@ -660,6 +915,14 @@ module.exports = (pool) => {
         });
       }
       
+      // Deactivated accounts cannot be activated again by invitation
+      if (employee.deactivated_at) {
+        return res.status(409).json({
+          success: false,
+          message: "Employee account is deactivated"
+        });
+      }
+      
       // Check if password is already set
       if (employee.is_loggedin) {
         return res.status(400).json({
@@ -668,12 +931,8 @@ module.exports = (pool) => {
         });
       }
       
-      // Create a token for setting initial password
-      const setPasswordToken = jwt.sign(
-        { employeesID: employee.employeesID },
-        JWT_SECRET,
-        { expiresIn: "7d" }
-      );
+      // Create a single-use token for setting initial password
+      const { token: setPasswordToken } = await actionTokens.issue(employee.employeesID, 'invite', '7d');
       
       // Create set password URL pointing to our backend page
       const setPasswordURL = `${BACKEND_URL}/api/set-password-page?token=${setPasswordToken}`;
@@ -754,17 +1013,19 @@ module.exports = (pool) => {
         `);
       }
       
-      // Verify token without throwing exception
+      // Verify token (unused and not expired) without using it up
+      let tokenPayload;
       try {
-        jwt.verify(token, JWT_SECRET);
-      } catch (jwtError) {
+        tokenPayload = await actionTokens.peek(token, 'password_reset');
+      } catch (tokenError) {
+        if (!tokenError.status) throw tokenError;
         return res.status(400).send(`
           <html>
             <head><title>Token Expired - ForteAI Nexus</title></head>
             <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background-color: #f8f9fa; margin: 0; padding: 20px; min-height: 100vh; display: flex; align-items: center; justify-content: center;">
               <div style="background: #ffffff; padding: 40px; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.08); text-align: center; max-width: 450px; border: 1px solid #e9ecef;">
                 <h1 style="color: #dc3545; margin-bottom: 20px; font-size: 20px; font-weight: 600;">🔒 Password Reset Link Expired</h1>
-                <p style="color: #6c757d; margin-bottom: 25px; line-height: 1.5;">This password reset link has expired (valid for 10 minutes only). Please request a new password reset link.</p>
+                <p style="color: #6c757d; margin-bottom: 25px; line-height: 1.5;">This password reset link has expired or has already been used (links are valid once, for 10 minutes). Please request a new password reset link.</p>
                 <a href="${FRONTEND_URL || '#'}" style="background-color: #007bff; color: #ffffff; text-decoration: none; padding: 10px 20px; border-radius: 4px; display: inline-block; font-weight: 500; font-size: 14px;">Request New Reset Link</a>
               </div>
             </body>
@@ -773,6 +1034,7 @@ module.exports = (pool) => {
       }
       
       // If token is valid, serve the password reset form
+      const requirements = await requirementsHtml(tokenPayload.employeesID);
       res.send(`
         <html>
           <head>
@@ -815,6 +1077,19 @@ module.exports = (pool) => {
                 font-weight: 400;
                 font-size: 14px;
               }
+              .requirements {
+                background-color: #f8f9fa;
+                border-left: 3px solid #007bff;
+                border-radius: 4px;
+                padding: 12px 16px;
+                margin-bottom: 20px;
+                font-size: 13px;
+                color: #495057;
+              }
+              .requirements ul, .error ul {
+                margin: 6px 0 0 0;
+                padding-left: 18px;
+              }
               .security-notice {
                 background-color: #fff3cd;
                 border: 1px solid #ffeaa7;
@@ -906,6 +1181,8 @@ module.exports = (pool) => {
                 <strong>⚠️ Security Notice:</strong> This password reset session will expire soon. Please complete the process promptly.
               </div>
               
+              ${requirements}
+              
               <div class="error" id="errorMsg"></div>
               <div class="success" id="successMsg"></div>
               
@@ -947,12 +1224,6 @@ module.exports = (pool) => {
                   return;
                 }
                 
-                if (newPassword.length < 8) {
-                  errorEl.textContent = 'Password must be at least 8 characters long for security purposes.';
-                  errorEl.style.display = 'block';
-                  return;
-                }
-                
                 try {
                   const response = await fetch('/api/reset-password', {
                     method: 'POST',
@@ -974,6 +1245,16 @@ module.exports = (pool) => {
                     }, 2000);
                   } else {
                     errorEl.textContent = data.message || 'An error occurred during password reset. Please try again.';
+                    if (Array.isArray(data.errors) && data.errors.length > 1) {
+                      const list = document.createElement('ul');
+                      data.errors.forEach(function (err) {
+                        const item = document.createElement('li');
+                        item.textContent = err.message;
+                        list.appendChild(item);
+                      });
+                      errorEl.textContent = 'Please choose a different password:';
+                      errorEl.appendChild(list);
+                    }
                     errorEl.style.display = 'block';
                   }
                 } catch (error) {
@@ -1021,17 +1302,19 @@ module.exports = (pool) => {
         `);
       }
       
-      // Verify token without throwing exception
+      // Verify token (unused and not expired) without using it up
+      let tokenPayload;
       try {
-        jwt.verify(token, JWT_SECRET);
-      } catch (jwtError) {
+        tokenPayload = await actionTokens.peek(token, 'invite');
+      } catch (tokenError) {
+        if (!tokenError.status) throw tokenError;
         return res.status(400).send(`
           <html>
             <head><title>Invalid Token - ForteAI Nexus</title></head>
             <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background-color: #f8f9fa; margin: 0; padding: 20px; min-height: 100vh; display: flex; align-items: center; justify-content: center;">
               <div style="background: #ffffff; padding: 40px; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.08); text-align: center; max-width: 400px; border: 1px solid #e9ecef;">
                 <h1 style="color: #dc3545; margin-bottom: 20px; font-size: 20px; font-weight: 600;">🔒 Link Expired</h1>
-                <p style="color: #6c757d; margin-bottom: 25px; line-height: 1.5;">The setup link is invalid or has expired. Please contact your HR department for a new invitation.</p>
+                <p style="color: #6c757d; margin-bottom: 25px; line-height: 1.5;">The setup link is invalid, has expired or has already been used. Please contact your HR department for a new invitation.</p>
                 <a href="${FRONTEND_URL || '#'}" style="background-color: #007bff; color: #ffffff; text-decoration: none; padding: 10px 20px; border-radius: 4px; display: inline-block; font-weight: 500; font-size: 14px;">Back to Login</a>
               </div>
             </body>
@@ -1040,6 +1323,7 @@ module.exports = (pool) => {
       }
       
       // If token is valid, serve the password setup form
+      const requirements = await requirementsHtml(tokenPayload.employeesID);
       res.send(`
         <html>
           <head>
@@ -1082,6 +1366,19 @@ module.exports = (pool) => {
                 font-weight: 400;
                 font-size: 14px;
               }
+              .requirements {
+                background-color: #f8f9fa;
+                border-left: 3px solid #007bff;
+                border-radius: 4px;
+                padding: 12px 16px;
+                margin-bottom: 20px;
+                font-size: 13px;
+                color: #495057;
+              }
+              .requirements ul, .error ul {
+                margin: 6px 0 0 0;
+                padding-left: 18px;
+              }
               .welcome-message {
                 background-color: #007bff;
                 color: #ffffff;
@@ -1174,6 +1471,8 @@ module.exports = (pool) => {
                 🎉 Welcome to ForteAI Nexus! Please set your password to get started.
               </div>
               
+              ${requirements}
+              
               <div class="error" id="errorMsg"></div>
               <div class="success" id="successMsg"></div>
               
@@ -1215,12 +1514,6 @@ module.exports = (pool) => {
                   return;
                 }
                 
-                if (newPassword.length < 6) {
-                  errorEl.textContent = 'Password must be at least 6 characters long.';
-                  errorEl.style.display = 'block';
-                  return;
-                }
-                
                 try {
                   const response = await fetch('/api/set-password', {
                     method: 'POST',
@@ -1242,6 +1535,16 @@ module.exports = (pool) => {
                     }, 2000);
                   } else {
                     errorEl.textContent = data.message || 'An error occurred. Please try again.';
+                    if (Array.isArray(data.errors) && data.errors.length > 1) {
+                      const list = document.createElement('ul');
+                      data.errors.forEach(function (err) {
+                        const item = document.createElement('li');
+                        item.textContent = err.message;
+                        list.appendChild(item);
+                      });
+                      errorEl.textContent = 'Please choose a different password:';
+                      errorEl.appendChild(list);
+                    }
                     errorEl.style.display = 'block';
                   }
                 } catch (error) {
@@ -0,0 +1,60 @@
+const express = require('express');
+
+// Two-factor self-service for the logged-in user - exports a function that takes (pool, TABLE_NAME, mfa, sessions)
+// Mounted at /api/mfa behind authenticateToken.
+module.exports = (pool, TABLE_NAME, mfa, sessions) => {
+  const router = express.Router();
+
+  const currentEmployee = async (req) => {
+    const [rows] = await pool.execute(
+      `SELECT employeesID, email, role, company_id FROM ${TABLE_NAME} WHERE employeesID = ? LIMIT 1`,
+      [req.employee.employeesID]
+    );
+    if (!rows.length) throw Object.assign(new Error('Employee not found'), { status: 404 });
+    return rows[0];
+  };
+
+  const handle = (label, fn) => async (req, res) => {
+    try {
+      return res.json({ success: true, ...(await fn(req)) });
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ success: false, message: err.message });
+      console.error(`Error ${label}`, err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  };
+
+  // GET /status - { available, enrolled, pending, required, recoveryCodesLeft }
+  router.get('/status', handle('fetching MFA status', async (req) => ({
+    mfa: await mfa.getStatus(await currentEmployee(req)),
+  })));
+
+  // POST /enroll - new secret and otpauth URI (for a QR code); not active until confirmed
+  router.post('/enroll', handle('starting MFA enrolment', async (req) => (
+    mfa.startEnrolment(await currentEmployee(req))
+  )));
+
+  // POST /enroll/confirm - body: { code }; activates MFA and returns recovery codes (shown once)
+  router.post('/enroll/confirm', handle('confirming MFA enrolment', async (req) => {
+    const recoveryCodes = await mfa.confirmEnrolment(req.employee.employeesID, (req.body || {}).code);
+    // Other sessions were opened without the second factor
+    await sessions.revokeAllForEmployee(req.employee.employeesID, {
+      reason: 'mfa enabled',
+      exceptSessionId: req.employee.sid,
+    });
+    return { message: 'Two-factor authentication enabled', recoveryCodes };
+  }));
+
+  // POST /recovery-codes - body: { code }; replaces all recovery codes
+  router.post('/recovery-codes', handle('regenerating recovery codes', async (req) => ({
+    recoveryCodes: await mfa.regenerateRecoveryCodes(req.employee.employeesID, (req.body || {}).code),
+  })));
+
+  // POST /disable - body: { code }
+  router.post('/disable', handle('disabling MFA', async (req) => {
+    await mfa.disable(await currentEmployee(req), (req.body || {}).code);
+    return { message: 'Two-factor authentication disabled' };
+  }));
+
+  return router;
+};
@@ -0,0 +1,51 @@
+const express = require('express');
+const { getPermissions } = require('../middlewares/permission');
+const { PERMISSIONS, ADMIN_ONLY } = require('../services/permissions.service');
+
+// Custom role routes - exports a function that takes (permissions, getCompanyId)
+// getCompanyId(req) resolves the company whose roles are managed; mounted for HR
+// (/api/hr/roles, own company) and Admin (/api/admin/company/:company/roles).
+module.exports = (permissions, getCompanyId) => {
+  const router = express.Router({ mergeParams: true });
+
+  // Wraps a service call; service errors carry an HTTP status
+  const handle = (label, fn, status = 200) => async (req, res) => {
+    try {
+      const companyId = await getCompanyId(req);
+      if (!companyId) return res.status(404).json({ success: false, message: 'Company not found' });
+      const actorPermissions = await getPermissions(req);
+      const result = await fn(req, companyId, actorPermissions);
+      return res.status(status).json({ success: true, ...result });
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ success: false, message: err.message });
+      console.error(`Error ${label}`, err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  };
+
+  // GET /permissions - permissions a custom role can grant
+  router.get('/permissions', handle('listing permissions', async () => ({
+    permissions: Object.entries(PERMISSIONS)
+      .filter(([name]) => !ADMIN_ONLY.includes(name))
+      .map(([name, description]) => ({ name, description })),
+  })));
+
+  router.get('/', handle('listing roles', async (req, companyId) => permissions.listRoles(companyId)));
+
+  // POST / - body: { name, description?, permissions: [...] }
+  router.post('/', handle('creating role', async (req, companyId, actorPermissions) => ({
+    role: await permissions.createRole(companyId, req.body || {}, { actorId: req.employee.employeesID, actorPermissions }),
+  }), 201));
+
+  // PUT /:roleId - body: any of { name, description, permissions }
+  router.put('/:roleId', handle('updating role', async (req, companyId, actorPermissions) => ({
+    role: await permissions.updateRole(companyId, Number(req.params.roleId), req.body || {}, { actorPermissions }),
+  })));
+
+  router.delete('/:roleId', handle('deleting role', async (req, companyId, actorPermissions) => {
+    await permissions.deleteRole(companyId, Number(req.params.roleId), { actorPermissions });
+    return { message: 'Role deleted' };
+  }));
+
+  return router;
+};
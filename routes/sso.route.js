@@ -0,0 +1,97 @@
+const express = require('express');
+
+// OpenID Connect single sign-on routes - exports a function that takes (pool, TABLE_NAME, oidc, sessions)
+// Mounted at /api/sso. The browser flow ends on the frontend's SSO page with
+// ?code=<one-time code> (or ?error=<message>); the frontend posts the code to
+// /api/sso/exchange to get the same tokens as /api/login.
+module.exports = (pool, TABLE_NAME, oidc, sessions) => {
+  const router = express.Router();
+  const FRONTEND_CALLBACK_URL = process.env.SSO_FRONTEND_CALLBACK_URL || `${process.env.FRONTEND_URL || ''}/sso/callback`;
+
+  const frontendRedirect = (res, params) => {
+    const separator = FRONTEND_CALLBACK_URL.includes('?') ? '&' : '?';
+    return res.redirect(`${FRONTEND_CALLBACK_URL}${separator}${new URLSearchParams(params).toString()}`);
+  };
+
+  const resolveCompanyId = async (companyParam) => {
+    const companyId = Number(companyParam);
+    if (!Number.isNaN(companyId)) return companyId;
+    const [rows] = await pool.execute('SELECT company_id FROM companies WHERE company_name = ? LIMIT 1', [companyParam]);
+    return rows.length ? rows[0].company_id : null;
+  };
+
+  // GET /:company/status - whether the login page should offer SSO for a company (id or name)
+  router.get('/:company/status', async (req, res) => {
+    try {
+      const companyId = await resolveCompanyId(req.params.company);
+      const config = companyId ? await oidc.getConfig(companyId) : null;
+      const enabled = !!(config && config.enabled);
+      return res.json({
+        success: true,
+        enabled,
+        loginUrl: enabled ? `/api/sso/${encodeURIComponent(req.params.company)}/login` : null,
+      });
+    } catch (error) {
+      console.error('SSO status error:', error);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  });
+
+  // GET /:company/login - redirect to the company's identity provider
+  router.get('/:company/login', async (req, res) => {
+    try {
+      const companyId = await resolveCompanyId(req.params.company);
+      if (!companyId) return frontendRedirect(res, { error: 'Single sign-on is not enabled for this company' });
+      return res.redirect(await oidc.startLogin(companyId));
+    } catch (error) {
+      if (error.status) return frontendRedirect(res, { error: error.message });
+      console.error('SSO start error:', error);
+      return frontendRedirect(res, { error: 'Single sign-on failed, please try again' });
+    }
+  });
+
+  // GET /callback - redirect URI registered at the identity providers
+  router.get('/callback', async (req, res) => {
+    try {
+      if (req.query.error) {
+        console.warn('SSO error from identity provider:', req.query.error, req.query.error_description || '');
+        return frontendRedirect(res, { error: 'Sign-in was cancelled or refused by your identity provider' });
+      }
+      const code = await oidc.finishLogin({ state: req.query.state, code: req.query.code });
+      return frontendRedirect(res, { code });
+    } catch (error) {
+      if (error.status) return frontendRedirect(res, { error: error.message });
+      console.error('SSO callback error:', error);
+      return frontendRedirect(res, { error: 'Single sign-on failed, please try again' });
+    }
+  });
+
+  // POST /exchange - body: { code }; the one-time code for a session.
+  // The identity provider already authenticated the user, so no TOTP step here.
+  router.post('/exchange', async (req, res) => {
+    try {
+      const employeesID = await oidc.exchangeHandoff((req.body || {}).code);
+      const [rows] = await pool.execute(`SELECT * FROM ${TABLE_NAME} WHERE employeesID = ? LIMIT 1`, [employeesID]);
+      if (!rows.length) return res.status(401).json({ success: false, message: 'Invalid credentials' });
+      const employee = rows[0];
+
+      const session = await sessions.createSession(employee, { userAgent: req.get('user-agent'), ip: req.ip });
+      const { password: _, ...employeeWithoutPassword } = employee;
+      return res.json({
+        success: true,
+        employee: employeeWithoutPassword,
+        token: session.accessToken,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn,
+        refreshExpiresAt: session.refreshExpiresAt,
+        sso: true,
+      });
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+      console.error('SSO exchange error:', error);
+      return res.status(500).json({ success: false, message: 'Server error during login' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,38 @@
+const express = require('express');
+
+// Manager dashboard - exports a function that takes (cycles, team, getCompanyId)
+// Mounted behind team.read; every response is about the caller's own reports.
+// getCompanyId(req) resolves the caller's company.
+module.exports = (cycles, team, getCompanyId) => {
+  const router = express.Router();
+
+  // Resolves the company and the cycle (current one unless ?cycleId= is given)
+  const handle = (label, fn) => async (req, res) => {
+    try {
+      const companyId = await getCompanyId(req);
+      if (!companyId) return res.status(404).json({ error: 'Company not found' });
+      const cycle = await cycles.resolveCycle(companyId, req.query.cycleId);
+      if (req.query.cycleId && !cycle) return res.status(404).json({ error: 'Survey cycle not found' });
+      const cycleId = cycle ? cycle.cycle_id : null;
+      return res.json({ cycle, ...(await fn(companyId, req.employee.employeesID, cycleId, req.query)) });
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message });
+      console.error(`Error fetching ${label}:`, err);
+      return res.status(500).json({ error: `Failed to fetch ${label}` });
+    }
+  };
+
+  // GET / - number of direct and all (direct and indirect) reports
+  router.get('/', handle('team overview', (companyId, managerId) =>
+    team.getOverview(companyId, managerId)));
+
+  // GET /completion - responses of the team. Query: cycleId, scope (direct | all, default all)
+  router.get('/completion', handle('team completion', (companyId, managerId, cycleId, query) =>
+    team.getCompletion(companyId, managerId, cycleId, { scope: query.scope || 'all' })));
+
+  // GET /sentiment - average sentiment and top attrition factors. Query: cycleId, scope
+  router.get('/sentiment', handle('team sentiment', (companyId, managerId, cycleId, query) =>
+    team.getSentiment(companyId, managerId, cycleId, { scope: query.scope || 'all' })));
+
+  return router;
+};
@@ -0,0 +1,34 @@
+const express = require('express');
+
+// HR trend analytics across survey cycles - exports a function that takes (trends, getCompanyId)
+// Mounted behind reports.read.company; all data is scoped to the company
+// getCompanyId(req) resolves for the caller.
+module.exports = (trends, getCompanyId) => {
+  const router = express.Router();
+
+  const handle = (label, fn) => async (req, res) => {
+    try {
+      const companyId = await getCompanyId(req);
+      if (!companyId) return res.status(404).json({ error: 'HR user company not found' });
+      return res.json({ companyId, ...(await fn(companyId, req.query)) });
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message });
+      console.error(`Error fetching ${label}:`, err);
+      return res.status(500).json({ error: `Failed to fetch ${label}` });
+    }
+  };
+
+  // GET / - company sentiment and attrition factors per cycle. Query: limit (last N cycles)
+  router.get('/', handle('sentiment trends', (companyId, query) =>
+    trends.getSentimentSeries(companyId, { limit: query.limit })));
+
+  // GET /questions - answer distributions per question and cycle. Query: limit, questionId
+  router.get('/questions', handle('question trends', (companyId, query) =>
+    trends.getQuestionTrends(companyId, { limit: query.limit, masterQuestionId: query.questionId })));
+
+  // GET /movers - biggest changes between two cycles. Query: fromCycleId, toCycleId, top
+  router.get('/movers', handle('biggest movers', (companyId, query) =>
+    trends.getMovers(companyId, { fromCycleId: query.fromCycleId, toCycleId: query.toCycleId, top: query.top })));
+
+  return router;
+};
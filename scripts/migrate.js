@@ -0,0 +1,50 @@
+// Applies the SQL files in scripts/migrations in filename order.
+// Applied files are recorded in schema_migrations so re-running is safe.
+const fs = require('fs');
+const path = require('path');
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+async function migrate() {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST || 'localhost',
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASSWORD || '',
+    database: process.env.DB_NAME || 'fortai_employees',
+    multipleStatements: true,
+  });
+
+  try {
+    await connection.query(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+         name VARCHAR(255) PRIMARY KEY,
+         applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+       )`
+    );
+    const [appliedRows] = await connection.query('SELECT name FROM schema_migrations');
+    const applied = new Set(appliedRows.map(r => r.name));
+
+    const files = fs.readdirSync(MIGRATIONS_DIR)
+      .filter(f => f.endsWith('.sql'))
+      .sort();
+
+    for (const file of files) {
+      if (applied.has(file)) continue;
+      console.log(`➡️ Applying ${file}...`);
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      await connection.query(sql);
+      await connection.query('INSERT INTO schema_migrations (name) VALUES (?)', [file]);
+      console.log(`✅ Applied ${file}`);
+    }
+    console.log('✅ Database schema up to date');
+  } finally {
+    await connection.end();
+  }
+}
+
+migrate().catch((err) => {
+  console.error('❌ Migration failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,29 @@
+-- Company analysis runs (individual reports + company report) tracked as jobs
+CREATE TABLE IF NOT EXISTS analysis_jobs (
+  job_id INT AUTO_INCREMENT PRIMARY KEY,
+  company_id INT NOT NULL,
+  status ENUM('queued', 'running', 'succeeded', 'failed') NOT NULL DEFAULT 'queued',
+  trigger_source VARCHAR(20) NOT NULL DEFAULT 'manual',
+  triggered_by VARCHAR(50) NULL,
+  error_text TEXT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP NULL,
+  finished_at TIMESTAMP NULL,
+  INDEX idx_analysis_jobs_company (company_id, created_at),
+  INDEX idx_analysis_jobs_status (status)
+);
+
+-- One row per employee report plus one for the company report
+CREATE TABLE IF NOT EXISTS analysis_job_tasks (
+  task_id INT AUTO_INCREMENT PRIMARY KEY,
+  job_id INT NOT NULL,
+  task_type ENUM('employee', 'company') NOT NULL,
+  employeesID VARCHAR(50) NULL,
+  status ENUM('queued', 'running', 'succeeded', 'failed') NOT NULL DEFAULT 'queued',
+  error_text TEXT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP NULL,
+  finished_at TIMESTAMP NULL,
+  INDEX idx_analysis_job_tasks_job (job_id),
+  CONSTRAINT fk_analysis_job_tasks_job FOREIGN KEY (job_id) REFERENCES analysis_jobs (job_id) ON DELETE CASCADE
+);
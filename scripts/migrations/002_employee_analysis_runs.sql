@@ -0,0 +1,11 @@
+-- Outcome of manual single-employee analysis runs (/api/trigger-ai-analysis/:employeeId)
+CREATE TABLE IF NOT EXISTS employee_analysis_runs (
+  run_id INT AUTO_INCREMENT PRIMARY KEY,
+  employeesID VARCHAR(50) NOT NULL,
+  triggered_by VARCHAR(50) NULL,
+  status ENUM('running', 'succeeded', 'failed') NOT NULL DEFAULT 'running',
+  error_text TEXT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  finished_at TIMESTAMP NULL,
+  INDEX idx_employee_analysis_runs_employee (employeesID, created_at)
+);
@@ -0,0 +1,48 @@
+-- Survey cycles (waves): responses and reports belong to a cycle so a company
+-- can run the survey again without deleting earlier results
+CREATE TABLE IF NOT EXISTS survey_cycles (
+  cycle_id INT AUTO_INCREMENT PRIMARY KEY,
+  company_id INT NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  opens_at DATETIME NOT NULL,
+  closes_at DATETIME NULL,
+  created_by VARCHAR(50) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_survey_cycles_company (company_id, opens_at)
+);
+
+ALTER TABLE Responses_Sentiment
+  ADD COLUMN cycle_id INT NULL,
+  ADD INDEX idx_responses_sentiment_cycle (cycle_id, employeesID);
+
+ALTER TABLE responses_langchain_sentiment
+  ADD COLUMN cycle_id INT NULL,
+  ADD INDEX idx_responses_langchain_cycle (cycle_id, employeesID);
+
+ALTER TABLE company_reports_sentiment
+  ADD COLUMN cycle_id INT NULL,
+  ADD INDEX idx_company_reports_cycle (company_id, cycle_id);
+
+ALTER TABLE analysis_jobs
+  ADD COLUMN cycle_id INT NULL AFTER company_id;
+
+-- Existing data becomes each company's first cycle
+INSERT INTO survey_cycles (company_id, name, opens_at)
+SELECT c.company_id, 'Initial survey', NOW() FROM companies c;
+
+UPDATE Responses_Sentiment rs
+  JOIN employees e ON e.employeesID = rs.employeesID
+  JOIN survey_cycles sc ON sc.company_id = e.company_id
+SET rs.cycle_id = sc.cycle_id
+WHERE rs.cycle_id IS NULL;
+
+UPDATE responses_langchain_sentiment r
+  JOIN employees e ON e.employeesID = r.employeesID
+  JOIN survey_cycles sc ON sc.company_id = e.company_id
+SET r.cycle_id = sc.cycle_id
+WHERE r.cycle_id IS NULL;
+
+UPDATE company_reports_sentiment cr
+  JOIN survey_cycles sc ON sc.company_id = cr.company_id
+SET cr.cycle_id = sc.cycle_id
+WHERE cr.cycle_id IS NULL;
@@ -0,0 +1,4 @@
+-- Whether a master question must be answered for a submission to be accepted.
+-- Existing questions stay required, matching how the survey UI treated them.
+ALTER TABLE MasterQuestions_Sentiment
+  ADD COLUMN is_required TINYINT(1) NOT NULL DEFAULT 1 AFTER helper_text;
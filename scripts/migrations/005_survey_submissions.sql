@@ -0,0 +1,21 @@
+-- One row per completed survey submission (employee + form + cycle).
+-- The unique keys refuse duplicate submissions and let a client safely retry a
+-- submission with the same Idempotency-Key.
+CREATE TABLE IF NOT EXISTS survey_submissions (
+  submission_id INT AUTO_INCREMENT PRIMARY KEY,
+  employeesID VARCHAR(50) NOT NULL,
+  form_id INT NOT NULL,
+  cycle_id INT NOT NULL,
+  idempotency_key VARCHAR(100) NULL,
+  answer_count INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_survey_submissions_form (employeesID, form_id, cycle_id),
+  UNIQUE KEY uq_survey_submissions_key (employeesID, idempotency_key)
+);
+
+-- Submissions made before this table existed
+INSERT IGNORE INTO survey_submissions (employeesID, form_id, cycle_id, answer_count)
+SELECT employeesID, form_id, cycle_id, COUNT(*)
+FROM Responses_Sentiment
+WHERE cycle_id IS NOT NULL
+GROUP BY employeesID, form_id, cycle_id;
@@ -0,0 +1,12 @@
+-- Partially answered surveys, one per employee, form and cycle.
+-- Removed when the survey is submitted.
+CREATE TABLE IF NOT EXISTS survey_drafts (
+  draft_id INT AUTO_INCREMENT PRIMARY KEY,
+  employeesID VARCHAR(50) NOT NULL,
+  form_id INT NOT NULL,
+  cycle_id INT NOT NULL,
+  answers JSON NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_survey_drafts (employeesID, form_id, cycle_id)
+);
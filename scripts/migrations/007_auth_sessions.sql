@@ -0,0 +1,26 @@
+-- Login sessions backing refresh tokens. The refresh token is
+-- "<session_id>.<secret>"; only a SHA-256 hash of the secret is stored.
+-- Each refresh rotates the secret. Presenting the previous secret again means
+-- the token was copied, and the whole session is revoked.
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  session_id CHAR(32) PRIMARY KEY,
+  employeesID VARCHAR(50) NOT NULL,
+  refresh_hash CHAR(64) NOT NULL,
+  previous_refresh_hash CHAR(64) NULL,
+  user_agent VARCHAR(255) NULL,
+  ip_address VARCHAR(64) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP NULL,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME NULL,
+  revoked_reason VARCHAR(100) NULL,
+  INDEX idx_auth_sessions_employee (employeesID, revoked_at)
+);
+
+-- Tokens issued to an employee before revoked_before are rejected even if they
+-- are not tied to a session (tokens issued before sessions existed)
+CREATE TABLE IF NOT EXISTS auth_revocations (
+  employeesID VARCHAR(50) PRIMARY KEY,
+  revoked_before DATETIME NOT NULL,
+  reason VARCHAR(100) NULL
+);
@@ -0,0 +1,12 @@
+-- Password reset and invitation links. The JWT in the link carries the jti and
+-- purpose; this row makes it single use and lets a password change invalidate it.
+CREATE TABLE IF NOT EXISTS auth_action_tokens (
+  jti CHAR(32) PRIMARY KEY,
+  employeesID VARCHAR(50) NOT NULL,
+  purpose ENUM('password_reset', 'invite') NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  invalidated_at DATETIME NULL,
+  INDEX idx_auth_action_tokens_employee (employeesID, purpose)
+);
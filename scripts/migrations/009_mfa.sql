@@ -0,0 +1,22 @@
+-- TOTP two-factor authentication for HR and Admin accounts.
+-- enabled_at stays NULL until the first code is confirmed.
+CREATE TABLE IF NOT EXISTS mfa_credentials (
+  employeesID VARCHAR(50) PRIMARY KEY,
+  secret VARCHAR(64) NOT NULL,
+  enabled_at DATETIME NULL,
+  last_used_step BIGINT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One-time recovery codes (SHA-256 hashes)
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+  code_id INT AUTO_INCREMENT PRIMARY KEY,
+  employeesID VARCHAR(50) NOT NULL,
+  code_hash CHAR(64) NOT NULL,
+  used_at DATETIME NULL,
+  INDEX idx_mfa_recovery_codes_employee (employeesID)
+);
+
+-- Admins can make MFA mandatory for the HR users of a company
+ALTER TABLE companies
+  ADD COLUMN mfa_required_hr TINYINT(1) NOT NULL DEFAULT 0;
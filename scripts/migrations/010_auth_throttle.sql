@@ -0,0 +1,11 @@
+-- Shared store for login / forgot-password attempt tracking (LOGIN_THROTTLE_STORE=mysql),
+-- so every server instance sees the same counters and lockouts. Times are epoch ms.
+CREATE TABLE IF NOT EXISTS auth_throttle (
+  throttle_key VARCHAR(191) PRIMARY KEY,
+  attempts INT NOT NULL DEFAULT 0,
+  window_ends_at BIGINT NOT NULL,
+  blocked_until BIGINT NULL,
+  locked TINYINT(1) NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_auth_throttle_window (window_ends_at)
+);
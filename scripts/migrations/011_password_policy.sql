@@ -0,0 +1,23 @@
+-- Per-company password policy; companies without a row use the built-in default
+-- (services/passwordPolicy.service.js).
+CREATE TABLE IF NOT EXISTS company_password_policies (
+  company_id INT PRIMARY KEY,
+  min_length INT NOT NULL DEFAULT 8,
+  require_uppercase TINYINT(1) NOT NULL DEFAULT 1,
+  require_lowercase TINYINT(1) NOT NULL DEFAULT 1,
+  require_digit TINYINT(1) NOT NULL DEFAULT 1,
+  require_symbol TINYINT(1) NOT NULL DEFAULT 0,
+  block_common TINYINT(1) NOT NULL DEFAULT 1,
+  history_count INT NOT NULL DEFAULT 5,
+  updated_by VARCHAR(50) NULL,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Hashes of previous passwords, for the "no reuse of the last N" rule
+CREATE TABLE IF NOT EXISTS password_history (
+  history_id INT AUTO_INCREMENT PRIMARY KEY,
+  employeesID VARCHAR(50) NOT NULL,
+  password_hash VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_password_history_employee (employeesID, history_id)
+);
@@ -0,0 +1,32 @@
+-- OpenID Connect single sign-on, configured per company by an admin.
+-- The IdP redirect URI to register is ${BACKEND_URL}/api/sso/callback.
+CREATE TABLE IF NOT EXISTS company_sso_providers (
+  company_id INT PRIMARY KEY,
+  issuer VARCHAR(255) NOT NULL,
+  client_id VARCHAR(255) NOT NULL,
+  client_secret VARCHAR(512) NULL,
+  token_auth_method ENUM('client_secret_basic', 'client_secret_post') NOT NULL DEFAULT 'client_secret_basic',
+  scopes VARCHAR(255) NOT NULL DEFAULT 'openid email profile',
+  email_claim VARCHAR(100) NOT NULL DEFAULT 'email',
+  require_email_verified TINYINT(1) NOT NULL DEFAULT 1,
+  enabled TINYINT(1) NOT NULL DEFAULT 1,
+  updated_by VARCHAR(50) NULL,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- One row per SSO login attempt: state/nonce/PKCE verifier for the IdP round trip,
+-- then the one-time code the frontend exchanges for a session
+CREATE TABLE IF NOT EXISTS sso_login_states (
+  state CHAR(43) PRIMARY KEY,
+  company_id INT NOT NULL,
+  nonce CHAR(43) NOT NULL,
+  code_verifier CHAR(43) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  employeesID VARCHAR(50) NULL,
+  handoff_hash CHAR(64) NULL,
+  handoff_expires_at DATETIME NULL,
+  handoff_used_at DATETIME NULL,
+  UNIQUE KEY uq_sso_login_states_handoff (handoff_hash)
+);
@@ -0,0 +1,14 @@
+-- Custom roles per company. employees.role holds either a built-in role
+-- (Employee, Manager, HR, Admin) or the role_name of one of these rows.
+-- permissions is a JSON array of names from services/permissions.service.js.
+CREATE TABLE IF NOT EXISTS company_roles (
+  role_id INT AUTO_INCREMENT PRIMARY KEY,
+  company_id INT NOT NULL,
+  role_name VARCHAR(50) NOT NULL,
+  description VARCHAR(255) NULL,
+  permissions JSON NOT NULL,
+  created_by VARCHAR(50) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_company_roles_name (company_id, role_name)
+);
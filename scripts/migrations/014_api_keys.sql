@@ -0,0 +1,29 @@
+-- API keys for integrations (e.g. HRIS sync): scoped to one company and a set of
+-- permissions. The key itself is nxk_<key_id>_<secret>; only the secret's hash is kept.
+CREATE TABLE IF NOT EXISTS api_keys (
+  key_id CHAR(16) PRIMARY KEY,
+  company_id INT NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  secret_hash CHAR(64) NOT NULL,
+  permissions JSON NOT NULL,
+  created_by VARCHAR(50) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  last_used_at DATETIME NULL,
+  last_used_ip VARCHAR(45) NULL,
+  revoked_at DATETIME NULL,
+  revoked_by VARCHAR(50) NULL,
+  INDEX idx_api_keys_company (company_id)
+);
+
+-- Every request made with an API key
+CREATE TABLE IF NOT EXISTS api_key_audit (
+  audit_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  key_id CHAR(16) NOT NULL,
+  method VARCHAR(10) NOT NULL,
+  path VARCHAR(255) NOT NULL,
+  status_code INT NOT NULL,
+  ip_address VARCHAR(45) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_api_key_audit_key (key_id, audit_id)
+);
@@ -0,0 +1,26 @@
+-- Admin impersonation: one row per impersonation token (no refresh token), plus
+-- every request made with it.
+CREATE TABLE IF NOT EXISTS impersonation_sessions (
+  impersonation_id CHAR(32) PRIMARY KEY,
+  admin_id VARCHAR(50) NOT NULL,
+  employeesID VARCHAR(50) NOT NULL,
+  reason VARCHAR(255) NOT NULL,
+  ip_address VARCHAR(45) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  ended_at DATETIME NULL,
+  ended_by VARCHAR(50) NULL,
+  INDEX idx_impersonation_employee (employeesID),
+  INDEX idx_impersonation_admin (admin_id)
+);
+
+CREATE TABLE IF NOT EXISTS impersonation_audit (
+  audit_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  impersonation_id CHAR(32) NOT NULL,
+  method VARCHAR(10) NOT NULL,
+  path VARCHAR(255) NOT NULL,
+  status_code INT NOT NULL,
+  blocked TINYINT(1) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_impersonation_audit (impersonation_id, audit_id)
+);
@@ -0,0 +1,5 @@
+-- Deactivated employees keep their data but cannot sign in and no longer count
+-- towards survey completion. Reactivation clears both columns.
+ALTER TABLE employees
+  ADD COLUMN deactivated_at DATETIME NULL,
+  ADD COLUMN deactivated_by VARCHAR(50) NULL;
@@ -0,0 +1,17 @@
+-- Offboarding: the leave date is the first day the employee is no longer employed.
+-- From then on they drop out of survey completion (unless they responded in that
+-- cycle) and are deactivated. reports_retired_at records when their individual
+-- reports were anonymized or purged under the company's retention rule.
+ALTER TABLE employees
+  ADD COLUMN leave_date DATE NULL,
+  ADD COLUMN offboarded_at DATETIME NULL,
+  ADD COLUMN offboarded_by VARCHAR(50) NULL,
+  ADD COLUMN reports_retired_at DATETIME NULL;
+
+-- NULL retention days = OFFBOARDING_RETENTION_DAYS
+ALTER TABLE companies
+  ADD COLUMN offboarding_retention_days INT NULL,
+  ADD COLUMN offboarding_report_action ENUM('anonymize', 'purge') NOT NULL DEFAULT 'anonymize';
+
+ALTER TABLE responses_langchain_sentiment
+  ADD COLUMN anonymized_at DATETIME NULL;
@@ -0,0 +1,17 @@
+-- Org structure: departments per company, teams as departments with a parent,
+-- and each employee's department (or team) and manager (manager_id = employeesID).
+CREATE TABLE IF NOT EXISTS departments (
+  department_id INT AUTO_INCREMENT PRIMARY KEY,
+  company_id INT NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  parent_id INT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_departments_name (company_id, parent_id, name),
+  INDEX idx_departments_parent (parent_id)
+);
+
+ALTER TABLE employees
+  ADD COLUMN department_id INT NULL,
+  ADD COLUMN manager_id VARCHAR(50) NULL,
+  ADD INDEX idx_employees_department (department_id),
+  ADD INDEX idx_employees_manager (manager_id);
@@ -0,0 +1,5 @@
+-- Minimum group size for aggregate reports: a company report, department slice,
+-- team view or question distribution based on fewer respondents is suppressed.
+-- NULL = ANONYMITY_MIN_GROUP_SIZE.
+ALTER TABLE companies
+  ADD COLUMN min_group_size INT NULL;
@@ -0,0 +1,11 @@
+-- Anonymized individual reports no longer point to an employee; company_id keeps
+-- them attached to their company so company aggregates and resets include them.
+ALTER TABLE responses_langchain_sentiment
+  ADD COLUMN company_id INT NULL,
+  ADD INDEX idx_langchain_company (company_id);
+
+-- Reports anonymized before this migration, matched by company name
+UPDATE responses_langchain_sentiment r
+JOIN companies c ON c.company_name = r.company
+SET r.company_id = c.company_id
+WHERE r.anonymized_at IS NOT NULL AND r.company_id IS NULL;
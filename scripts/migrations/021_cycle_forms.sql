@@ -0,0 +1,14 @@
+-- Form a survey cycle runs. A form attached to an open cycle is live and cannot
+-- change structurally, even before the first response comes in.
+ALTER TABLE survey_cycles
+  ADD COLUMN form_id INT NULL AFTER name;
+
+-- Existing cycles run the form their responses were given on, when there is one
+UPDATE survey_cycles sc
+  JOIN (
+    SELECT cycle_id, MIN(form_id) AS form_id FROM Responses_Sentiment
+    WHERE cycle_id IS NOT NULL
+    GROUP BY cycle_id HAVING COUNT(DISTINCT form_id) = 1
+  ) f ON f.cycle_id = sc.cycle_id
+SET sc.form_id = f.form_id
+WHERE sc.form_id IS NULL;
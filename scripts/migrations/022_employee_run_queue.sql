@@ -0,0 +1,5 @@
+-- Manual single-employee analysis runs are queued and finished in the
+-- background; the cycle is kept with the run
+ALTER TABLE employee_analysis_runs
+  MODIFY COLUMN status ENUM('queued', 'running', 'succeeded', 'failed') NOT NULL DEFAULT 'queued',
+  ADD COLUMN cycle_id INT NULL AFTER employeesID;
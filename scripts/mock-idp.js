@@ -0,0 +1,122 @@
+// Minimal OpenID Connect provider for trying out SSO locally.
+//   node scripts/mock-idp.js            (MOCK_IDP_PORT, default 4010)
+// Configure a company with issuer http://localhost:4010, any clientId and
+// clientSecret (or MOCK_IDP_CLIENT_SECRET if set). The authorize page asks for the
+// email to sign in as; with MOCK_IDP_EMAIL set it signs in as that email directly.
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = Number(process.env.MOCK_IDP_PORT) || 4010;
+const ISSUER = process.env.MOCK_IDP_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_SECRET = process.env.MOCK_IDP_CLIENT_SECRET || null;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = crypto.randomBytes(8).toString('hex');
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' };
+
+// code -> { clientId, redirectUri, nonce, codeChallenge, email, expires }
+const codes = new Map();
+
+const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+    code_challenge_methods_supported: ['S256'],
+  });
+});
+
+app.get('/jwks', (req, res) => res.json({ keys: [jwk] }));
+
+const approve = (res, params, email) => {
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    clientId: params.client_id,
+    redirectUri: params.redirect_uri,
+    nonce: params.nonce,
+    codeChallenge: params.code_challenge,
+    email: String(email).trim(),
+    expires: Date.now() + 60 * 1000,
+  });
+  const query = new URLSearchParams({ code, state: params.state || '' });
+  console.log(`🔑 Mock IdP: ${email} signed in for client ${params.client_id}`);
+  res.redirect(`${params.redirect_uri}?${query.toString()}`);
+};
+
+app.get('/authorize', (req, res) => {
+  const params = req.query;
+  if (params.response_type !== 'code' || !params.client_id || !params.redirect_uri) {
+    return res.status(400).send('response_type=code, client_id and redirect_uri are required');
+  }
+  if (process.env.MOCK_IDP_EMAIL) return approve(res, params, process.env.MOCK_IDP_EMAIL);
+  const hidden = Object.entries(params)
+    .map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`)
+    .join('');
+  res.send(`
+    <html><body style="font-family: sans-serif; padding: 40px;">
+      <h2>Mock identity provider</h2>
+      <form method="POST" action="/authorize">
+        ${hidden}
+        <label>Sign in as (email): <input name="login_email" value="${escapeHtml(params.login_hint)}" required></label>
+        <button type="submit">Sign in</button>
+        <button type="submit" name="deny" value="1">Deny</button>
+      </form>
+    </body></html>
+  `);
+});
+
+app.post('/authorize', (req, res) => {
+  const { login_email: email, deny, ...params } = req.body;
+  if (deny) {
+    const query = new URLSearchParams({ error: 'access_denied', state: params.state || '' });
+    return res.redirect(`${params.redirect_uri}?${query.toString()}`);
+  }
+  return approve(res, params, email);
+});
+
+app.post('/token', (req, res) => {
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+  const auth = req.get('authorization') || '';
+  if (auth.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(auth.slice(6), 'base64').toString().split(':');
+    clientId = decodeURIComponent(id);
+    clientSecret = decodeURIComponent(secret || '');
+  }
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+  if (!grant || grant.expires < Date.now() || grant.clientId !== clientId || grant.redirectUri !== req.body.redirect_uri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+  if (CLIENT_SECRET && clientSecret !== CLIENT_SECRET) return res.status(401).json({ error: 'invalid_client' });
+  if (grant.codeChallenge) {
+    const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+    if (challenge !== grant.codeChallenge) return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign(
+    {
+      sub: crypto.createHash('sha256').update(grant.email.toLowerCase()).digest('hex').slice(0, 24),
+      email: grant.email,
+      email_verified: true,
+      name: grant.email.split('@')[0],
+      nonce: grant.nonce,
+    },
+    privateKey,
+    { algorithm: 'RS256', keyid: KID, issuer: ISSUER, audience: clientId, expiresIn: '5m' }
+  );
+  res.json({ access_token: crypto.randomBytes(16).toString('hex'), token_type: 'Bearer', expires_in: 300, id_token: idToken });
+});
+
+app.listen(PORT, () => console.log(`🧪 Mock OIDC provider running on ${ISSUER}`));
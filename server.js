@@ -1,39 +1,29 @@
 const express = require("express");
 const cors = require("cors");
 const mysql = require("mysql2/promise");
-const jwt = require("jsonwebtoken");
-const bcrypt = require("bcrypt");
-const axios = require("axios");
 const XLSX = require("xlsx");
 require("dotenv").config();
 
-
-async function getAI(prompt) {
-
-  const res = await axios.post('http://10.0.128.123:8000/generate', { prompt });
-
-  return res.data.response;
-
-}
-
 // Import middleware
 const authenticateAdmin = require("./middlewares/admin.auth");
 const { authenticateEmployee } = require("./middlewares/employee.auth");
 const authenticateHR = require("./middlewares/hr.auth");
+const { verifyAccessToken, setRevocationCheck, setApiKeyVerifier } = require("./middlewares/token.verify");
+const { requirePermission, hasPermission, getPermissions, setPermissionResolver, denyApiKeys } = require("./middlewares/permission");
 
 // Make sure we're exporting the middleware correctly (not as an object)
 const authenticateToken = (req, res, next) => {
   const token = req.headers["authorization"]?.split(" ")[1];
   if (!token) return res.status(401).json({ message: "Access token required" });
 
-  jwt.verify(
+  verifyAccessToken(
     token,
-    process.env.JWT_SECRET || "your-secret-key",
     (err, employee) => {
       if (err)
         return res.status(403).json({ message: "Invalid or expired token" });
       req.employee = employee;
-      next();
+      // Personal sessions only; API keys go through requirePermission()
+      denyApiKeys(req, res, next);
     }
   );
 };
@@ -41,6 +31,13 @@ const authenticateToken = (req, res, next) => {
 const app = express();
 const PORT = process.env.PORT || 3002;
 
+// Behind a reverse proxy set TRUST_PROXY (e.g. 1) so req.ip is the client address,
+// which the login throttle counts attempts by
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -75,6 +72,57 @@ const FLASK_TIMEOUT = parseInt(process.env.FLASK_TIMEOUT) || 180000; // 3 minute
 // Create connection pool
 const pool = mysql.createPool(dbConfig);
 
+// Login sessions / refresh tokens; every auth middleware rejects revoked tokens
+const sessions = require('./services/sessions.service')(pool, TABLE_NAME);
+// Admin impersonation: read-only tokens, every request audited
+const impersonation = require('./services/impersonation.service')(pool, TABLE_NAME);
+setRevocationCheck(async (payload) => (payload.imp && await impersonation.isEnded(payload)) || sessions.isRevoked(payload));
+app.use(impersonation.guardRequests);
+// Role -> permission registry used by requirePermission() (and authenticateHR / authenticateAdmin)
+const permissions = require('./services/permissions.service')(pool, TABLE_NAME);
+setPermissionResolver(permissions.resolvePermissions);
+// API keys for integrations: accepted by the auth middlewares, every request audited
+const apiKeys = require('./services/apiKeys.service')(pool);
+setApiKeyVerifier(apiKeys.verifyKey);
+app.use(apiKeys.auditRequests);
+const actionTokens = require('./services/actionTokens.service')(pool);
+const mfa = require('./services/mfa.service')(pool, TABLE_NAME);
+// Attempt limits / lockout for login and forgot-password (LOGIN_THROTTLE_STORE=memory|mysql)
+const loginThrottle = require('./services/loginThrottle.service')(pool);
+// Per-company password policy and history; every password change goes through it
+const passwords = require('./services/passwordPolicy.service')(pool, TABLE_NAME);
+// OpenID Connect single sign-on per company
+const oidc = require('./services/oidc.service')(pool, TABLE_NAME, {
+  callbackUrl: process.env.SSO_CALLBACK_URL || `${process.env.BACKEND_URL || ''}/api/sso/callback`,
+});
+
+// AI analysis provider (flask | generate | mock), see services/ai/index.js
+const { provider: aiProvider, reports: aiReports, breaker: aiBreaker } = require('./services/ai')(pool, TABLE_NAME, {
+  provider: process.env.AI_PROVIDER,
+  flaskBaseUrl: FLASK_BASE_URL,
+  generateUrl: process.env.AI_GENERATE_URL,
+  timeout: FLASK_TIMEOUT,
+});
+console.log("🤖 AI provider:", aiProvider.name, aiProvider.endpoint);
+
+// Survey cycles (waves): responses, reports and completion are tracked per cycle
+const cycles = require('./services/cycles.service')(pool, TABLE_NAME);
+// Minimum group size (k-anonymity) applied to every aggregate report and export
+const anonymity = require('./services/anonymity.service')(pool);
+const trends = require('./services/trends.service')(pool, { anonymity });
+const forms = require('./services/forms.service')(pool);
+const responseValidation = require('./services/responseValidation.service')(pool);
+const submissions = require('./services/submissions.service')(pool, TABLE_NAME);
+const drafts = require('./services/drafts.service')(pool, TABLE_NAME, { cycles, responseValidation });
+// Departments / teams and reporting lines
+const org = require('./services/org.service')(pool, TABLE_NAME, { cycles, aiReports, anonymity });
+// Manager dashboard over their reports (aggregates only)
+const team = require('./services/team.service')(pool, TABLE_NAME, { cycles, aiReports, org, anonymity });
+const employeeAccounts = require('./services/employees.service')(pool, TABLE_NAME, { sessions, actionTokens, permissions, org });
+// Leave dates, and retention of former employees' individual reports (periodic sweep)
+const offboarding = require('./services/offboarding.service')(pool, TABLE_NAME, { employeeAccounts, sessions, actionTokens });
+offboarding.startSweeps();
+
 // Test database connection
 async function testConnection() {
   try {
@@ -91,10 +139,14 @@ async function testConnection() {
 
 testConnection();
 
-// Import and use login routes - make sure we're only passing the pool
-const loginRoutes = require('./routes/login.route')(pool);
+// Import and use login routes
+const loginRoutes = require('./routes/login.route')(pool, sessions, actionTokens, mfa, loginThrottle, passwords);
 app.use('/api', loginRoutes);
 
+// Single sign-on with the company's identity provider (OIDC)
+const ssoRoutes = require('./routes/sso.route')(pool, TABLE_NAME, oidc, sessions);
+app.use('/api/sso', ssoRoutes);
+
 // Remove the static routes since we're now serving dynamic HTML from the routes
 // app.use('/api/reset-password-page', express.static('public/reset-password.html'));
 // app.use('/api/set-password-page', express.static('public/set-password.html'));
@@ -106,6 +158,10 @@ app.use((req, res, next) => {
   next();
 });
 
+// Two-factor authentication self-service (HR and Admin)
+const mfaRoutes = require('./routes/mfa.route')(pool, TABLE_NAME, mfa, sessions);
+app.use('/api/mfa', authenticateToken, mfaRoutes);
+
 // Generic change password route (for all authenticated users)
 app.post('/api/change-password', authenticateToken, async (req, res) => {
   try {
@@ -123,44 +179,26 @@ app.post('/api/change-password', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Employee not found' });
 
     const existingHash = rows[0].password;
-    // if existing password exists, verify current
+    // if existing password exists, verify current (plaintext ones are re-hashed on the way)
     if (existingHash) {
-      let ok = false;
-      try {
-        // If stored value looks like a bcrypt hash, use bcrypt.compare
-        if (
-          typeof existingHash === 'string' &&
-          existingHash.startsWith('$2')
-        ) {
-          ok = await bcrypt.compare(current || '', existingHash);
-        } else {
-          // Legacy plaintext password in DB: compare directly
-          ok = current === existingHash;
-        }
-      } catch (pwErr) {
-        console.error(
-          'Password verification error for change-password',
-          req.employee?.employeesID,
-          pwErr
-        );
-        return res
-          .status(500)
-          .json({ message: 'Server error during password verification' });
-      }
+      const { ok } = await passwords.verifyPassword({ employeesID: emp.employeesID, password: existingHash }, current || '');
       if (!ok)
         return res
           .status(401)
           .json({ message: 'Current password incorrect' });
     }
 
-    const saltRounds = 10;
-    const hashed = await bcrypt.hash(newPassword, saltRounds);
+    // Check the password policy, store the password and mark as logged in (for first-time login scenario)
+    try {
+      await passwords.setPassword(emp.employeesID, newPassword, { markLoggedIn: true });
+    } catch (policyErr) {
+      if (!policyErr.errors) throw policyErr;
+      return res.status(400).json({ message: policyErr.message, errors: policyErr.errors, requirements: policyErr.requirements });
+    }
 
-    // Update password and mark as logged in (for first-time login scenario)
-    await pool.execute(
-      `UPDATE ${TABLE_NAME} SET password = ?, is_loggedin = TRUE WHERE employeesID = ?`,
-      [hashed, emp.employeesID]
-    );
+    // End the employee's other sessions and outstanding reset links
+    await sessions.revokeAllForEmployee(emp.employeesID, { reason: 'password changed', exceptSessionId: emp.sid });
+    await actionTokens.invalidateForEmployee(emp.employeesID);
 
     res.json({ message: 'Password updated successfully' });
   } catch (error) {
@@ -172,14 +210,76 @@ app.post('/api/change-password', authenticateToken, async (req, res) => {
 });
 
 // HR routes (employees management, HR feedback)
-const hrRoutes = require('./routes/hr.route')(pool, TABLE_NAME, authenticateHR, authenticateToken);
+const hrRoutes = require('./routes/hr.route')(pool, TABLE_NAME, authenticateHR, authenticateToken, cycles, passwords, employeeAccounts, offboarding, org);
 app.use('/api/hr', authenticateHR, hrRoutes);
 
+// Company of the caller for company-scoped routes (API keys carry their company)
+const getHrCompanyIdFor = async (req) => {
+  if (req.employee.apiKeyId) return req.employee.company_id;
+  const [rows] = await pool.execute(`SELECT company_id FROM ${TABLE_NAME} WHERE employeesID = ? LIMIT 1`, [req.employee.employeesID]);
+  return rows.length ? rows[0].company_id : null;
+};
+
+// Custom roles: HR manage their own company's, Admin any company's
+app.use('/api/hr/roles', requirePermission('roles.manage'), require('./routes/roles.route')(permissions, getHrCompanyIdFor));
+app.use('/api/admin/company/:company/roles', authenticateAdmin, require('./routes/roles.route')(permissions, (req) => resolveCompanyParam(req.params.company)));
+
+// API keys: HR manage their own company's, Admin any company's
+app.use('/api/hr/api-keys', requirePermission('apikeys.manage'), require('./routes/apiKeys.route')(apiKeys, getHrCompanyIdFor));
+app.use('/api/admin/company/:company/api-keys', authenticateAdmin, require('./routes/apiKeys.route')(apiKeys, (req) => resolveCompanyParam(req.params.company)));
+
+// Permissions of the logged-in user, for showing / hiding features in the UI
+app.get('/api/me/permissions', authenticateToken, async (req, res) => {
+  try {
+    const granted = await getPermissions(req);
+    return res.json({
+      success: true,
+      role: req.employee.role,
+      permissions: [...granted].sort(),
+      impersonatedBy: req.employee.impersonatedBy || null,
+    });
+  } catch (error) {
+    console.error('Error resolving permissions:', error && error.message ? error.message : error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// HR: completion and sentiment per department (teams included in their department)
+const departmentsRoutes = require('./routes/departments.route')(cycles, org, getHrCompanyIdFor);
+app.use('/api/company/departments', requirePermission('reports.read.company'), departmentsRoutes);
+
+// Managers: completion and aggregated sentiment of their own direct and indirect reports
+const teamRoutes = require('./routes/team.route')(cycles, team, getHrCompanyIdFor);
+app.use('/api/manager/team', requirePermission('team.read'), denyApiKeys, teamRoutes);
+
+// HR trend analytics across survey cycles
+const trendsRoutes = require('./routes/trends.route')(trends, getHrCompanyIdFor);
+app.use('/api/company/trends', requirePermission('reports.read.company'), trendsRoutes);
+
+// Admin questionnaire builder (forms and master questions)
+const formsRoutes = require('./routes/forms.route')(forms);
+app.use('/api/admin/sentiment', authenticateAdmin, formsRoutes);
+
+// Admin: run the offboarding sweep now (deactivate departed employees, apply report retention)
+app.post('/api/admin/offboarding/sweep', requirePermission('company.manage'), async (req, res) => {
+  try {
+    const result = await offboarding.sweep();
+    return res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error running offboarding sweep:', error && error.message ? error.message : error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Admin impersonation of HR users / employees for support
+const impersonationRoutes = require('./routes/impersonation.route')(impersonation);
+app.use('/api/admin/impersonations', authenticateAdmin, impersonationRoutes);
+
 // Admin routes
-const adminRoutes = require('./routes/admin.route')(pool);
+const adminRoutes = require('./routes/admin.route')(pool, cycles, trends, anonymity);
 app.use('/api/admin', authenticateAdmin, adminRoutes);
 
-// Admin: Company report status (counts by is_filled)
+// Admin: Company report status (completion in the current cycle, or ?cycleId=)
 app.get('/api/admin/company/:company/report/status', authenticateAdmin, async (req, res) => {
   try {
     const companyParam = req.params.company;
@@ -192,13 +292,12 @@ app.get('/api/admin/company/:company/report/status', authenticateAdmin, async (r
       if (!rows.length) return res.status(404).json({ success: false, message: 'Company not found' });
       companyId = rows[0].company_id;
     }
-    const [rows] = await pool.execute(
-      `SELECT COALESCE(is_filled,0) AS is_filled FROM ${TABLE_NAME} WHERE company_id = ? AND role != 'HR'`,
-      [companyId]
-    );
+    const cycle = await cycles.resolveCycle(companyId, req.query.cycleId);
+    if (!cycle) return res.status(404).json({ success: false, message: 'Survey cycle not found' });
+    const rows = await cycles.getCompletion(companyId, cycle.cycle_id);
     const total = rows.length;
     const filled = rows.filter(r => r.is_filled).length;
-    return res.json({ success: true, total, filled });
+    return res.json({ success: true, cycle, total, filled });
   } catch (err) {
     console.error('Admin report status error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -218,20 +317,21 @@ app.get('/api/admin/company/:company/report', authenticateAdmin, async (req, res
       if (!rows.length) return res.status(404).json({ success: false, message: 'Company not found' });
       companyId = rows[0].company_id;
     }
+    const cycle = await cycles.resolveCycle(companyId, req.query.cycleId);
+    if (!cycle) return res.status(404).json({ success: false, message: 'Survey cycle not found' });
     // ensure all non-HR employees have filled
-    const [rows] = await pool.execute(
-      `SELECT COALESCE(is_filled,0) AS is_filled FROM ${TABLE_NAME} WHERE company_id = ? AND role != 'HR'`,
-      [companyId]
-    );
+    const rows = await cycles.getCompletion(companyId, cycle.cycle_id);
     const total = rows.length;
     const filled = rows.filter(r => r.is_filled).length;
     if (filled !== total) return res.status(409).json({ success: false, message: 'Not ready' });
     const [reportRows] = await pool.execute(
-      'SELECT * FROM company_reports_sentiment WHERE company_id = ? ORDER BY created_at DESC LIMIT 1',
-      [companyId]
+      'SELECT * FROM company_reports_sentiment WHERE company_id = ? AND cycle_id = ? ORDER BY created_at DESC LIMIT 1',
+      [companyId, cycle.cycle_id]
     );
     if (!reportRows.length) return res.status(404).json({ success: false, message: 'No report' });
-    return res.json({ success: true, report: reportRows[0] });
+    const guard = await anonymity.guardFor(companyId);
+    if (guard.isTooSmall(filled)) return res.json({ success: true, cycle, report: null, ...guard.marker() });
+    return res.json({ success: true, cycle, suppressed: false, report: reportRows[0] });
   } catch (err) {
     console.error('Admin report fetch error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -296,7 +396,7 @@ app.get('/api/admin/company/:company/employees', authenticateAdmin, async (req,
 });
 
 // Admin: create a new company (companies.company_name)
-app.post('/api/admin/companies', authenticateAdmin, async (req, res) => {
+app.post('/api/admin/companies', requirePermission('company.manage'), async (req, res) => {
   try {
     const { company } = req.body || {};
     if (!company || String(company).trim() === '') return res.status(400).json({ success: false, message: 'Company name required' });
@@ -312,7 +412,7 @@ app.post('/api/admin/companies', authenticateAdmin, async (req, res) => {
 });
 
 // Admin: add an HR employee under a specific company (param can be id or name)
-app.post('/api/admin/company/:company/hr', authenticateAdmin, async (req, res) => {
+app.post('/api/admin/company/:company/hr', requirePermission('company.manage'), async (req, res) => {
   try {
     const companyParam = req.params.company
     const { employeesID, password, name, email, role } = req.body || {}
@@ -327,11 +427,23 @@ app.post('/api/admin/company/:company/hr', authenticateAdmin, async (req, res) =
       companyId = rowsId[0].company_id;
     }
 
+    // An initial password must meet the company's policy and is stored hashed
+    let hashedPassword = null
+    if (password) {
+      try {
+        await passwords.assertValid({ employeesID, name, email, company_id: companyId }, password)
+      } catch (policyErr) {
+        if (!policyErr.errors) throw policyErr
+        return res.status(400).json({ success: false, message: policyErr.message, errors: policyErr.errors, requirements: policyErr.requirements })
+      }
+      hashedPassword = await passwords.hashPassword(password)
+    }
+
     // insert into employees table
     try {
       await pool.execute(
         `INSERT INTO ${TABLE_NAME} (employeesID, password, name, email, role, company_id) VALUES (?, ?, ?, ?, ?, ?)`,
-        [employeesID, password || null, name || null, email || null, finalRole, companyId]
+        [employeesID, hashedPassword, name || null, email || null, finalRole, companyId]
       )
       return res.json({ success: true, message: 'HR added' })
     } catch (dbErr) {
@@ -344,38 +456,292 @@ app.post('/api/admin/company/:company/hr', authenticateAdmin, async (req, res) =
   }
 })
 
-// HR: reset sentiment responses so employee can retake the survey
-app.delete('/api/hr/employee/:employeesID/responses', authenticateHR, async (req, res) => {
+// Admin: active login sessions of an employee
+app.get('/api/admin/employees/:employeesID/sessions', authenticateAdmin, async (req, res) => {
+  try {
+    const list = await sessions.listSessions(req.params.employeesID);
+    return res.json({ success: true, sessions: list });
+  } catch (error) {
+    console.error('Error listing sessions:', error && error.message ? error.message : error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Admin: end all sessions of an employee (account compromised, employee left)
+app.post('/api/admin/employees/:employeesID/revoke-sessions', authenticateAdmin, async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const count = await sessions.revokeAllForEmployee(req.params.employeesID, {
+      reason: reason ? String(reason).slice(0, 100) : `revoked by admin ${req.employee.employeesID}`,
+    });
+    return res.json({ success: true, message: `Revoked ${count} session(s)`, revokedSessions: count });
+  } catch (error) {
+    console.error('Error revoking sessions:', error && error.message ? error.message : error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Admin: password policy of a company (param can be id or name)
+const resolveCompanyParam = async (companyParam) => {
+  const companyId = Number(companyParam);
+  if (!Number.isNaN(companyId)) return companyId;
+  const [rows] = await pool.execute('SELECT company_id FROM companies WHERE company_name = ? LIMIT 1', [companyParam]);
+  return rows.length ? rows[0].company_id : null;
+};
+
+app.get('/api/admin/company/:company/password-policy', authenticateAdmin, async (req, res) => {
+  try {
+    const companyId = await resolveCompanyParam(req.params.company);
+    if (!companyId) return res.status(404).json({ success: false, message: 'Company not found' });
+    const policy = await passwords.getPolicy(companyId);
+    return res.json({ success: true, companyId, policy, requirements: passwords.describePolicy(policy) });
+  } catch (error) {
+    console.error('Error fetching password policy:', error && error.message ? error.message : error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Body: any of { minLength, requireUppercase, requireLowercase, requireDigit, requireSymbol, blockCommon, historyCount }
+app.put('/api/admin/company/:company/password-policy', authenticateAdmin, async (req, res) => {
+  try {
+    const companyId = await resolveCompanyParam(req.params.company);
+    if (!companyId) return res.status(404).json({ success: false, message: 'Company not found' });
+    const policy = await passwords.updatePolicy(companyId, req.body || {}, req.employee.employeesID);
+    return res.json({ success: true, companyId, policy, requirements: passwords.describePolicy(policy) });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, message: error.message, errors: error.errors });
+    console.error('Error updating password policy:', error && error.message ? error.message : error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Admin: accounts still holding a plaintext or low-cost password (re-hashed at their
+// next login; after PLAINTEXT_PASSWORD_CUTOFF plaintext logins go through a reset).
+// Optional ?company=<id|name>
+app.get('/api/admin/password-report', authenticateAdmin, async (req, res) => {
+  try {
+    let companyId = null;
+    if (req.query.company) {
+      companyId = await resolveCompanyParam(req.query.company);
+      if (!companyId) return res.status(404).json({ success: false, message: 'Company not found' });
+    }
+    const report = await passwords.weakPasswordReport({ companyId });
+    return res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('Error building password report:', error && error.message ? error.message : error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Admin: OIDC single sign-on configuration of a company (the client secret is never returned)
+app.get('/api/admin/company/:company/sso', authenticateAdmin, async (req, res) => {
+  try {
+    const companyId = await resolveCompanyParam(req.params.company);
+    if (!companyId) return res.status(404).json({ success: false, message: 'Company not found' });
+    return res.json({ success: true, companyId, sso: await oidc.getConfig(companyId) });
+  } catch (error) {
+    console.error('Error fetching SSO configuration:', error && error.message ? error.message : error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Body: { issuer, clientId, clientSecret?, tokenAuthMethod?, scopes?, emailClaim?, requireEmailVerified?, enabled? }
+app.put('/api/admin/company/:company/sso', requirePermission('company.manage'), async (req, res) => {
+  try {
+    const companyId = await resolveCompanyParam(req.params.company);
+    if (!companyId) return res.status(404).json({ success: false, message: 'Company not found' });
+    const sso = await oidc.setConfig(companyId, req.body || {}, req.employee.employeesID);
+    return res.json({ success: true, companyId, sso });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+    console.error('Error updating SSO configuration:', error && error.message ? error.message : error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+app.delete('/api/admin/company/:company/sso', requirePermission('company.manage'), async (req, res) => {
+  try {
+    const companyId = await resolveCompanyParam(req.params.company);
+    if (!companyId) return res.status(404).json({ success: false, message: 'Company not found' });
+    const removed = await oidc.deleteConfig(companyId);
+    if (!removed) return res.status(404).json({ success: false, message: 'Single sign-on is not configured for this company' });
+    return res.json({ success: true, message: 'Single sign-on removed' });
+  } catch (error) {
+    console.error('Error removing SSO configuration:', error && error.message ? error.message : error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Admin: minimum group size for a company's aggregate reports
+app.get('/api/admin/company/:company/anonymity', authenticateAdmin, async (req, res) => {
+  try {
+    const companyId = await resolveCompanyParam(req.params.company);
+    if (!companyId) return res.status(404).json({ success: false, message: 'Company not found' });
+    return res.json({ success: true, companyId, ...(await anonymity.getSetting(companyId)) });
+  } catch (error) {
+    console.error('Error fetching anonymity setting:', error && error.message ? error.message : error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Body: { minGroupSize } (null = default)
+app.put('/api/admin/company/:company/anonymity', requirePermission('company.manage'), async (req, res) => {
+  try {
+    const companyId = await resolveCompanyParam(req.params.company);
+    if (!companyId) return res.status(404).json({ success: false, message: 'Company not found' });
+    const { minGroupSize } = req.body || {};
+    if (minGroupSize === undefined) return res.status(400).json({ success: false, message: 'minGroupSize required (null for the default)' });
+    const setting = await anonymity.setMinGroupSize(companyId, minGroupSize);
+    console.log(`🔒 Minimum group size of company ${companyId} set to ${setting.minGroupSize} by ${req.employee.employeesID}`);
+    return res.json({ success: true, companyId, ...setting });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+    console.error('Error updating anonymity setting:', error && error.message ? error.message : error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Admin: unlock an account locked out after too many failed logins
+app.post('/api/admin/employees/:employeesID/unlock', authenticateAdmin, async (req, res) => {
+  try {
+    const wasLocked = await loginThrottle.unlock(req.params.employeesID);
+    console.log(`🔓 Login attempts of ${req.params.employeesID} cleared by admin ${req.employee.employeesID}`);
+    return res.json({ success: true, message: wasLocked ? 'Account unlocked' : 'Account was not locked', wasLocked });
+  } catch (error) {
+    console.error('Error unlocking account:', error && error.message ? error.message : error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Admin: make two-factor authentication mandatory (or optional) for a company's HR users
+// Body: { requireForHR: true|false }. HR users who have not enrolled yet are logged out
+// and have to enrol at their next login.
+app.put('/api/admin/company/:company/mfa', requirePermission('company.manage'), async (req, res) => {
+  try {
+    const { requireForHR } = req.body || {};
+    if (typeof requireForHR !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'requireForHR (boolean) required' });
+    }
+    const companyId = await resolveCompanyParam(req.params.company);
+    if (!companyId) return res.status(404).json({ success: false, message: 'Company not found' });
+    const pending = await mfa.setCompanyRequirement(companyId, requireForHR);
+    for (const employeesID of pending) {
+      await sessions.revokeAllForEmployee(employeesID, { reason: 'mfa required' });
+    }
+    return res.json({ success: true, companyId, requireForHR, hrPendingEnrolment: pending });
+  } catch (error) {
+    console.error('Error updating company MFA requirement:', error && error.message ? error.message : error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Admin: remove an employee's two-factor setup (lost device)
+app.post('/api/admin/employees/:employeesID/mfa/reset', authenticateAdmin, async (req, res) => {
+  try {
+    const removed = await mfa.reset(req.params.employeesID);
+    if (!removed) return res.status(404).json({ success: false, message: 'Two-factor authentication is not set up for this employee' });
+    await sessions.revokeAllForEmployee(req.params.employeesID, { reason: `mfa reset by admin ${req.employee.employeesID}` });
+    return res.json({ success: true, message: 'Two-factor authentication reset' });
+  } catch (error) {
+    console.error('Error resetting MFA:', error && error.message ? error.message : error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// HR: end all sessions of an employee in the HR's own company
+app.post('/api/hr/employee/:employeesID/revoke-sessions', requirePermission('employees.sessions'), async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      `SELECT e.employeesID FROM ${TABLE_NAME} e
+       JOIN ${TABLE_NAME} hr ON hr.company_id = e.company_id
+       WHERE e.employeesID = ? AND hr.employeesID = ? LIMIT 1`,
+      [req.params.employeesID, req.employee.employeesID]
+    );
+    if (!rows.length) return res.status(404).json({ success: false, message: 'Employee not found' });
+    const count = await sessions.revokeAllForEmployee(req.params.employeesID, {
+      reason: `revoked by HR ${req.employee.employeesID}`,
+    });
+    return res.json({ success: true, message: `Revoked ${count} session(s)`, revokedSessions: count });
+  } catch (error) {
+    console.error('Error revoking sessions:', error && error.message ? error.message : error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// HR: login lockout status of an employee in the HR's own company
+app.get('/api/hr/employee/:employeesID/lockout', requirePermission('employees.sessions'), async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      `SELECT e.employeesID FROM ${TABLE_NAME} e
+       JOIN ${TABLE_NAME} hr ON hr.company_id = e.company_id
+       WHERE e.employeesID = ? AND hr.employeesID = ? LIMIT 1`,
+      [req.params.employeesID, req.employee.employeesID]
+    );
+    if (!rows.length) return res.status(404).json({ success: false, message: 'Employee not found' });
+    return res.json({ success: true, lockout: await loginThrottle.getStatus(req.params.employeesID) });
+  } catch (error) {
+    console.error('Error fetching lockout status:', error && error.message ? error.message : error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// HR: unlock an employee locked out after too many failed logins (own company)
+app.post('/api/hr/employee/:employeesID/unlock', requirePermission('employees.sessions'), async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      `SELECT e.employeesID FROM ${TABLE_NAME} e
+       JOIN ${TABLE_NAME} hr ON hr.company_id = e.company_id
+       WHERE e.employeesID = ? AND hr.employeesID = ? LIMIT 1`,
+      [req.params.employeesID, req.employee.employeesID]
+    );
+    if (!rows.length) return res.status(404).json({ success: false, message: 'Employee not found' });
+    const wasLocked = await loginThrottle.unlock(req.params.employeesID);
+    console.log(`🔓 Login attempts of ${req.params.employeesID} cleared by HR ${req.employee.employeesID}`);
+    return res.json({ success: true, message: wasLocked ? 'Account unlocked' : 'Account was not locked', wasLocked });
+  } catch (error) {
+    console.error('Error unlocking account:', error && error.message ? error.message : error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// HR: reset sentiment responses in the current cycle so employee can retake the survey
+app.delete('/api/hr/employee/:employeesID/responses', requirePermission('responses.reset'), async (req, res) => {
   try {
     const employeesID = req.params.employeesID;
     if (!employeesID) return res.status(400).json({ success: false, message: 'employeesID required' });
-    // Delete all sentiment form responses
-    const [respCount] = await pool.execute(
-      'DELETE FROM Responses_Sentiment WHERE employeesID = ?',
+    // Determine company_id for this employee
+    const [[empRow]] = await pool.execute(
+      `SELECT company_id FROM ${TABLE_NAME} WHERE employeesID = ? LIMIT 1`,
       [employeesID]
     );
-    // Delete any generated Langchain reports (Attrition strategies)
+    if (!empRow) return res.status(404).json({ success: false, message: 'Employee not found' });
+    const cycle = await cycles.getCurrentCycle(empRow.company_id);
+    if (!cycle) return res.json({ success: true, message: 'Cleared 0 form responses' });
+    // Delete the sentiment form responses of this cycle
+    const [respCount] = await pool.execute(
+      'DELETE FROM Responses_Sentiment WHERE employeesID = ? AND cycle_id = ?',
+      [employeesID, cycle.cycle_id]
+    );
+    // Forget the submission itself so the survey can be submitted again
+    await pool.execute(
+      'DELETE FROM survey_submissions WHERE employeesID = ? AND cycle_id = ?',
+      [employeesID, cycle.cycle_id]
+    );
+    // Delete any generated Langchain reports (Attrition strategies) of this cycle
     const [reportCount] = await pool.execute(
-      'DELETE FROM responses_langchain_sentiment WHERE employeesID = ?',
-      [employeesID]
+      'DELETE FROM responses_langchain_sentiment WHERE employeesID = ? AND cycle_id = ?',
+      [employeesID, cycle.cycle_id]
     );
     // Reset the is_filled flag so the survey can be taken again
     await pool.execute(
       `UPDATE ${TABLE_NAME} SET is_filled = 0 WHERE employeesID = ?`,
       [employeesID]
     );
-    // Clear any existing company-level report since one employee must re-submit
-    // Determine company_id for this employee
-    const [[empRow]] = await pool.execute(
-      `SELECT company_id FROM ${TABLE_NAME} WHERE employeesID = ? LIMIT 1`,
-      [employeesID]
+    // Clear the cycle's company-level report since one employee must re-submit
+    await pool.execute(
+      'DELETE FROM company_reports_sentiment WHERE company_id = ? AND cycle_id = ?',
+      [empRow.company_id, cycle.cycle_id]
     );
-    if (empRow && empRow.company_id) {
-      await pool.execute(
-        'DELETE FROM company_reports_sentiment WHERE company_id = ?',
-        [empRow.company_id]
-      );
-    }
     return res.json({
       success: true,
       message: `Cleared ${respCount.affectedRows} form responses` +
@@ -387,13 +753,10 @@ app.delete('/api/hr/employee/:employeesID/responses', authenticateHR, async (req
   }
 });
 
-// Feedback endpoint: HR and Manager can submit feedback about experience
-app.post('/api/feedback', authenticateToken, async (req, res) => {
+// Feedback endpoint: roles with feedback.submit (HR, Manager) can submit feedback about experience
+app.post('/api/feedback', requirePermission('feedback.submit', { message: 'Forbidden' }), async (req, res) => {
   try {
     const employee = req.employee;
-    if (!['HR', 'Manager'].includes(employee.role)) {
-      return res.status(403).json({ success: false, message: 'Forbidden' });
-    }
     const { satisfactionPercent, payWillingness } = req.body || {};
     if (typeof satisfactionPercent !== 'number' || typeof payWillingness !== 'number') {
       return res.status(400).json({ success: false, message: 'Invalid feedback data' });
@@ -456,7 +819,7 @@ app.get("/api/sentiment/form/:form_id", authenticateEmployee, async (req, res) =
 
   try {
     const [rows] = await pool.execute(
-      `SELECT fq.form_question_id, f.form_name, mq.question_number, mq.question_type, mq.options_questions, mq.helper_text, fq.question_text
+      `SELECT fq.form_question_id, f.form_name, mq.question_number, mq.question_type, mq.options_questions, mq.helper_text, mq.is_required, fq.question_text
        FROM FormQuestions_Sentiment fq
        JOIN Forms_Sentiment f ON fq.form_id = f.form_id
        JOIN MasterQuestions_Sentiment mq ON fq.master_question_id = mq.master_question_id
@@ -466,7 +829,16 @@ app.get("/api/sentiment/form/:form_id", authenticateEmployee, async (req, res) =
     );
 
     console.log("Query result rows:", rows.length); // Debug log
-    res.json({ success: true, questions: rows });
+
+    // Saved answers to resume from, if the employee has a draft in the current cycle
+    let draft = null;
+    try {
+      draft = await drafts.getDraft(req.employee.employeesID, form_id);
+    } catch (draftErr) {
+      console.error("⚠️ Failed to load survey draft:", draftErr.message);
+    }
+
+    res.json({ success: true, questions: rows, draft });
   } catch (error) {
     console.error("Error fetching sentiment form:", error.message);
     console.error("Full error:", error); // More detailed error log
@@ -476,21 +848,73 @@ app.get("/api/sentiment/form/:form_id", authenticateEmployee, async (req, res) =
   }
 });
 
+// --- Survey drafts (partial answers of the logged-in employee) ---
+app.get("/api/sentiment/draft/:form_id", authenticateEmployee, async (req, res) => {
+  try {
+    const draft = await drafts.getDraft(req.employee.employeesID, req.params.form_id);
+    res.json({ success: true, draft });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+    console.error("Error fetching survey draft:", error.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Body: { answers: [{ form_question_id, answer_text?, answer_choice? }] } - replaces the saved draft
+app.put("/api/sentiment/draft/:form_id", authenticateEmployee, async (req, res) => {
+  try {
+    const draft = await drafts.saveDraft(req.employee.employeesID, req.params.form_id, (req.body || {}).answers);
+    res.json({ success: true, message: "Draft saved", draft });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message, errors: error.errors });
+    }
+    console.error("Error saving survey draft:", error.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+app.delete("/api/sentiment/draft/:form_id", authenticateEmployee, async (req, res) => {
+  try {
+    const deleted = await drafts.deleteDraft(req.employee.employeesID, req.params.form_id);
+    res.json({ success: true, message: deleted ? "Draft discarded" : "No draft to discard" });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+    console.error("Error discarding survey draft:", error.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
 // Post responses - ENHANCED to trigger AI analysis
 app.post("/api/sentiment/response", authenticateEmployee, async (req, res) => {
   try {
-    // Accept either a numeric employee_id or an employeesID string (employeeId)
-    const { employee_id, employeeId, form_id, formId, answers } = req.body;
+    // Responses are always the logged-in employee's own; employee_id / employeeId in the
+    // body are optional and must name that same employee
+    const { employee_id, employeeId, form_id, formId, useDraft } = req.body;
+    let { answers } = req.body;
     const resolvedFormId = form_id || formId;
-    const resolvedEmployee = employee_id || employeeId;
+    const resolvedEmployee = req.employee.employeesID;
+    const claimedEmployee = employee_id || employeeId;
 
-    if (!resolvedEmployee || !resolvedFormId || !Array.isArray(answers)) {
+    if (claimedEmployee && String(claimedEmployee) !== String(resolvedEmployee)) {
+      return res.status(403).json({ success: false, message: "You can only submit your own responses" });
+    }
+    if (!resolvedFormId || (!Array.isArray(answers) && useDraft !== true)) {
       return res.status(400).json({
         success: false,
-        message: "employee identifier, form_id and answers[] required",
+        message: "form_id and answers[] (or useDraft: true) required",
       });
     }
 
+    // Submit the saved draft instead of answers sent with the request
+    if (!Array.isArray(answers)) {
+      const draft = await drafts.getDraft(req.employee.employeesID, resolvedFormId);
+      if (!draft) {
+        return res.status(404).json({ success: false, message: "No saved draft to submit" });
+      }
+      answers = draft.answers;
+    }
+
     // Only use employeesID column for inserts
     const [colPlain] = await pool.execute(
       `SHOW COLUMNS FROM Responses_Sentiment LIKE 'employeesID'`
@@ -512,96 +936,96 @@ app.post("/api/sentiment/response", authenticateEmployee, async (req, res) => {
       hasPlainEmployeesID
     );
 
-    // First, save the responses to Responses_Sentiment table
-    const insertPromises = answers.map((a) => {
-      console.log("Inserting into Responses_Sentiment (employeesID) params:", [
-        resolvedEmployee,
-        resolvedFormId,
-        a.form_question_id,
-        a.answer_text || null,
-        a.answer_choice || null,
-      ]);
-      return pool.execute(
-        `INSERT INTO Responses_Sentiment (employeesID, form_id, form_question_id, answer_text, answer_choice) VALUES (?, ?, ?, ?, ?)`,
-        [
-          resolvedEmployee,
-          resolvedFormId,
-          a.form_question_id,
-          a.answer_text || null,
-          a.answer_choice || null,
-        ]
-      );
-    });
+    // Reject malformed or incomplete submissions before anything is written
+    const validation = await responseValidation.validateSubmission(resolvedFormId, answers);
+    if (validation.errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: "Submission has invalid or missing answers",
+        errors: validation.errors,
+      });
+    }
+    const validAnswers = validation.answers;
 
-    // Execute inserts sequentially so we can capture and log which row fails
-    for (let i = 0; i < insertPromises.length; i++) {
-      try {
-        await insertPromises[i];
-      } catch (rowErr) {
-        console.error(
-          "Failed inserting response row",
-          i,
-          "error:",
-          rowErr.message
-        );
-        return res.status(500).json({
+    // Responses are stored against the company's open survey cycle
+    const [empCompany] = await pool.execute(
+      `SELECT company_id FROM ${TABLE_NAME} WHERE employeesID = ? LIMIT 1`,
+      [resolvedEmployee]
+    );
+    if (!empCompany || !empCompany.length) {
+      return res.status(404).json({ success: false, message: "Employee not found" });
+    }
+    const companyId = empCompany[0].company_id;
+    const cycle = await cycles.getSubmissionCycle(companyId);
+    if (!cycle) {
+      return res.status(409).json({
+        success: false,
+        message: "The survey is currently closed",
+      });
+    }
+    if (!cycles.runsForm(cycle, resolvedFormId)) {
+      return res.status(409).json({
+        success: false,
+        message: "This form is not part of the current survey cycle",
+      });
+    }
+
+    // Save the responses and mark the employee as filled in one transaction.
+    // A retry with the same Idempotency-Key gets the original result back.
+    let submission;
+    try {
+      submission = await submissions.submit({
+        employeeId: resolvedEmployee,
+        formId: resolvedFormId,
+        cycleId: cycle.cycle_id,
+        answers: validAnswers,
+        idempotencyKey: req.get("Idempotency-Key") || req.body.idempotencyKey,
+      });
+    } catch (subErr) {
+      if (subErr.status) {
+        return res.status(subErr.status).json({
           success: false,
-          message: `Failed to save response row ${i}: ${rowErr.message}`,
+          message: subErr.message,
+          submissionId: subErr.submissionId,
         });
       }
+      throw subErr;
     }
 
-    // Mark employee as filled (submitted the form)
-    try {
-      await pool.execute(
-        `UPDATE ${TABLE_NAME} SET is_filled = 1 WHERE employeesID = ?`,
-        [resolvedEmployee]
-      );
-      console.log("✅ Marked employee as filled:", resolvedEmployee);
-    } catch (ufErr) {
-      console.error("⚠️ Failed to update is_filled for", resolvedEmployee, ufErr.message);
-      // continue — responses are saved; we won't fail the whole request
+    if (submission.replayed) {
+      console.log("🔁 Repeated submission for", resolvedEmployee, "- returning submission", submission.submissionId);
+      return res.json({
+        success: true,
+        message: "Responses saved successfully",
+        submissionId: submission.submissionId,
+        replayed: true,
+      });
     }
 
     console.log(
-      "✅ Responses saved successfully."
+      `✅ Responses saved successfully (submission ${submission.submissionId}, ${submission.answerCount} answers).`
     );
 
     // NEW: Check if all employees in the company have filled their surveys
     // If yes, automatically trigger company-wide analysis
     try {
-      // Get the employee's company_id
-      const [empCompany] = await pool.execute(
-        `SELECT company_id FROM ${TABLE_NAME} WHERE employeesID = ? LIMIT 1`,
-        [resolvedEmployee]
-      );
-
-      if (empCompany && empCompany.length > 0) {
-        const companyId = empCompany[0].company_id;
-
-        // Check if all non-HR employees in the company have filled their surveys
-        const [companyEmployees] = await pool.execute(
-          `SELECT COALESCE(is_filled, 0) AS is_filled FROM ${TABLE_NAME} WHERE company_id = ? AND role != 'HR'`,
-          [companyId]
-        );
+      // Check if all non-HR employees in the company have filled this cycle's survey
+      const companyEmployees = await cycles.getCompletion(companyId, cycle.cycle_id);
 
-        const totalEmployees = (companyEmployees || []).length;
-        const filledEmployees = (companyEmployees || []).filter(e => !!e.is_filled).length;
+      const totalEmployees = (companyEmployees || []).length;
+      const filledEmployees = (companyEmployees || []).filter(e => !!e.is_filled).length;
 
-        console.log(`📊 Company ${companyId} survey status: ${filledEmployees}/${totalEmployees} employees completed`);
+      console.log(`📊 Company ${companyId} survey status (cycle ${cycle.cycle_id}): ${filledEmployees}/${totalEmployees} employees completed`);
 
-        // If ALL employees have completed their surveys, trigger company analysis
-        if (totalEmployees > 0 && filledEmployees === totalEmployees) {
-          console.log(`🎯 All employees in company ${companyId} have completed surveys! Triggering automatic company analysis...`);
+      // If ALL employees have completed their surveys, trigger company analysis
+      if (totalEmployees > 0 && filledEmployees === totalEmployees) {
+        console.log(`🎯 All employees in company ${companyId} have completed surveys! Triggering automatic company analysis...`);
 
-          // Trigger company analysis asynchronously (don't wait for it to complete)
-          triggerCompanyAnalysis(companyId).then(() => {
-            console.log(`✅ Automatic company analysis completed for company ${companyId}`);
-          }).catch((err) => {
-            console.error(`⚠️ Automatic company analysis failed for company ${companyId}:`, err.message);
-            // Don't fail the employee response submission even if company analysis fails
-          });
-        }
+        // Queue company analysis (don't wait for it to complete)
+        analysisJobs.enqueue(companyId, cycle.cycle_id, { source: 'auto', triggeredBy: resolvedEmployee }).catch((err) => {
+          console.error(`⚠️ Failed to queue automatic company analysis for company ${companyId}:`, err.message);
+          // Don't fail the employee response submission even if queueing fails
+        });
       }
     } catch (autoAnalysisErr) {
       console.error("⚠️ Error checking for automatic company analysis:", autoAnalysisErr.message);
@@ -611,6 +1035,8 @@ app.post("/api/sentiment/response", authenticateEmployee, async (req, res) => {
     res.json({
       success: true,
       message: "Responses saved successfully",
+      submissionId: submission.submissionId,
+      replayed: false,
     });
   } catch (error) {
     console.error("Error saving responses:", error.message);
@@ -618,144 +1044,64 @@ app.post("/api/sentiment/response", authenticateEmployee, async (req, res) => {
   }
 });
 
-// NEW: Function to trigger company-wide AI analysis
-async function triggerCompanyAnalysis(companyId) {
-  try {
-    console.log("🤖 Starting automatic company analysis for company:", companyId);
-
-    // STEP 1: First, generate individual employee reports for all employees in the company
-    console.log("📝 Step 1: Generating individual employee reports for all employees...");
-
-    // Get all employees in the company who have filled the survey
-    const [employees] = await pool.execute(
-      `SELECT employeesID FROM ${TABLE_NAME} WHERE company_id = ? AND role != 'HR' AND COALESCE(is_filled, 0) = 1`,
-      [companyId]
-    );
-
-    console.log(`Found ${employees.length} employees to analyze individually`);
-
-    // Generate individual reports for each employee
-    for (const emp of employees) {
-      const employeeId = emp.employeesID;
-
-      try {
-        console.log(`  ➡️ Generating individual report for employee ${employeeId}...`);
-
-        // Get employee's company name
-        const [empInfo] = await pool.execute(
-          `SELECT c.company_name FROM ${TABLE_NAME} e
-           LEFT JOIN companies c ON e.company_id = c.company_id
-           WHERE e.employeesID = ? LIMIT 1`,
-          [employeeId]
-        );
-
-        const companyName = empInfo && empInfo[0] ? empInfo[0].company_name : null;
-
-        // Fetch employee's survey responses
-        const [responses] = await pool.execute(
-          `SELECT
-            rs.form_question_id,
-            rs.answer_text,
-            rs.answer_choice,
-            mq.question_number,
-            fq.question_text
-          FROM Responses_Sentiment rs
-          JOIN FormQuestions_Sentiment fq ON rs.form_question_id = fq.form_question_id
-          JOIN MasterQuestions_Sentiment mq ON fq.master_question_id = mq.master_question_id
-          WHERE rs.employeesID = ?
-          ORDER BY mq.question_number`,
-          [employeeId]
-        );
-
-        if (responses && responses.length > 0) {
-          // Format responses for AI analysis
-          const formattedAnswers = {};
-          responses.forEach((response) => {
-            const qNum = response.question_number;
-            const answer = response.answer_text || response.answer_choice || "";
-            formattedAnswers[`q${qNum}`] = {
-              question: response.question_text,
-              answer: answer
-            };
-          });
-
-          // Call Flask AI endpoint for individual employee analysis
-          const individualPayload = {
-            employeeId: employeeId,
-            company: companyName,  // ✅ Added missing company parameter
-            answers: formattedAnswers
-          };
-
-          const individualResponse = await axios.post(
-            `${FLASK_BASE_URL}/analyze`,
-            individualPayload,
-            {
-              timeout: FLASK_TIMEOUT,
-              headers: {
-                'Content-Type': 'application/json'
-              }
-            }
-          );
-
-          console.log(`  ✅ Individual report generated for employee ${employeeId}`);
-        } else {
-          console.warn(`  ⚠️ No responses found for employee ${employeeId}`);
-        }
-      } catch (empErr) {
-        console.error(`  ❌ Failed to generate report for employee ${employeeId}:`, empErr.message);
-        // Continue with other employees even if one fails
-      }
-    }
-
-    console.log("✅ Step 1 Complete: All individual employee reports generated");
-
-    // STEP 2: Now generate the company-wide analysis
-    console.log("📊 Step 2: Generating company-wide analysis report...");
+// Generate and store the individual report for one employee and cycle (responses_langchain_sentiment)
+async function analyzeEmployee(employeeId, cycleId) {
+  console.log(`  ➡️ Generating individual report for employee ${employeeId} (cycle ${cycleId})...`);
 
-    const payload = {
-      companyId: companyId
-    };
+  const individualPayload = await aiReports.buildEmployeePayload(employeeId, cycleId);
+  if (!individualPayload) {
+    console.warn(`  ⚠️ No responses found for employee ${employeeId}`);
+    return null;
+  }
 
-    console.log("➡️ Sending company analysis request to Flask:", `${FLASK_BASE_URL}/analyze-company`);
+  const data = await aiProvider.analyzeEmployee(individualPayload);
+  await aiReports.tagEmployeeReports(employeeId, cycleId);
 
-    const response = await axios.post(
-      `${FLASK_BASE_URL}/analyze-company`,
-      payload,
-      {
-        timeout: FLASK_TIMEOUT,
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+  console.log(`  ✅ Individual report generated for employee ${employeeId}`);
+  return data;
+}
 
-    console.log("✅ Step 2 Complete: Company analysis report generated and saved");
-    console.log("🎉 Full automatic analysis completed successfully!");
-    return response.data;
+// Generate and store the company-wide report for a cycle (company_reports_sentiment)
+async function analyzeCompany(companyId, cycleId) {
+  console.log(`➡️ Sending company analysis request to ${aiProvider.name} provider for company ${companyId} (cycle ${cycleId})`);
 
+  try {
+    const data = await aiProvider.analyzeCompany(companyId, cycleId);
+    await aiReports.tagCompanyReports(companyId, cycleId);
+    console.log("✅ Company analysis report generated and saved");
+    return data;
   } catch (error) {
     console.error("❌ Company analysis error:", error.message);
     if (error.response) {
-      console.error("Flask error response:", error.response.data);
+      console.error("AI service error response:", error.response.data);
     }
     throw error;
   }
 }
 
+// Company analysis runs (individual reports, then the company report) go through a
+// persistent job queue so progress is visible and interrupted runs resume on restart
+const analysisJobs = require('./services/analysisJobs.service')(pool, TABLE_NAME, {
+  analyzeEmployee,
+  analyzeCompany,
+});
+
 // Get all employees in the same company as HR user (except HR themselves)
-app.get("/api/reports/employees", authenticateHR, async (req, res) => {
+app.get("/api/reports/employees", requirePermission('employees.read'), async (req, res) => {
   try {
     const hrUser = req.employee;
 
-    // First get the HR user's company_id and name
-    const [hrResult] = await pool.execute(
-      `SELECT e.company_id, c.company_name
-       FROM ${TABLE_NAME} e
-       LEFT JOIN companies c ON e.company_id = c.company_id
-       WHERE e.employeesID = ?
-       LIMIT 1`,
-      [hrUser.employeesID]
-    );
+    // First get the HR user's company_id and name (API keys carry their company)
+    const [hrResult] = hrUser.apiKeyId
+      ? await pool.execute('SELECT company_id, company_name FROM companies WHERE company_id = ? LIMIT 1', [hrUser.company_id])
+      : await pool.execute(
+        `SELECT e.company_id, c.company_name
+         FROM ${TABLE_NAME} e
+         LEFT JOIN companies c ON e.company_id = c.company_id
+         WHERE e.employeesID = ?
+         LIMIT 1`,
+        [hrUser.employeesID]
+      );
 
     if (!hrResult.length) {
       return res.status(404).json({ error: "HR user not found" });
@@ -764,31 +1110,43 @@ app.get("/api/reports/employees", authenticateHR, async (req, res) => {
     const companyId = hrResult[0].company_id;
     const company = hrResult[0].company_name || null;
 
-    // Get all employees in the same company (except HR), include is_filled flag
-    const [employees] = await pool.execute(
-      `SELECT employeesID, name, email, role, COALESCE(is_filled, 0) AS is_filled FROM ${TABLE_NAME} WHERE company_id = ? AND role != 'HR'`,
-      [companyId]
-    );
+    // Status is reported for the current survey cycle unless ?cycleId= is given
+    const cycle = await cycles.resolveCycle(companyId, req.query.cycleId);
+    if (req.query.cycleId && !cycle) {
+      return res.status(404).json({ error: "Survey cycle not found" });
+    }
+    const cycleId = cycle ? cycle.cycle_id : null;
+
+    // Get all employees in the same company (except HR), with is_filled for the cycle;
+    // ?departmentId= limits them to a department and its teams
+    let employees = await cycles.getCompletion(companyId, cycleId);
+    if (req.query.departmentId) {
+      const scope = await org.departmentScope(companyId, Number(req.query.departmentId));
+      employees = employees.filter(e => scope.has(e.department_id));
+    }
 
     // For each employee, check if they have filled the form (is_filled) and if they have a Langchain report (responses_langchain_sentiment)
     const employeesWithStatus = await Promise.all((employees || []).map(async e => {
-      // Check if a Langchain report exists for this employee
+      // Check if a Langchain report exists for this employee in the cycle
       const [reportRows] = await pool.execute(
-        `SELECT 1 FROM responses_langchain_sentiment WHERE employeesID = ? LIMIT 1`,
-        [e.employeesID]
+        `SELECT 1 FROM responses_langchain_sentiment WHERE employeesID = ? AND cycle_id = ? LIMIT 1`,
+        [e.employeesID, cycleId]
       );
       return {
         employeesID: e.employeesID,
         name: e.name,
         email: e.email,
         role: e.role,
+        departmentId: e.department_id,
+        managerId: e.manager_id,
         hasReport: reportRows.length > 0,
         hasFilledForm: !!e.is_filled,
       };
     }));
 
-    return res.json({ employees: employeesWithStatus, company });
+    return res.json({ employees: employeesWithStatus, company, cycle });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
     console.error("Error fetching employees:", error);
     res.status(500).json({ error: "Failed to fetch employees" });
   }
@@ -797,7 +1155,7 @@ app.get("/api/reports/employees", authenticateHR, async (req, res) => {
 // Get sentiment report for a specific employee
 app.get(
   "/api/reports/sentiment/:employeeId",
-  authenticateHR,
+  requirePermission('reports.read.individual'),
   async (req, res) => {
     try {
       const { employeeId } = req.params;
@@ -846,10 +1204,17 @@ app.get(
         typeof employeeId
       );
 
+      // Report of the current survey cycle unless ?cycleId= is given
+      const cycle = await cycles.resolveCycle(hrCompanyId, req.query.cycleId);
+      if (req.query.cycleId && !cycle) {
+        return res.status(404).json({ error: "Survey cycle not found" });
+      }
+      const cycleId = cycle ? cycle.cycle_id : null;
+
       // Only try exact match as requested
       const [reportResult] = await pool.execute(
-        `SELECT * FROM responses_langchain_sentiment WHERE employeesID = ? ORDER BY created_at DESC LIMIT 1`,
-        [employeeId]
+        `SELECT * FROM responses_langchain_sentiment WHERE employeesID = ? AND cycle_id = ? ORDER BY created_at DESC LIMIT 1`,
+        [employeeId, cycleId]
       );
 
       console.log(
@@ -861,12 +1226,8 @@ app.get(
       }
 
       if (!reportResult.length) {
-        // Check if the employee has filled the form
-        const [empRow] = await pool.execute(
-          `SELECT COALESCE(is_filled, 0) AS is_filled FROM ${TABLE_NAME} WHERE employeesID = ?`,
-          [employeeId]
-        );
-        const hasFilledForm = empRow.length > 0 && !!empRow[0].is_filled;
+        // Check if the employee has filled the form in this cycle
+        const hasFilledForm = await cycles.hasFilled(employeeId, cycleId);
         if (hasFilledForm) {
           return res.json({
             hasReport: false,
@@ -888,6 +1249,7 @@ app.get(
         hasReport: true,
         report: reportResult[0],
         employeeName: empResult[0].name,
+        cycle,
       });
     } catch (error) {
       console.error("Error fetching sentiment report:", error);
@@ -901,11 +1263,13 @@ app.get('/api/employees/me/status', authenticateEmployee, async (req, res) => {
   try {
     const empId = req.employee.employeesID;
     const [rows] = await pool.execute(
-      `SELECT is_filled FROM ${TABLE_NAME} WHERE employeesID = ? LIMIT 1`,
+      `SELECT company_id FROM ${TABLE_NAME} WHERE employeesID = ? LIMIT 1`,
       [empId]
     );
     if (!rows || !rows.length) return res.status(404).json({ success: false, message: 'Employee not found' });
-    return res.json({ success: true, isFilled: !!rows[0].is_filled });
+    const cycle = await cycles.getCurrentCycle(rows[0].company_id);
+    const isFilled = await cycles.hasFilled(empId, cycle ? cycle.cycle_id : null);
+    return res.json({ success: true, isFilled, cycle });
   } catch (err) {
     console.error('Error fetching employee status:', err && err.message ? err.message : err);
     return res.status(500).json({ success: false, message: 'Server error' });
@@ -913,7 +1277,7 @@ app.get('/api/employees/me/status', authenticateEmployee, async (req, res) => {
 });
 
 // Generic: retrieve survey status for any employee ID (authorized)
-// Access allowed for: the employee themself, HRs, and Admins
+// Access allowed for: the employee themself and roles with employees.status.read (HR, Admin)
 app.get('/api/employees/:employeesID/status', authenticateToken, async (req, res) => {
   try {
     const targetId = String(req.params.employeesID || '').trim();
@@ -921,27 +1285,28 @@ app.get('/api/employees/:employeesID/status', authenticateToken, async (req, res
 
     const requester = req.employee || {};
     const requesterId = String(requester.employeesID || '').trim();
-    const requesterRole = String(requester.role || '').trim();
 
-    // Allow if same employee, or HR, or Admin
-    if (requesterId !== targetId && requesterRole !== 'HR' && requesterRole !== 'Admin') {
+    // Allow if same employee, or permitted to see others' status
+    if (requesterId !== targetId && !(await hasPermission(req, 'employees.status.read'))) {
       return res.status(403).json({ success: false, message: 'Access denied' });
     }
 
     const [rows] = await pool.execute(
-      `SELECT is_filled FROM ${TABLE_NAME} WHERE employeesID = ? LIMIT 1`,
+      `SELECT company_id FROM ${TABLE_NAME} WHERE employeesID = ? LIMIT 1`,
       [targetId]
     );
     if (!rows || !rows.length) return res.status(404).json({ success: false, message: 'Employee not found' });
-    return res.json({ success: true, isFilled: !!rows[0].is_filled });
+    const cycle = await cycles.getCurrentCycle(rows[0].company_id);
+    const isFilled = await cycles.hasFilled(targetId, cycle ? cycle.cycle_id : null);
+    return res.json({ success: true, isFilled, cycle });
   } catch (err) {
     console.error('Error fetching employee status by id:', err && err.message ? err.message : err);
     return res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// HR: Company report status (counts by employees.is_filled, exclude HR)
-app.get('/api/company/report/status', authenticateHR, async (req, res) => {
+// HR: Company report status for the current cycle or ?cycleId= (exclude HR)
+app.get('/api/company/report/status', requirePermission('reports.read.company'), async (req, res) => {
   try {
     const hrUser = req.employee;
 
@@ -954,11 +1319,17 @@ app.get('/api/company/report/status', authenticateHR, async (req, res) => {
     const companyId = hrRow[0].company_id;
     const companyName = hrRow[0].company_name || null;
 
-    // Fetch employees (exclude HR)
-    const [rows] = await pool.execute(
-      `SELECT employeesID, name, email, role, COALESCE(is_filled, 0) AS is_filled FROM ${TABLE_NAME} WHERE company_id = ? AND role != 'HR' ORDER BY name`,
-      [companyId]
-    );
+    const cycle = await cycles.resolveCycle(companyId, req.query.cycleId);
+    if (req.query.cycleId && !cycle) return res.status(404).json({ error: 'Survey cycle not found' });
+
+    // Fetch employees (exclude HR), optionally only a department and its teams
+    let rows = await cycles.getCompletion(companyId, cycle ? cycle.cycle_id : null);
+    let department = null;
+    if (req.query.departmentId) {
+      department = await org.getDepartment(companyId, Number(req.query.departmentId));
+      const scope = await org.departmentScope(companyId, department.department_id);
+      rows = rows.filter(r => scope.has(r.department_id));
+    }
     const total = (rows || []).length;
     const filled = (rows || []).filter(r => !!r.is_filled).length;
     const notFilled = (rows || []).filter(r => !r.is_filled).map(r => ({
@@ -966,17 +1337,39 @@ app.get('/api/company/report/status', authenticateHR, async (req, res) => {
       name: r.name,
       role: r.role,
       email: r.email,
+      departmentId: r.department_id,
     }));
 
-    return res.json({ companyId, companyName, total, filled, notFilled });
+    return res.json({
+      companyId,
+      companyName,
+      cycle,
+      department: department ? { departmentId: department.department_id, name: department.name } : null,
+      total,
+      filled,
+      notFilled,
+    });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Error fetching company report status:', err);
     return res.status(500).json({ error: 'Failed to fetch company status' });
   }
 });
 
-// HR: Company report fetch (requires all employees filled)
-app.get('/api/company/report', authenticateHR, async (req, res) => {
+// HR: minimum number of respondents below which aggregates are suppressed
+app.get('/api/company/anonymity', requirePermission('reports.read.company'), async (req, res) => {
+  try {
+    const [hrRow] = await pool.execute(`SELECT company_id FROM ${TABLE_NAME} WHERE employeesID = ? LIMIT 1`, [req.employee.employeesID]);
+    if (!hrRow.length) return res.status(404).json({ error: 'HR user not found' });
+    return res.json({ companyId: hrRow[0].company_id, ...(await anonymity.getSetting(hrRow[0].company_id)) });
+  } catch (err) {
+    console.error('Error fetching anonymity setting:', err);
+    return res.status(500).json({ error: 'Failed to fetch anonymity setting' });
+  }
+});
+
+// HR: Company report fetch for the current cycle or ?cycleId= (requires all employees filled)
+app.get('/api/company/report', requirePermission('reports.read.company'), async (req, res) => {
   try {
     const hrUser = req.employee;
     // Resolve HR company
@@ -988,11 +1381,11 @@ app.get('/api/company/report', authenticateHR, async (req, res) => {
     const companyId = hrRow[0].company_id;
     const companyName = hrRow[0].company_name || null;
 
+    const cycle = await cycles.resolveCycle(companyId, req.query.cycleId);
+    if (!cycle) return res.status(404).json({ error: 'Survey cycle not found' });
+
     // Check readiness: all non-HR employees filled
-    const [rows] = await pool.execute(
-      `SELECT COALESCE(is_filled, 0) AS is_filled FROM ${TABLE_NAME} WHERE company_id = ? AND role != 'HR'`,
-      [companyId]
-    );
+    const rows = await cycles.getCompletion(companyId, cycle.cycle_id);
     const total = (rows || []).length;
     const filled = (rows || []).filter(r => !!r.is_filled).length;
     if (total === 0) return res.status(404).json({ error: 'No employees to report' });
@@ -1001,11 +1394,14 @@ app.get('/api/company/report', authenticateHR, async (req, res) => {
     // Try to fetch company report from company_reports_sentiment (if present)
     try {
       const [reportRows] = await pool.execute(
-        `SELECT * FROM company_reports_sentiment WHERE company_id = ? AND COALESCE(is_filled, 0) = 1 ORDER BY created_at DESC LIMIT 1`,
-        [companyId]
+        `SELECT * FROM company_reports_sentiment WHERE company_id = ? AND cycle_id = ? AND COALESCE(is_filled, 0) = 1 ORDER BY created_at DESC LIMIT 1`,
+        [companyId, cycle.cycle_id]
       );
       if (reportRows && reportRows.length) {
-        return res.json({ companyId, companyName, report: reportRows[0] });
+        // A report over too few respondents is effectively individual data
+        const guard = await anonymity.guardFor(companyId);
+        if (guard.isTooSmall(filled)) return res.json({ companyId, companyName, cycle, report: null, ...guard.marker() });
+        return res.json({ companyId, companyName, cycle, suppressed: false, report: reportRows[0] });
       }
       // If table or row not found, fall through to 404
       return res.status(404).json({ error: 'Company report not ready' });
@@ -1020,7 +1416,7 @@ app.get('/api/company/report', authenticateHR, async (req, res) => {
 });
 
 // HR: Company report analysis trigger (generates company report)
-app.post('/api/company/analyze', authenticateHR, async (req, res) => {
+app.post('/api/company/analyze', requirePermission('reports.generate'), async (req, res) => {
   try {
     const hrUser = req.employee;
 
@@ -1041,11 +1437,14 @@ app.post('/api/company/analyze', authenticateHR, async (req, res) => {
 
     console.log("🏢 Company info:", { companyId, companyName });
 
+    // Analyse the current survey cycle unless ?cycleId= is given
+    const cycle = await cycles.resolveCycle(companyId, req.query.cycleId);
+    if (!cycle) {
+      return res.status(404).json({ error: 'Survey cycle not found' });
+    }
+
     // Check readiness: all non-HR employees must have filled their surveys
-    const [rows] = await pool.execute(
-      `SELECT COALESCE(is_filled, 0) AS is_filled FROM ${TABLE_NAME} WHERE company_id = ? AND role != 'HR'`,
-      [companyId]
-    );
+    const rows = await cycles.getCompletion(companyId, cycle.cycle_id);
 
     const total = (rows || []).length;
     const filled = (rows || []).filter(r => !!r.is_filled).length;
@@ -1063,44 +1462,27 @@ app.post('/api/company/analyze', authenticateHR, async (req, res) => {
 
     console.log(`✅ All employees have submitted surveys: ${filled}/${total}`);
 
-    // Use the same triggerCompanyAnalysis function for consistency
-    console.log("🔄 Triggering full analysis (individual reports + company report)...");
-
-    try {
-      await triggerCompanyAnalysis(companyId);
-
-      // Return success response
-      return res.json({
-        success: true,
-        message: 'Individual employee reports and company analysis completed successfully',
-        companyId: companyId,
-        companyName: companyName,
-        timestamp: new Date().toISOString()
-      });
-
-    } catch (flaskError) {
-      console.error("❌ Flask company analysis error:", flaskError.message);
-
-      if (flaskError.code === 'ECONNREFUSED') {
-        return res.status(503).json({
-          error: 'AI analysis service is unavailable',
-          details: 'Please ensure the Flask sentiment analysis service is running'
-        });
-      }
+    // Queue the full analysis (individual reports + company report); progress is
+    // available from GET /api/company/analyze/jobs/:id
+    const { jobId, created } = await analysisJobs.enqueue(companyId, cycle.cycle_id, {
+      source: 'manual',
+      triggeredBy: hrUser.employeesID
+    });
 
-      if (flaskError.response) {
-        console.error("Flask error response:", flaskError.response.data);
-        return res.status(500).json({
-          error: 'Company analysis failed',
-          details: flaskError.response.data.error || 'Unknown error from analysis service'
-        });
-      }
+    console.log(`🔄 Analysis job ${jobId} ${created ? 'queued' : 'already in progress'} for company ${companyId}`);
 
-      return res.status(500).json({
-        error: 'Failed to connect to analysis service',
-        details: flaskError.message
-      });
-    }
+    return res.status(202).json({
+      success: true,
+      message: created
+        ? 'Company analysis queued'
+        : 'Company analysis is already in progress',
+      jobId: jobId,
+      statusUrl: `/api/company/analyze/jobs/${jobId}`,
+      companyId: companyId,
+      companyName: companyName,
+      cycleId: cycle.cycle_id,
+      timestamp: new Date().toISOString()
+    });
 
   } catch (error) {
     console.error("❌ Company analysis endpoint error:", error);
@@ -1111,10 +1493,57 @@ app.post('/api/company/analyze', authenticateHR, async (req, res) => {
   }
 });
 
+// HR: Company analysis job status (per-employee progress)
+app.get('/api/company/analyze/jobs/:id', requirePermission('reports.generate'), async (req, res) => {
+  try {
+    const jobId = Number(req.params.id);
+    if (!Number.isInteger(jobId)) return res.status(400).json({ error: 'Invalid job id' });
+
+    const [hrRow] = await pool.execute(
+      `SELECT company_id FROM ${TABLE_NAME} WHERE employeesID = ? LIMIT 1`,
+      [req.employee.employeesID]
+    );
+    if (!hrRow || !hrRow.length) return res.status(404).json({ error: 'HR user not found' });
+
+    const job = await analysisJobs.getJob(jobId);
+    // Jobs from other companies are reported as missing rather than forbidden
+    if (!job || job.company_id !== hrRow[0].company_id) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    return res.json({ success: true, job });
+  } catch (err) {
+    console.error('Error fetching analysis job:', err);
+    return res.status(500).json({ error: 'Failed to fetch analysis job' });
+  }
+});
+
+// Runs a queued manual analysis and records its outcome
+const runEmployeeAnalysis = async (runId, payload, cycleId) => {
+  try {
+    await pool.execute(`UPDATE employee_analysis_runs SET status = 'running' WHERE run_id = ?`, [runId]);
+    console.log(`🤖 Manual analysis run ${runId} for employee ${payload.employeeId}`);
+    await aiProvider.analyzeEmployee(payload);
+    await aiReports.tagEmployeeReports(payload.employeeId, cycleId);
+    await pool.execute(
+      `UPDATE employee_analysis_runs SET status = 'succeeded', finished_at = NOW() WHERE run_id = ?`,
+      [runId]
+    );
+    console.log(`✅ Manual analysis run ${runId} completed`);
+  } catch (err) {
+    console.error(`❌ Manual analysis run ${runId} failed:`, err.message);
+    const details = err.response?.data?.error || err.message;
+    await pool.execute(
+      `UPDATE employee_analysis_runs SET status = 'failed', finished_at = NOW(), error_text = ? WHERE run_id = ?`,
+      [String(details).slice(0, 2000), runId]
+    ).catch(dbErr => console.error(`⚠️ Failed to record outcome of run ${runId}:`, dbErr.message));
+  }
+};
+
 // NEW: Manual trigger for AI analysis (for testing/retrying)
 app.post(
   "/api/trigger-ai-analysis/:employeeId",
-  authenticateHR,
+  requirePermission('reports.generate'),
   async (req, res) => {
     try {
       const { employeeId } = req.params;
@@ -1145,7 +1574,45 @@ app.post(
           .json({ error: "Access denied: Employee not in your company" });
       }
 
-      res.json({ success: true, message: "AI trigger started" });
+      // Answers from the current survey cycle unless ?cycleId= is given
+      const cycle = await cycles.resolveCycle(empResult[0].company_id, req.query.cycleId);
+      if (!cycle) {
+        return res.status(404).json({ error: "Survey cycle not found" });
+      }
+
+      const payload = await aiReports.buildEmployeePayload(employeeId, cycle.cycle_id);
+      if (!payload) {
+        return res
+          .status(409)
+          .json({ error: "Employee has no survey responses to analyze" });
+      }
+
+      // dryRun: return exactly what would be sent to the AI service, without calling it
+      const dryRun = req.query.dryRun === 'true' || (req.body && req.body.dryRun === true);
+      if (dryRun) {
+        return res.json({
+          success: true,
+          dryRun: true,
+          provider: aiProvider.name,
+          payload: aiProvider.buildEmployeeRequest(payload).body
+        });
+      }
+
+      // The AI call can take up to FLASK_TIMEOUT, so the run finishes in the
+      // background; its outcome is available from GET /api/trigger-ai-analysis/runs/:id
+      const [runResult] = await pool.execute(
+        'INSERT INTO employee_analysis_runs (employeesID, cycle_id, triggered_by, status) VALUES (?, ?, ?, ?)',
+        [employeeId, cycle.cycle_id, hrUser.employeesID, 'queued']
+      );
+      const runId = runResult.insertId;
+      runEmployeeAnalysis(runId, payload, cycle.cycle_id);
+
+      return res.status(202).json({
+        success: true,
+        message: `Report generation queued for ${empResult[0].name || employeeId}`,
+        runId,
+        statusUrl: `/api/trigger-ai-analysis/runs/${runId}`
+      });
     } catch (error) {
       console.error("Trigger AI error:", error);
       res.status(500).json({ error: "Failed to trigger AI" });
@@ -1153,10 +1620,39 @@ app.post(
   }
 );
 
+// HR: status of a manual analysis run
+app.get('/api/trigger-ai-analysis/runs/:id', requirePermission('reports.generate'), async (req, res) => {
+  try {
+    const runId = Number(req.params.id);
+    if (!Number.isInteger(runId)) return res.status(400).json({ error: 'Invalid run id' });
+
+    const [hrRow] = await pool.execute(
+      `SELECT company_id FROM ${TABLE_NAME} WHERE employeesID = ? LIMIT 1`,
+      [req.employee.employeesID]
+    );
+    if (!hrRow || !hrRow.length) return res.status(404).json({ error: 'HR user not found' });
+
+    const [runs] = await pool.execute(
+      `SELECT r.run_id, r.employeesID, r.cycle_id, r.triggered_by, r.status, r.error_text, r.created_at, r.finished_at
+       FROM employee_analysis_runs r
+       JOIN ${TABLE_NAME} e ON e.employeesID = r.employeesID
+       WHERE r.run_id = ? AND e.company_id = ? LIMIT 1`,
+      [runId, hrRow[0].company_id]
+    );
+    // Runs for other companies are reported as missing rather than forbidden
+    if (!runs.length) return res.status(404).json({ error: 'Run not found' });
+
+    return res.json({ success: true, run: runs[0] });
+  } catch (err) {
+    console.error('Error fetching analysis run:', err);
+    return res.status(500).json({ error: 'Failed to fetch analysis run' });
+  }
+});
+
 // NEW: Regenerate employee report endpoint
 app.post(
   "/api/reports/regenerate/:employeeId",
-  authenticateHR,
+  requirePermission('reports.generate'),
   async (req, res) => {
     try {
       const { employeeId } = req.params;
@@ -1195,51 +1691,45 @@ app.post(
         });
       }
 
-      // Call Flask regenerate endpoint
+      // Regenerate the current cycle's report unless ?cycleId= is given
+      const cycle = await cycles.resolveCycle(hrCompanyId, req.query.cycleId);
+      if (!cycle) {
+        return res.status(404).json({ error: "Survey cycle not found" });
+      }
+
+      // Ask the AI provider to regenerate the report
       const payload = {
         employeeId: employeeId,
-        company: companyName
+        company: companyName,
+        cycleId: cycle.cycle_id
       };
 
-      console.log("➡️ Calling Flask regenerate endpoint with payload:", payload);
-      console.log("Flask URL:", `${FLASK_BASE_URL}/regenerate-report`);
-
-      const flaskResponse = await axios.post(
-        `${FLASK_BASE_URL}/regenerate-report`,
-        payload,
-        {
-          timeout: FLASK_TIMEOUT,
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      console.log(`➡️ Regenerating report via ${aiProvider.name} provider with payload:`, payload);
 
-      console.log("✅ Flask regenerate response status:", flaskResponse.status);
+      const data = await aiProvider.regenerateReport(payload);
+      await aiReports.tagEmployeeReports(employeeId, cycle.cycle_id);
 
-      if (flaskResponse.status === 200) {
-        res.json({
-          success: true,
-          message: `Report successfully regenerated for ${empResult[0].name}`,
-          employeeName: empResult[0].name,
-          data: flaskResponse.data
-        });
-      } else {
-        throw new Error(`Flask returned status ${flaskResponse.status}`);
-      }
+      console.log("✅ Report regenerated for", employeeId);
+
+      res.json({
+        success: true,
+        message: `Report successfully regenerated for ${empResult[0].name}`,
+        employeeName: empResult[0].name,
+        data
+      });
 
     } catch (error) {
       console.error("❌ Error regenerating report:", error.message);
 
       if (error.response) {
-        // Flask API returned an error
-        console.error("Flask error response:", error.response.data);
+        // AI service returned an error
+        console.error("AI service error response:", error.response.data);
         res.status(error.response.status || 500).json({
           success: false,
-          error: error.response.data?.error || "Flask service error",
+          error: error.response.data?.error || "AI service error",
           details: error.response.data
         });
-      } else if (error.code === 'ECONNREFUSED') {
+      } else if (error.code === 'ECONNREFUSED' || error.code === 'ECIRCUITOPEN') {
         res.status(503).json({
           success: false,
           error: "AI service unavailable. Please try again later."
@@ -1255,24 +1745,26 @@ app.post(
   }
 );
 
-// NEW: Check Flask agent status
+// NEW: Check AI agent status (health probe plus circuit breaker state)
 app.get("/api/agent-status", authenticateToken, async (req, res) => {
   try {
-    const response = await axios.get(`${FLASK_BASE_URL}/health`, {
-      timeout: 5000,
-    });
+    const agentResponse = await aiProvider.health();
     res.json({
       status: "online",
-      agentResponse: response.data,
+      provider: aiProvider.name,
+      agentResponse,
+      circuit: aiBreaker.getState(),
       timestamp: new Date().toISOString(),
-      endpoint: FLASK_BASE_URL,
+      endpoint: aiProvider.endpoint,
     });
   } catch (error) {
     res.json({
       status: "offline",
+      provider: aiProvider.name,
       error: error.message,
+      circuit: aiBreaker.getState(),
       timestamp: new Date().toISOString(),
-      endpoint: FLASK_BASE_URL,
+      endpoint: aiProvider.endpoint,
     });
   }
 });
@@ -1324,7 +1816,13 @@ app.get("/api/debug/responses_table", async (_, res) => {
 app.listen(PORT, () => {
   console.log(`🚀 ForteAI Server running on port ${PORT}`);
   console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
-  console.log(`🤖 Flask Agent URL: ${FLASK_BASE_URL}`);
+  console.log(`🤖 AI Agent (${aiProvider.name}): ${aiProvider.endpoint}`);
+  analysisJobs.resume();
+  // Manual runs are not resumed; mark the ones a restart interrupted
+  pool.execute(
+    `UPDATE employee_analysis_runs SET status = 'failed', finished_at = NOW(), error_text = 'Interrupted by a server restart'
+     WHERE status IN ('queued', 'running')`
+  ).catch(err => console.error('⚠️ Failed to close interrupted analysis runs:', err.message));
 });
 
 // Graceful shutdown handling
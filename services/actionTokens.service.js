@@ -0,0 +1,84 @@
+// Single-use tokens for password reset and invitation links (auth_action_tokens).
+// The link carries a JWT with a purpose claim and a jti; the jti row records
+// whether it was used. Issuing a new link of the same purpose, or any password
+// change, invalidates the employee's outstanding links.
+// Tokens with a purpose claim are never accepted as access tokens
+// (see middlewares/token.verify.js).
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PURPOSES = ['password_reset', 'invite'];
+
+const tokenError = (message) => Object.assign(new Error(message), { status: 400 });
+
+module.exports = (pool) => {
+  const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+
+  const issue = async (employeesID, purpose, expiresIn) => {
+    if (!PURPOSES.includes(purpose)) throw new Error(`Unknown token purpose "${purpose}"`);
+    const jti = crypto.randomBytes(16).toString('hex');
+    const token = jwt.sign({ employeesID, purpose }, JWT_SECRET, { expiresIn, jwtid: jti });
+    const { exp } = jwt.decode(token);
+
+    await pool.execute(
+      `UPDATE auth_action_tokens SET invalidated_at = NOW()
+       WHERE employeesID = ? AND purpose = ? AND used_at IS NULL AND invalidated_at IS NULL`,
+      [employeesID, purpose]
+    );
+    await pool.execute(
+      'INSERT INTO auth_action_tokens (jti, employeesID, purpose, expires_at) VALUES (?, ?, ?, ?)',
+      [jti, employeesID, purpose, new Date(exp * 1000)]
+    );
+    return { token, expiresAt: new Date(exp * 1000) };
+  };
+
+  const decode = (token, purpose) => {
+    let payload;
+    try {
+      payload = jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+      throw tokenError('Invalid or expired token');
+    }
+    if (payload.purpose !== purpose || !payload.jti) throw tokenError('Invalid or expired token');
+    return payload;
+  };
+
+  // Check a token without using it (to decide whether to show the form)
+  const peek = async (token, purpose) => {
+    const payload = decode(token, purpose);
+    const [rows] = await pool.execute(
+      'SELECT used_at, invalidated_at FROM auth_action_tokens WHERE jti = ? AND employeesID = ? LIMIT 1',
+      [payload.jti, payload.employeesID]
+    );
+    if (!rows.length || rows[0].invalidated_at) throw tokenError('Invalid or expired token');
+    if (rows[0].used_at) throw tokenError('This link has already been used');
+    return payload;
+  };
+
+  // Mark the token used; only the first caller succeeds
+  const consume = async (token, purpose) => {
+    const payload = decode(token, purpose);
+    const [result] = await pool.execute(
+      `UPDATE auth_action_tokens SET used_at = NOW()
+       WHERE jti = ? AND employeesID = ? AND purpose = ? AND used_at IS NULL AND invalidated_at IS NULL`,
+      [payload.jti, payload.employeesID, purpose]
+    );
+    if (!result.affectedRows) {
+      await peek(token, purpose); // throws the specific reason
+      throw tokenError('Invalid or expired token');
+    }
+    return payload;
+  };
+
+  // Called whenever the password changes
+  const invalidateForEmployee = async (employeesID) => {
+    const [result] = await pool.execute(
+      `UPDATE auth_action_tokens SET invalidated_at = NOW()
+       WHERE employeesID = ? AND used_at IS NULL AND invalidated_at IS NULL`,
+      [employeesID]
+    );
+    return result.affectedRows;
+  };
+
+  return { issue, peek, consume, invalidateForEmployee };
+};
@@ -0,0 +1,33 @@
+// Flask sentiment agent over HTTP. The agent stores the reports it generates,
+// so its calls are not idempotent and are not retried after a timeout.
+const axios = require('axios');
+
+module.exports = ({ baseUrl, timeout }, breaker) => {
+  const post = (path, body) => breaker.execute(async () => {
+    const response = await axios.post(`${baseUrl}${path}`, body, {
+      timeout,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+    return response.data;
+  }, { idempotent: false });
+
+  return {
+    name: 'flask',
+    endpoint: baseUrl,
+
+    buildEmployeeRequest: (payload) => ({ endpoint: `${baseUrl}/analyze`, body: payload }),
+
+    analyzeEmployee: (payload) => post('/analyze', payload),
+
+    analyzeCompany: (companyId, cycleId) => post('/analyze-company', { companyId, cycleId }),
+
+    regenerateReport: ({ employeeId, company, cycleId }) => post('/regenerate-report', { employeeId, company, cycleId }),
+
+    health: async () => {
+      const response = await axios.get(`${baseUrl}/health`, { timeout: 5000 });
+      return response.data;
+    },
+  };
+};
@@ -0,0 +1,99 @@
+// Generic prompt-completion service: POST { prompt } to a /generate endpoint and
+// read the completion from `response`. Reports are parsed from the completion
+// and stored here, since the service itself has no database access.
+const axios = require('axios');
+const { REPORT_FIELDS } = require('./reports');
+
+const REPORT_SHAPE = REPORT_FIELDS
+  .map(f => `  "${f}": ${f.endsWith('_sentiment') ? '<number 0-100>' : '"<text>"'}`)
+  .join(',\n');
+
+const employeePrompt = (payload) => {
+  const answers = Object.keys(payload.answers)
+    .map(k => `${k}. ${payload.answers[k].question}\nAnswer: ${payload.answers[k].answer}`)
+    .join('\n\n');
+  return `You are an HR analyst. Analyse this employee's survey answers for sentiment and attrition risk.
+Company: ${payload.company || 'Unknown'}
+
+${answers}
+
+Reply with only a JSON object of this shape (sentiment percentages add up to 100):
+{
+${REPORT_SHAPE}
+}`;
+};
+
+const companyPrompt = (companyId, employeeReports) => {
+  const summaries = employeeReports
+    .map((r, i) => `Employee ${i + 1}: positive ${r.positive_sentiment}%, neutral ${r.neutral_sentiment}%, negative ${r.negative_sentiment}%.
+Summary: ${r.summary_opinion || ''}
+Attrition factors: ${[r.attrition_factor_1, r.attrition_factor_2, r.attrition_factor_3].filter(Boolean).join('; ')}`)
+    .join('\n\n');
+  return `You are an HR analyst. Combine these individual employee reports for company ${companyId} into one company-level report.
+
+${summaries}
+
+Reply with only a JSON object of this shape (sentiment percentages add up to 100):
+{
+${REPORT_SHAPE}
+}`;
+};
+
+// Pull the first JSON object out of a completion
+const parseReport = (text) => {
+  const match = String(text || '').match(/\{[\s\S]*\}/);
+  if (!match) throw new Error('AI response did not contain a JSON report');
+  let parsed;
+  try {
+    parsed = JSON.parse(match[0]);
+  } catch (e) {
+    throw new Error('AI response contained invalid JSON: ' + e.message);
+  }
+  const report = {};
+  REPORT_FIELDS.forEach(f => {
+    report[f] = f.endsWith('_sentiment') ? Number(parsed[f]) || 0 : (parsed[f] == null ? null : String(parsed[f]));
+  });
+  return report;
+};
+
+module.exports = ({ url, timeout }, reports, breaker) => {
+  const generate = (prompt) => breaker.execute(async () => {
+    const res = await axios.post(url, { prompt }, { timeout });
+    return res.data.response;
+  });
+
+  const analyzeEmployee = async (payload) => {
+    const report = parseReport(await generate(employeePrompt(payload)));
+    await reports.saveEmployeeReport(payload.employeeId, payload.company, report, payload.cycleId);
+    return { employeeId: payload.employeeId, report };
+  };
+
+  return {
+    name: 'generate',
+    endpoint: url,
+
+    buildEmployeeRequest: (payload) => ({ endpoint: url, body: { prompt: employeePrompt(payload) } }),
+
+    analyzeEmployee,
+
+    analyzeCompany: async (companyId, cycleId) => {
+      const employeeReports = await reports.getEmployeeReports(companyId, cycleId);
+      if (!employeeReports.length) throw new Error('No individual reports to aggregate');
+      const report = parseReport(await generate(companyPrompt(companyId, employeeReports)));
+      await reports.saveCompanyReport(companyId, report, cycleId);
+      return { companyId, report };
+    },
+
+    regenerateReport: async ({ employeeId, cycleId }) => {
+      const payload = await reports.buildEmployeePayload(employeeId, cycleId);
+      if (!payload) throw new Error('Employee has no survey responses to analyze');
+      return analyzeEmployee(payload);
+    },
+
+    // The service has no health route; a short prompt proves it is answering
+    health: async () => {
+      const res = await axios.post(url, { prompt: 'Reply with OK.' }, { timeout: 5000 });
+      return { status: 'ok', response: res.data.response };
+    },
+  };
+};
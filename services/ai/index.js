@@ -0,0 +1,53 @@
+// AI analysis provider selected by AI_PROVIDER:
+//   flask    - Flask sentiment agent at FLASK_BASE_URL (default)
+//   generate - generic prompt service at AI_GENERATE_URL (required)
+//   mock     - deterministic in-process analysis, no AI service needed
+//
+// Every provider exposes the same methods:
+//   analyzeEmployee(payload), analyzeCompany(companyId, cycleId),
+//   regenerateReport({ employeeId, company, cycleId }), health(),
+//   buildEmployeeRequest(payload) -> { endpoint, body } (used for dry runs)
+//
+// HTTP providers go through a shared retry/circuit breaker (services/resilience.js)
+// configured by AI_RETRIES, AI_RETRY_BASE_MS, AI_RETRY_MAX_MS,
+// AI_BREAKER_THRESHOLD and AI_BREAKER_RESET_MS.
+const createReports = require('./reports');
+const createFlaskProvider = require('./flask.provider');
+const createGenerateProvider = require('./generate.provider');
+const createMockProvider = require('./mock.provider');
+const { createCircuitBreaker } = require('../resilience');
+
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+module.exports = (pool, TABLE_NAME, config) => {
+  const reports = createReports(pool, TABLE_NAME);
+  const name = String(config.provider || 'flask').toLowerCase();
+  const breaker = createCircuitBreaker(`ai-${name}`, {
+    retries: intFromEnv('AI_RETRIES', 2),
+    baseDelayMs: intFromEnv('AI_RETRY_BASE_MS', 1000),
+    maxDelayMs: intFromEnv('AI_RETRY_MAX_MS', 15000),
+    failureThreshold: intFromEnv('AI_BREAKER_THRESHOLD', 5),
+    resetTimeoutMs: intFromEnv('AI_BREAKER_RESET_MS', 60000),
+  });
+
+  let provider;
+  switch (name) {
+    case 'flask':
+      provider = createFlaskProvider({ baseUrl: config.flaskBaseUrl, timeout: config.timeout }, breaker);
+      break;
+    case 'generate':
+      if (!config.generateUrl) throw new Error('AI_PROVIDER "generate" requires AI_GENERATE_URL');
+      provider = createGenerateProvider({ url: config.generateUrl, timeout: config.timeout }, reports, breaker);
+      break;
+    case 'mock':
+      provider = createMockProvider(reports);
+      break;
+    default:
+      throw new Error(`Unknown AI_PROVIDER "${config.provider}" (expected flask, generate or mock)`);
+  }
+
+  return { provider, reports, breaker };
+};
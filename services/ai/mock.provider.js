@@ -0,0 +1,135 @@
+// Deterministic in-process provider for local development and tests.
+// Scores answers with simple rules (rating scales and keywords), so the same
+// answers always produce the same report and no AI service is needed.
+const POSITIVE_WORDS = ['good', 'great', 'happy', 'satisfied', 'supportive', 'excellent', 'enjoy', 'love', 'growth', 'flexible', 'fair', 'appreciated'];
+const NEGATIVE_WORDS = ['bad', 'poor', 'stress', 'unhappy', 'toxic', 'underpaid', 'overworked', 'burnout', 'frustrat', 'unfair', 'leave', 'quit'];
+
+const RETENTION_STRATEGY = 'Discuss this area in one-to-one meetings and agree concrete follow-up actions.';
+
+// Returns 1 (positive), 0 (neutral) or -1 (negative)
+const scoreAnswer = (answer) => {
+  const text = String(answer || '').trim().toLowerCase();
+  if (!text) return 0;
+  const num = Number(text);
+  if (!Number.isNaN(num)) {
+    // 1-5 rating scales, anything larger is treated as 1-10
+    if (num <= 5) return num >= 4 ? 1 : num <= 2 ? -1 : 0;
+    return num >= 7 ? 1 : num <= 4 ? -1 : 0;
+  }
+  const pos = POSITIVE_WORDS.filter(w => text.includes(w)).length;
+  const neg = NEGATIVE_WORDS.filter(w => text.includes(w)).length;
+  return Math.sign(pos - neg);
+};
+
+// Percentages from counts, rounded so they add up to 100
+const percentages = (pos, neu, neg) => {
+  const total = pos + neu + neg;
+  if (!total) return [0, 100, 0];
+  const p = Math.round((pos / total) * 100);
+  const n = Math.round((neg / total) * 100);
+  return [p, 100 - p - n, n];
+};
+
+const fillReport = (counts, positives, factors, summary) => {
+  const [positive, neutral, negative] = percentages(counts.pos, counts.neu, counts.neg);
+  const report = {
+    positive_sentiment: positive,
+    neutral_sentiment: neutral,
+    negative_sentiment: negative,
+    summary_opinion: summary,
+  };
+  for (let i = 0; i < 3; i++) {
+    report[`key_positive_${i + 1}`] = positives[i] || null;
+    report[`attrition_factor_${i + 1}`] = factors[i] ? factors[i].factor : null;
+    report[`attrition_problem_${i + 1}`] = factors[i] ? factors[i].problem : null;
+    report[`retention_strategy_${i + 1}`] = factors[i] ? RETENTION_STRATEGY : null;
+  }
+  return report;
+};
+
+const employeeReport = (payload) => {
+  const counts = { pos: 0, neu: 0, neg: 0 };
+  const positives = [];
+  const factors = [];
+  Object.keys(payload.answers).sort().forEach(key => {
+    const { question, answer } = payload.answers[key];
+    const score = scoreAnswer(answer);
+    if (score > 0) {
+      counts.pos++;
+      positives.push(question);
+    } else if (score < 0) {
+      counts.neg++;
+      factors.push({ factor: question, problem: `Negative response: "${answer}"` });
+    } else {
+      counts.neu++;
+    }
+  });
+  const mood = counts.pos > counts.neg ? 'positive' : counts.neg > counts.pos ? 'negative' : 'mixed';
+  return fillReport(counts, positives, factors,
+    `[mock] Overall ${mood} sentiment across ${Object.keys(payload.answers).length} answers.`);
+};
+
+// Company report: averaged sentiment plus the most common positives and attrition factors
+const companyReport = (employeeReports) => {
+  const avg = (field) => Math.round(
+    employeeReports.reduce((sum, r) => sum + (Number(r[field]) || 0), 0) / employeeReports.length
+  );
+  const mostCommon = (prefix) => {
+    const counts = new Map();
+    employeeReports.forEach(r => {
+      [1, 2, 3].forEach(i => {
+        const value = r[`${prefix}_${i}`];
+        if (value) counts.set(value, (counts.get(value) || 0) + 1);
+      });
+    });
+    return [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+      .map(([value, count]) => ({ value, count }));
+  };
+  const factors = mostCommon('attrition_factor').map(f => ({
+    factor: f.value,
+    problem: `Raised by ${f.count} employee(s)`,
+  }));
+  const report = fillReport({ pos: 0, neu: 0, neg: 0 }, mostCommon('key_positive').map(p => p.value), factors,
+    `[mock] Aggregated from ${employeeReports.length} employee report(s).`);
+  report.positive_sentiment = avg('positive_sentiment');
+  report.negative_sentiment = avg('negative_sentiment');
+  report.neutral_sentiment = 100 - report.positive_sentiment - report.negative_sentiment;
+  return report;
+};
+
+module.exports = (reports) => {
+  const analyzeEmployee = async (payload) => {
+    const report = employeeReport(payload);
+    await reports.saveEmployeeReport(payload.employeeId, payload.company, report, payload.cycleId);
+    return { employeeId: payload.employeeId, report };
+  };
+
+  return {
+    name: 'mock',
+    endpoint: 'mock://in-process',
+
+    buildEmployeeRequest: (payload) => ({ endpoint: 'mock://in-process/analyze', body: payload }),
+
+    analyzeEmployee,
+
+    analyzeCompany: async (companyId, cycleId) => {
+      const employeeReports = await reports.getEmployeeReports(companyId, cycleId);
+      if (!employeeReports.length) throw new Error('No individual reports to aggregate');
+      const report = companyReport(employeeReports);
+      await reports.saveCompanyReport(companyId, report, cycleId);
+      return { companyId, report };
+    },
+
+    regenerateReport: async ({ employeeId, cycleId }) => {
+      const payload = await reports.buildEmployeePayload(employeeId, cycleId);
+      if (!payload) throw new Error('Employee has no survey responses to analyze');
+      return analyzeEmployee(payload);
+    },
+
+    health: async () => ({ status: 'ok', provider: 'mock' }),
+  };
+};
+
+module.exports.employeeReport = employeeReport;
+module.exports.companyReport = companyReport;
@@ -0,0 +1,137 @@
+// Report data access shared by the AI providers.
+// The Flask agent reads and writes these tables itself; providers that only
+// return text (generate, mock) use saveEmployeeReport/saveCompanyReport instead.
+const REPORT_FIELDS = [
+  'positive_sentiment', 'neutral_sentiment', 'negative_sentiment',
+  'summary_opinion', 'key_positive_1', 'key_positive_2', 'key_positive_3',
+  'attrition_factor_1', 'attrition_problem_1', 'retention_strategy_1',
+  'attrition_factor_2', 'attrition_problem_2', 'retention_strategy_2',
+  'attrition_factor_3', 'attrition_problem_3', 'retention_strategy_3',
+];
+
+module.exports = (pool, TABLE_NAME) => {
+  // Build the /analyze payload for one employee from their survey answers in a cycle.
+  // Returns null when the employee has no responses in that cycle, or is a former
+  // employee whose reports were retired (see services/offboarding.service.js).
+  const buildEmployeePayload = async (employeeId, cycleId) => {
+    // Get employee's company name
+    const [empInfo] = await pool.execute(
+      `SELECT c.company_name, e.reports_retired_at FROM ${TABLE_NAME} e
+       LEFT JOIN companies c ON e.company_id = c.company_id
+       WHERE e.employeesID = ? LIMIT 1`,
+      [employeeId]
+    );
+    if (empInfo.length && empInfo[0].reports_retired_at) return null;
+
+    const companyName = empInfo && empInfo[0] ? empInfo[0].company_name : null;
+
+    // Fetch employee's survey responses
+    const [responses] = await pool.execute(
+      `SELECT
+        rs.form_question_id,
+        rs.answer_text,
+        rs.answer_choice,
+        mq.question_number,
+        fq.question_text
+      FROM Responses_Sentiment rs
+      JOIN FormQuestions_Sentiment fq ON rs.form_question_id = fq.form_question_id
+      JOIN MasterQuestions_Sentiment mq ON fq.master_question_id = mq.master_question_id
+      WHERE rs.employeesID = ? AND rs.cycle_id = ?
+      ORDER BY mq.question_number`,
+      [employeeId, cycleId]
+    );
+
+    if (!responses || responses.length === 0) return null;
+
+    // Format responses for AI analysis
+    const formattedAnswers = {};
+    responses.forEach((response) => {
+      const qNum = response.question_number;
+      const answer = response.answer_text || response.answer_choice || '';
+      formattedAnswers[`q${qNum}`] = {
+        question: response.question_text,
+        answer: answer
+      };
+    });
+
+    return {
+      employeeId: employeeId,
+      company: companyName,
+      cycleId: cycleId,
+      answers: formattedAnswers
+    };
+  };
+
+  // Latest individual report of every non-HR employee in a company for a cycle,
+  // plus the anonymized reports of former employees
+  const getEmployeeReports = async (companyId, cycleId) => {
+    const [rows] = await pool.execute(
+      `SELECT r.* FROM responses_langchain_sentiment r
+       LEFT JOIN ${TABLE_NAME} e ON e.employeesID = r.employeesID
+       WHERE r.cycle_id = ?
+         AND ((e.company_id = ? AND e.role != 'HR') OR (r.anonymized_at IS NOT NULL AND r.company_id = ?))
+       ORDER BY r.created_at DESC`,
+      [cycleId, companyId, companyId]
+    );
+    const latest = new Map();
+    rows.forEach(r => { if (!latest.has(r.employeesID)) latest.set(r.employeesID, r); });
+    return [...latest.values()];
+  };
+
+  const reportValues = (report) => REPORT_FIELDS.map(f => (report[f] === undefined ? null : report[f]));
+
+  // Replace the employee's individual report for the cycle
+  const saveEmployeeReport = async (employeeId, company, report, cycleId) => {
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      await connection.execute(
+        'DELETE FROM responses_langchain_sentiment WHERE employeesID = ? AND cycle_id = ?',
+        [employeeId, cycleId]
+      );
+      await connection.execute(
+        `INSERT INTO responses_langchain_sentiment (employeesID, company, cycle_id, ${REPORT_FIELDS.join(', ')})
+         VALUES (?, ?, ?, ${REPORT_FIELDS.map(() => '?').join(', ')})`,
+        [employeeId, company || null, cycleId, ...reportValues(report)]
+      );
+      await connection.commit();
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    } finally {
+      connection.release();
+    }
+  };
+
+  // Add a new company report for the cycle; readers take the most recent one
+  const saveCompanyReport = async (companyId, report, cycleId) => {
+    await pool.execute(
+      `INSERT INTO company_reports_sentiment (company_id, cycle_id, ${REPORT_FIELDS.join(', ')}, is_filled)
+       VALUES (?, ?, ${REPORT_FIELDS.map(() => '?').join(', ')}, 1)`,
+      [companyId, cycleId, ...reportValues(report)]
+    );
+  };
+
+  // The Flask agent writes report rows without a cycle; attach them to the cycle
+  // that was analysed
+  const tagEmployeeReports = (employeeId, cycleId) => pool.execute(
+    'UPDATE responses_langchain_sentiment SET cycle_id = ? WHERE employeesID = ? AND cycle_id IS NULL',
+    [cycleId, employeeId]
+  );
+
+  const tagCompanyReports = (companyId, cycleId) => pool.execute(
+    'UPDATE company_reports_sentiment SET cycle_id = ? WHERE company_id = ? AND cycle_id IS NULL',
+    [cycleId, companyId]
+  );
+
+  return {
+    buildEmployeePayload,
+    getEmployeeReports,
+    saveEmployeeReport,
+    saveCompanyReport,
+    tagEmployeeReports,
+    tagCompanyReports,
+  };
+};
+
+module.exports.REPORT_FIELDS = REPORT_FIELDS;
@@ -0,0 +1,205 @@
+// Database-backed queue for company analysis runs.
+// Each run is an analysis_jobs row for one survey cycle, with one
+// analysis_job_tasks row per employee report plus a final company task.
+// Jobs are processed one at a time in-process; anything left queued or
+// running when the server stops is picked up by resume().
+module.exports = (pool, TABLE_NAME, { analyzeEmployee, analyzeCompany }) => {
+  let draining = false;
+  let kicked = false;
+
+  const errorText = (err) => {
+    if (!err) return null;
+    const detail = err.response && err.response.data && err.response.data.error;
+    return String(detail || err.message || err).slice(0, 2000);
+  };
+
+  // Returns the active (queued/running) job for a company's cycle, if any.
+  // db is the pool or a connection inside a transaction.
+  const findActiveJob = async (companyId, cycleId, db = pool) => {
+    const [rows] = await db.execute(
+      `SELECT job_id FROM analysis_jobs
+       WHERE company_id = ? AND cycle_id = ? AND status IN ('queued', 'running') ORDER BY job_id LIMIT 1`,
+      [companyId, cycleId]
+    );
+    return rows.length ? rows[0].job_id : null;
+  };
+
+  // Create a job with its sub-tasks. An already active job for the same cycle is reused.
+  // The cycle row is locked while checking, so concurrent submissions that both
+  // complete the survey cannot each create a job.
+  const enqueue = async (companyId, cycleId, { source = 'manual', triggeredBy = null } = {}) => {
+    const connection = await pool.getConnection();
+    let jobId;
+    try {
+      await connection.beginTransaction();
+      await connection.execute('SELECT cycle_id FROM survey_cycles WHERE cycle_id = ? FOR UPDATE', [cycleId]);
+      const existing = await findActiveJob(companyId, cycleId, connection);
+      if (existing) {
+        await connection.commit();
+        kick();
+        return { jobId: existing, created: false };
+      }
+
+      const [jobResult] = await connection.execute(
+        'INSERT INTO analysis_jobs (company_id, cycle_id, status, trigger_source, triggered_by) VALUES (?, ?, ?, ?, ?)',
+        [companyId, cycleId, 'queued', source, triggeredBy]
+      );
+      jobId = jobResult.insertId;
+
+      // Employees who responded in this cycle (not former employees whose reports were retired)
+      const [employees] = await connection.execute(
+        `SELECT e.employeesID FROM ${TABLE_NAME} e
+         WHERE e.company_id = ? AND e.role != 'HR' AND e.reports_retired_at IS NULL
+           AND EXISTS (SELECT 1 FROM Responses_Sentiment rs WHERE rs.employeesID = e.employeesID AND rs.cycle_id = ?)
+         ORDER BY e.employeesID`,
+        [companyId, cycleId]
+      );
+      for (const emp of employees) {
+        await connection.execute(
+          'INSERT INTO analysis_job_tasks (job_id, task_type, employeesID) VALUES (?, ?, ?)',
+          [jobId, 'employee', emp.employeesID]
+        );
+      }
+      await connection.execute(
+        'INSERT INTO analysis_job_tasks (job_id, task_type) VALUES (?, ?)',
+        [jobId, 'company']
+      );
+      await connection.commit();
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    } finally {
+      connection.release();
+    }
+
+    console.log(`🗂️ Queued analysis job ${jobId} for company ${companyId}, cycle ${cycleId} (${source})`);
+    kick();
+    return { jobId, created: true };
+  };
+
+  // Job with its tasks and a progress summary, or null if not found
+  const getJob = async (jobId) => {
+    const [jobs] = await pool.execute('SELECT * FROM analysis_jobs WHERE job_id = ? LIMIT 1', [jobId]);
+    if (!jobs.length) return null;
+    const [tasks] = await pool.execute(
+      `SELECT task_id, task_type, employeesID, status, error_text, started_at, finished_at
+       FROM analysis_job_tasks WHERE job_id = ? ORDER BY task_type = 'company', task_id`,
+      [jobId]
+    );
+    const progress = { total: tasks.length, queued: 0, running: 0, succeeded: 0, failed: 0 };
+    tasks.forEach(t => { progress[t.status]++; });
+    return { ...jobs[0], progress, tasks };
+  };
+
+  const setTaskStatus = (taskId, status, err) => {
+    if (status === 'running') {
+      return pool.execute(
+        'UPDATE analysis_job_tasks SET status = ?, started_at = NOW(), finished_at = NULL, error_text = NULL WHERE task_id = ?',
+        [status, taskId]
+      );
+    }
+    return pool.execute(
+      'UPDATE analysis_job_tasks SET status = ?, finished_at = NOW(), error_text = ? WHERE task_id = ?',
+      [status, errorText(err), taskId]
+    );
+  };
+
+  const runJob = async (job) => {
+    const jobId = job.job_id;
+    console.log(`🤖 Running analysis job ${jobId} for company ${job.company_id}`);
+    await pool.execute(
+      `UPDATE analysis_jobs SET status = 'running', started_at = COALESCE(started_at, NOW()), error_text = NULL WHERE job_id = ?`,
+      [jobId]
+    );
+
+    // Tasks already succeeded (before a restart) are not repeated
+    const [tasks] = await pool.execute(
+      `SELECT task_id, task_type, employeesID FROM analysis_job_tasks
+       WHERE job_id = ? AND status != 'succeeded'
+       ORDER BY task_type = 'company', task_id`,
+      [jobId]
+    );
+
+    let failedEmployees = 0;
+    for (const task of tasks) {
+      await setTaskStatus(task.task_id, 'running');
+      try {
+        if (task.task_type === 'employee') {
+          await analyzeEmployee(task.employeesID, job.cycle_id);
+        } else {
+          await analyzeCompany(job.company_id, job.cycle_id);
+        }
+        await setTaskStatus(task.task_id, 'succeeded');
+      } catch (err) {
+        await setTaskStatus(task.task_id, 'failed', err);
+        if (task.task_type === 'employee') {
+          // Continue with other employees even if one fails
+          console.error(`  ❌ Job ${jobId}: report failed for employee ${task.employeesID}:`, err.message);
+          failedEmployees++;
+          continue;
+        }
+        console.error(`❌ Job ${jobId}: company analysis failed:`, err.message);
+        await pool.execute(
+          `UPDATE analysis_jobs SET status = 'failed', finished_at = NOW(), error_text = ? WHERE job_id = ?`,
+          [errorText(err), jobId]
+        );
+        return;
+      }
+    }
+
+    await pool.execute(
+      `UPDATE analysis_jobs SET status = 'succeeded', finished_at = NOW(), error_text = ? WHERE job_id = ?`,
+      [failedEmployees ? `${failedEmployees} employee report(s) failed` : null, jobId]
+    );
+    console.log(`✅ Analysis job ${jobId} completed`);
+  };
+
+  const drain = async () => {
+    for (;;) {
+      const [rows] = await pool.execute(
+        `SELECT * FROM analysis_jobs WHERE status = 'queued' ORDER BY job_id LIMIT 1`
+      );
+      if (!rows.length) return;
+      try {
+        await runJob(rows[0]);
+      } catch (err) {
+        // Bookkeeping failure (e.g. lost DB connection) - mark the job so the loop moves on
+        console.error(`❌ Analysis job ${rows[0].job_id} aborted:`, err.message);
+        await pool.execute(
+          `UPDATE analysis_jobs SET status = 'failed', finished_at = NOW(), error_text = ? WHERE job_id = ?`,
+          [errorText(err), rows[0].job_id]
+        );
+      }
+    }
+  };
+
+  // Start processing the queue unless a drain loop is already active. A kick
+  // that arrives while a loop is finishing starts another one, so a job queued
+  // after the loop's last look is not left waiting.
+  const kick = () => {
+    kicked = true;
+    if (draining) return;
+    draining = true;
+    kicked = false;
+    drain()
+      .catch(err => console.error('⚠️ Analysis job queue error:', err.message))
+      .finally(() => {
+        draining = false;
+        if (kicked) kick();
+      });
+  };
+
+  // Requeue work interrupted by a restart and start processing
+  const resume = async () => {
+    try {
+      await pool.execute(`UPDATE analysis_job_tasks SET status = 'queued' WHERE status = 'running'`);
+      const [result] = await pool.execute(`UPDATE analysis_jobs SET status = 'queued' WHERE status = 'running'`);
+      if (result.affectedRows) console.log(`🔁 Resuming ${result.affectedRows} interrupted analysis job(s)`);
+      kick();
+    } catch (err) {
+      console.error('⚠️ Failed to resume analysis jobs:', err.message);
+    }
+  };
+
+  return { enqueue, getJob, findActiveJob, resume };
+};
@@ -0,0 +1,66 @@
+// Minimum group size (k-anonymity) for everything aggregated over employees:
+// company reports, department slices, manager team views, trends and exports.
+// A group with fewer respondents than the company's minimum is replaced by the
+// marker { suppressed: true, minGroupSize } so no one's answers can be singled
+// out. The minimum is per company (companies.min_group_size, NULL = default).
+const anonymityError = (status, message) => Object.assign(new Error(message), { status });
+
+// Below this a "group" is effectively one or two people
+const LOWEST_MIN_GROUP_SIZE = 3;
+const HIGHEST_MIN_GROUP_SIZE = 100;
+
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Checks group sizes against one minimum
+const createGuard = (minGroupSize) => {
+  const isTooSmall = (groupSize) => Number(groupSize) < minGroupSize;
+  const marker = () => ({ suppressed: true, minGroupSize });
+  return {
+    minGroupSize,
+    isTooSmall,
+    marker,
+    // data with suppressed: false, or the marker when the group is too small
+    apply: (groupSize, data) => (isTooSmall(groupSize) ? marker() : { suppressed: false, ...data }),
+  };
+};
+
+module.exports = (pool) => {
+  const DEFAULT_MIN_GROUP_SIZE = Math.min(
+    HIGHEST_MIN_GROUP_SIZE,
+    Math.max(LOWEST_MIN_GROUP_SIZE, intFromEnv('ANONYMITY_MIN_GROUP_SIZE', 5))
+  );
+
+  const getSetting = async (companyId) => {
+    const [rows] = await pool.execute('SELECT min_group_size FROM companies WHERE company_id = ? LIMIT 1', [companyId]);
+    const configured = rows.length && rows[0].min_group_size !== null ? Number(rows[0].min_group_size) : null;
+    return {
+      minGroupSize: configured === null ? DEFAULT_MIN_GROUP_SIZE : Math.max(LOWEST_MIN_GROUP_SIZE, configured),
+      isDefault: configured === null,
+      defaultMinGroupSize: DEFAULT_MIN_GROUP_SIZE,
+    };
+  };
+
+  // minGroupSize: integer, or null for the default
+  const setMinGroupSize = async (companyId, minGroupSize) => {
+    let value = null;
+    if (minGroupSize !== null) {
+      value = Number(minGroupSize);
+      if (!Number.isInteger(value) || value < LOWEST_MIN_GROUP_SIZE || value > HIGHEST_MIN_GROUP_SIZE) {
+        throw anonymityError(400, `minGroupSize must be a whole number from ${LOWEST_MIN_GROUP_SIZE} to ${HIGHEST_MIN_GROUP_SIZE}, or null for the default`);
+      }
+    }
+    const [result] = await pool.execute('UPDATE companies SET min_group_size = ? WHERE company_id = ?', [value, companyId]);
+    if (!result.affectedRows) throw anonymityError(404, 'Company not found');
+    return getSetting(companyId);
+  };
+
+  // Guard with the company's minimum
+  const guardFor = async (companyId) => createGuard((await getSetting(companyId)).minGroupSize);
+
+  return { getSetting, setMinGroupSize, guardFor };
+};
+
+module.exports.createGuard = createGuard;
@@ -0,0 +1,198 @@
+// API keys for machine-to-machine integrations.
+// A key belongs to one company and carries a subset of API_KEY_PERMISSIONS (never
+// more than its creator has). The auth middlewares accept it wherever they accept
+// a JWT (see middlewares/token.verify.js); the request then runs as a principal
+// { employeesID: 'apikey:<key_id>', role: 'ApiKey', apiKeyId, company_id, permissions }.
+// Every request made with a key is written to api_key_audit.
+// Verification results are cached briefly per process (API_KEY_CACHE_MS), so a
+// revoked key may keep working on another instance for that long.
+const crypto = require('crypto');
+
+const keyError = (status, message) => Object.assign(new Error(message), { status });
+
+const KEY_PREFIX = 'nxk_';
+const KEY_PATTERN = /^nxk_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+const MAX_EXPIRY_DAYS = 730;
+const DEFAULT_EXPIRY_DAYS = 90;
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+// What an integration can be allowed to do. /api/hr/* routes also need hr.access.
+const API_KEY_PERMISSIONS = [
+  'hr.access',
+  'employees.read',
+  'employees.create',
+  'employees.import',
+  'employees.update',
+  'employees.deactivate',
+  'employees.offboard',
+  'org.manage',
+];
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const parsePermissions = (value) => {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+const isApiKey = (token) => typeof token === 'string' && token.startsWith(KEY_PREFIX);
+
+// key_id of a presented key, without checking it (for auditing)
+const keyIdOf = (token) => {
+  const match = KEY_PATTERN.exec(String(token || ''));
+  return match ? match[1] : null;
+};
+
+const fromRow = (row) => ({
+  keyId: row.key_id,
+  companyId: row.company_id,
+  name: row.name,
+  prefix: `${KEY_PREFIX}${row.key_id}_…`,
+  permissions: parsePermissions(row.permissions),
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  expiresAt: row.expires_at,
+  lastUsedAt: row.last_used_at,
+  lastUsedIp: row.last_used_ip,
+  revokedAt: row.revoked_at,
+  revokedBy: row.revoked_by,
+  active: !row.revoked_at && new Date(row.expires_at) > new Date(),
+});
+
+module.exports = (pool) => {
+  const cacheMs = Number(process.env.API_KEY_CACHE_MS) || 10000;
+  const cache = new Map();
+  const lastUsedWritten = new Map();
+
+  const listKeys = async (companyId) => {
+    const [rows] = await pool.execute(
+      'SELECT * FROM api_keys WHERE company_id = ? ORDER BY created_at DESC',
+      [companyId]
+    );
+    return rows.map(fromRow);
+  };
+
+  // Returns the key once; afterwards only its prefix is shown
+  const createKey = async (companyId, { name, permissions, expiresInDays }, { actorId, actorPermissions }) => {
+    const trimmed = String(name || '').trim();
+    if (!trimmed || trimmed.length > 100) throw keyError(400, 'Key name is required (max 100 characters)');
+    if (!Array.isArray(permissions) || !permissions.length) throw keyError(400, 'permissions must be a non-empty array');
+    const notAllowed = permissions.filter(p => !API_KEY_PERMISSIONS.includes(p));
+    if (notAllowed.length) {
+      throw keyError(400, `Not available to API keys: ${notAllowed.join(', ')} (allowed: ${API_KEY_PERMISSIONS.join(', ')})`);
+    }
+    const notHeld = permissions.filter(p => !actorPermissions.has(p));
+    if (notHeld.length) throw keyError(403, `You cannot grant permission(s) you do not have: ${notHeld.join(', ')}`);
+    const days = expiresInDays === undefined ? DEFAULT_EXPIRY_DAYS : Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+      throw keyError(400, `expiresInDays must be a whole number between 1 and ${MAX_EXPIRY_DAYS}`);
+    }
+
+    const keyId = crypto.randomBytes(8).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    await pool.execute(
+      `INSERT INTO api_keys (key_id, company_id, name, secret_hash, permissions, created_by, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ${days} DAY))`,
+      [keyId, companyId, trimmed, sha256(secret), JSON.stringify([...new Set(permissions)]), actorId || null]
+    );
+    console.log(`🔑 API key ${keyId} ("${trimmed}") created for company ${companyId} by ${actorId}`);
+    const [rows] = await pool.execute('SELECT * FROM api_keys WHERE key_id = ?', [keyId]);
+    return { apiKey: fromRow(rows[0]), key: `${KEY_PREFIX}${keyId}_${secret}` };
+  };
+
+  const revokeKey = async (companyId, keyId, actorId) => {
+    const [result] = await pool.execute(
+      'UPDATE api_keys SET revoked_at = NOW(), revoked_by = ? WHERE key_id = ? AND company_id = ? AND revoked_at IS NULL',
+      [actorId || null, keyId, companyId]
+    );
+    cache.delete(keyId);
+    if (!result.affectedRows) throw keyError(404, 'API key not found or already revoked');
+  };
+
+  const getAudit = async (companyId, keyId, { limit = 100 } = {}) => {
+    const [keys] = await pool.execute('SELECT 1 FROM api_keys WHERE key_id = ? AND company_id = ? LIMIT 1', [keyId, companyId]);
+    if (!keys.length) throw keyError(404, 'API key not found');
+    const n = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000);
+    const [rows] = await pool.execute(
+      `SELECT method, path, status_code, ip_address, created_at FROM api_key_audit
+       WHERE key_id = ? ORDER BY audit_id DESC LIMIT ${n}`,
+      [keyId]
+    );
+    return rows;
+  };
+
+  // Key -> principal, or null when unknown, wrong, expired or revoked
+  const verifyKey = async (token) => {
+    const match = KEY_PATTERN.exec(String(token || ''));
+    if (!match) return null;
+    const [, keyId, secret] = match;
+
+    let entry = cache.get(keyId);
+    if (!entry || entry.expires <= Date.now()) {
+      const [rows] = await pool.execute(
+        'SELECT * FROM api_keys WHERE key_id = ? AND revoked_at IS NULL AND expires_at > NOW() LIMIT 1',
+        [keyId]
+      );
+      entry = { row: rows[0] || null, expires: Date.now() + cacheMs };
+      cache.set(keyId, entry);
+      if (cache.size > 10000) cache.clear();
+    }
+    const row = entry.row;
+    if (!row) return null;
+    const presented = Buffer.from(sha256(secret));
+    if (!crypto.timingSafeEqual(presented, Buffer.from(row.secret_hash))) return null;
+
+    return {
+      employeesID: `apikey:${keyId}`,
+      role: 'ApiKey',
+      apiKeyId: keyId,
+      company_id: row.company_id,
+      permissions: parsePermissions(row.permissions).filter(p => API_KEY_PERMISSIONS.includes(p)),
+    };
+  };
+
+  // last-used is written at most once a minute per key
+  const touchKey = (keyId, ip) => {
+    const written = lastUsedWritten.get(keyId) || 0;
+    if (Date.now() - written < LAST_USED_INTERVAL_MS) return;
+    lastUsedWritten.set(keyId, Date.now());
+    pool.execute(
+      'UPDATE api_keys SET last_used_at = NOW(), last_used_ip = ? WHERE key_id = ?',
+      [ip, keyId]
+    ).catch(err => console.error('Error updating API key last use:', err.message));
+  };
+
+  // Express middleware: records every request that presents an API key, with its
+  // outcome (including rejected ones)
+  const auditRequests = (req, res, next) => {
+    const token = req.headers['authorization']?.split(' ')[1];
+    const keyId = isApiKey(token) ? keyIdOf(token) : null;
+    if (!keyId) return next();
+    res.on('finish', () => {
+      const ip = req.ip ? String(req.ip).slice(0, 45) : null;
+      if (req.employee && req.employee.apiKeyId === keyId) touchKey(keyId, ip);
+      pool.execute(
+        'INSERT INTO api_key_audit (key_id, method, path, status_code, ip_address) VALUES (?, ?, ?, ?, ?)',
+        [keyId, req.method, req.originalUrl.split('?')[0].slice(0, 255), res.statusCode, ip]
+      ).catch(err => console.error('Error writing API key audit:', err.message));
+    });
+    next();
+  };
+
+  return {
+    listKeys,
+    createKey,
+    revokeKey,
+    getAudit,
+    verifyKey,
+    auditRequests,
+  };
+};
+
+module.exports.API_KEY_PERMISSIONS = API_KEY_PERMISSIONS;
+module.exports.isApiKey = isApiKey;
@@ -0,0 +1,170 @@
+// Survey cycles (waves) per company.
+// The current cycle is the most recently opened one (opens_at <= now); it stays
+// current after closing so its report remains the default until the next cycle
+// opens. Submissions are only accepted while the current cycle is open, and
+// only for the cycle's form when it has one.
+// Completion is computed from Responses_Sentiment rows of the cycle; the legacy
+// employees.is_filled flag is still kept in step for the current cycle.
+const cycleError = (status, message) => Object.assign(new Error(message), { status });
+
+module.exports = (pool, TABLE_NAME) => {
+  const withOpenFlag = (row) => {
+    if (!row) return null;
+    const now = Date.now();
+    const opens = new Date(row.opens_at).getTime();
+    const closes = row.closes_at ? new Date(row.closes_at).getTime() : null;
+    return { ...row, is_open: opens <= now && (closes === null || closes > now) };
+  };
+
+  const getCurrentCycle = async (companyId) => {
+    const [rows] = await pool.execute(
+      `SELECT * FROM survey_cycles WHERE company_id = ? AND opens_at <= NOW()
+       ORDER BY opens_at DESC, cycle_id DESC LIMIT 1`,
+      [companyId]
+    );
+    return withOpenFlag(rows[0]);
+  };
+
+  const getCycle = async (companyId, cycleId) => {
+    const [rows] = await pool.execute(
+      'SELECT * FROM survey_cycles WHERE company_id = ? AND cycle_id = ? LIMIT 1',
+      [companyId, cycleId]
+    );
+    return withOpenFlag(rows[0]);
+  };
+
+  // Cycle from an optional ?cycleId= parameter, defaulting to the current cycle
+  const resolveCycle = async (companyId, cycleIdParam) => {
+    if (cycleIdParam === undefined || cycleIdParam === null || cycleIdParam === '') {
+      return getCurrentCycle(companyId);
+    }
+    const cycleId = Number(cycleIdParam);
+    if (!Number.isInteger(cycleId)) return null;
+    return getCycle(companyId, cycleId);
+  };
+
+  const listCycles = async (companyId) => {
+    const [rows] = await pool.execute(
+      `SELECT sc.*,
+         (SELECT COUNT(DISTINCT rs.employeesID) FROM Responses_Sentiment rs WHERE rs.cycle_id = sc.cycle_id) AS respondents,
+         (SELECT COUNT(*) FROM company_reports_sentiment cr WHERE cr.cycle_id = sc.cycle_id) AS company_reports
+       FROM survey_cycles sc WHERE sc.company_id = ?
+       ORDER BY sc.opens_at DESC, sc.cycle_id DESC`,
+      [companyId]
+    );
+    return rows.map(withOpenFlag);
+  };
+
+  // Open a new cycle. Only one cycle can be open at a time, so an open current
+  // cycle must be closed first. formId attaches the form the cycle runs.
+  const createCycle = async (companyId, { name, formId, opensAt, closesAt, createdBy }) => {
+    if (!name || String(name).trim() === '') throw cycleError(400, 'Cycle name required');
+    let form = null;
+    if (formId !== undefined && formId !== null && formId !== '') {
+      form = Number(formId);
+      if (!Number.isInteger(form)) throw cycleError(400, 'formId must be an integer');
+      const [forms] = await pool.execute('SELECT 1 FROM Forms_Sentiment WHERE form_id = ? LIMIT 1', [form]);
+      if (!forms.length) throw cycleError(404, 'Form not found');
+    }
+    const opens = opensAt ? new Date(opensAt) : new Date();
+    const closes = closesAt ? new Date(closesAt) : null;
+    if (Number.isNaN(opens.getTime()) || (closes && Number.isNaN(closes.getTime()))) {
+      throw cycleError(400, 'Invalid opensAt or closesAt date');
+    }
+    if (closes && closes <= opens) throw cycleError(400, 'closesAt must be after opensAt');
+
+    const current = await getCurrentCycle(companyId);
+    if (current && current.is_open) {
+      throw cycleError(409, `Cycle "${current.name}" is still open; close it before opening a new one`);
+    }
+    const [scheduled] = await pool.execute(
+      'SELECT cycle_id FROM survey_cycles WHERE company_id = ? AND opens_at > NOW() LIMIT 1',
+      [companyId]
+    );
+    if (scheduled.length) throw cycleError(409, 'Another cycle is already scheduled to open');
+
+    const [result] = await pool.execute(
+      'INSERT INTO survey_cycles (company_id, name, form_id, opens_at, closes_at, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+      [companyId, String(name).trim(), form, opens, closes, createdBy || null]
+    );
+    if (opens <= new Date()) {
+      // New wave starts now: nobody has filled it yet
+      await pool.execute(`UPDATE ${TABLE_NAME} SET is_filled = 0 WHERE company_id = ?`, [companyId]);
+    }
+    return getCycle(companyId, result.insertId);
+  };
+
+  const closeCycle = async (companyId, cycleId) => {
+    const cycle = await getCycle(companyId, cycleId);
+    if (!cycle) throw cycleError(404, 'Cycle not found');
+    if (cycle.closes_at && new Date(cycle.closes_at) <= new Date()) {
+      throw cycleError(409, 'Cycle is already closed');
+    }
+    await pool.execute(
+      'UPDATE survey_cycles SET closes_at = GREATEST(NOW(), opens_at) WHERE cycle_id = ?',
+      [cycleId]
+    );
+    return getCycle(companyId, cycleId);
+  };
+
+  // Cycle that new responses go into, or null when the current cycle is closed.
+  // Companies without any cycle get an initial one on first submission.
+  const getSubmissionCycle = async (companyId) => {
+    let current = await getCurrentCycle(companyId);
+    if (!current) {
+      const [any] = await pool.execute('SELECT 1 FROM survey_cycles WHERE company_id = ? LIMIT 1', [companyId]);
+      if (any.length) return null;
+      await pool.execute(
+        'INSERT INTO survey_cycles (company_id, name, opens_at) VALUES (?, ?, NOW())',
+        [companyId, 'Initial survey']
+      );
+      current = await getCurrentCycle(companyId);
+    }
+    return current && current.is_open ? current : null;
+  };
+
+  // A cycle with a form attached only takes answers (and drafts) for that form
+  const runsForm = (cycle, formId) => !cycle.form_id || Number(formId) === Number(cycle.form_id);
+
+  // Non-HR employees of a company with is_filled and has_report computed for the
+  // cycle. Employees who left (leave date reached) or were deactivated only count
+  // if they responded in the cycle, so their past responses stay in the numbers.
+  // Reports retired under the offboarding retention rule count as present.
+  const getCompletion = async (companyId, cycleId) => {
+    const [rows] = await pool.execute(
+      `SELECT e.employeesID, e.name, e.email, e.role, e.leave_date, e.department_id, e.manager_id,
+         EXISTS (SELECT 1 FROM Responses_Sentiment rs WHERE rs.employeesID = e.employeesID AND rs.cycle_id = ?) AS is_filled,
+         (e.reports_retired_at IS NOT NULL
+           OR EXISTS (SELECT 1 FROM responses_langchain_sentiment r WHERE r.employeesID = e.employeesID AND r.cycle_id = ?)) AS has_report
+       FROM ${TABLE_NAME} e
+       WHERE e.company_id = ? AND e.role != 'HR'
+         AND ((e.deactivated_at IS NULL AND (e.leave_date IS NULL OR e.leave_date > CURDATE()))
+           OR EXISTS (SELECT 1 FROM Responses_Sentiment rs WHERE rs.employeesID = e.employeesID AND rs.cycle_id = ?))
+       ORDER BY e.name`,
+      [cycleId, cycleId, companyId, cycleId]
+    );
+    return rows.map(r => ({ ...r, is_filled: r.is_filled ? 1 : 0, has_report: r.has_report ? 1 : 0 }));
+  };
+
+  const hasFilled = async (employeeId, cycleId) => {
+    if (!cycleId) return false;
+    const [rows] = await pool.execute(
+      'SELECT 1 FROM Responses_Sentiment WHERE employeesID = ? AND cycle_id = ? LIMIT 1',
+      [employeeId, cycleId]
+    );
+    return rows.length > 0;
+  };
+
+  return {
+    getCurrentCycle,
+    getCycle,
+    resolveCycle,
+    listCycles,
+    createCycle,
+    closeCycle,
+    getSubmissionCycle,
+    runsForm,
+    getCompletion,
+    hasFilled,
+  };
+};
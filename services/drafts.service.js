@@ -0,0 +1,75 @@
+// Draft answers for surveys in progress (survey_drafts).
+// A draft belongs to the employee, form and current survey cycle. It is checked
+// like a submission except that required questions may still be missing, and it
+// is deleted in the same transaction that submits the survey.
+const draftError = (status, message, extra) => Object.assign(new Error(message), { status }, extra);
+
+module.exports = (pool, TABLE_NAME, { cycles, responseValidation }) => {
+  const getCompanyId = async (employeeId) => {
+    const [rows] = await pool.execute(
+      `SELECT company_id FROM ${TABLE_NAME} WHERE employeesID = ? LIMIT 1`,
+      [employeeId]
+    );
+    if (!rows.length) throw draftError(404, 'Employee not found');
+    return rows[0].company_id;
+  };
+
+  const toDraft = (row) => ({
+    formId: row.form_id,
+    cycleId: row.cycle_id,
+    answers: typeof row.answers === 'string' ? JSON.parse(row.answers) : row.answers,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  });
+
+  const findDraft = async (employeeId, formId, cycleId) => {
+    const [rows] = await pool.execute(
+      'SELECT * FROM survey_drafts WHERE employeesID = ? AND form_id = ? AND cycle_id = ? LIMIT 1',
+      [employeeId, formId, cycleId]
+    );
+    return rows.length ? toDraft(rows[0]) : null;
+  };
+
+  // Draft for the company's current cycle, or null
+  const getDraft = async (employeeId, formId) => {
+    const cycle = await cycles.getCurrentCycle(await getCompanyId(employeeId));
+    if (!cycle) return null;
+    return findDraft(employeeId, formId, cycle.cycle_id);
+  };
+
+  const saveDraft = async (employeeId, formId, answers) => {
+    const cycle = await cycles.getSubmissionCycle(await getCompanyId(employeeId));
+    if (!cycle) throw draftError(409, 'The survey is currently closed');
+    if (!cycles.runsForm(cycle, formId)) throw draftError(409, 'This form is not part of the current survey cycle');
+
+    const [submitted] = await pool.execute(
+      'SELECT 1 FROM survey_submissions WHERE employeesID = ? AND form_id = ? AND cycle_id = ? LIMIT 1',
+      [employeeId, formId, cycle.cycle_id]
+    );
+    if (submitted.length) throw draftError(409, 'You have already submitted this survey');
+
+    const validation = await responseValidation.validateSubmission(formId, answers, { partial: true });
+    if (validation.errors.length) {
+      throw draftError(400, 'Draft has invalid answers', { errors: validation.errors });
+    }
+
+    await pool.execute(
+      `INSERT INTO survey_drafts (employeesID, form_id, cycle_id, answers) VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE answers = VALUES(answers), updated_at = CURRENT_TIMESTAMP`,
+      [employeeId, formId, cycle.cycle_id, JSON.stringify(validation.answers)]
+    );
+    return findDraft(employeeId, formId, cycle.cycle_id);
+  };
+
+  const deleteDraft = async (employeeId, formId) => {
+    const cycle = await cycles.getCurrentCycle(await getCompanyId(employeeId));
+    if (!cycle) return 0;
+    const [result] = await pool.execute(
+      'DELETE FROM survey_drafts WHERE employeesID = ? AND form_id = ? AND cycle_id = ?',
+      [employeeId, formId, cycle.cycle_id]
+    );
+    return result.affectedRows;
+  };
+
+  return { getDraft, saveDraft, deleteDraft };
+};
@@ -0,0 +1,238 @@
+// Employee maintenance by HR (or an API key) within one company: update,
+// deactivate / reactivate and hard delete.
+// Deactivation ends the employee's sessions and outstanding password links; the
+// login, SSO and refresh paths refuse deactivated accounts. Hard delete removes
+// the employee with their survey responses, generated reports and auth data in
+// one transaction, after revoking their sessions. The auth_revocations entry is
+// kept so tokens issued before the delete stay rejected until they expire.
+// Company reports are aggregates and are kept.
+const { BUILT_IN_ROLES, EMPLOYEE_PERMISSIONS } = require('./permissions.service');
+
+const employeeError = (status, message) => Object.assign(new Error(message), { status });
+
+const PUBLIC_COLUMNS = `employeesID, name, email, role, company_id, is_loggedin, is_filled, deactivated_at, deactivated_by,
+  leave_date, offboarded_at, offboarded_by, reports_retired_at, department_id, manager_id`;
+
+// Per-employee rows removed on hard delete, children before the employee row
+const DELETE_CASCADE = [
+  'Responses_Sentiment',
+  'responses_langchain_sentiment',
+  'survey_submissions',
+  'survey_drafts',
+  'employee_analysis_runs',
+  'hr_feedback_responses',
+  'auth_sessions',
+  'auth_action_tokens',
+  'mfa_recovery_codes',
+  'mfa_credentials',
+  'password_history',
+  'sso_login_states',
+  'impersonation_sessions',
+];
+
+module.exports = (pool, TABLE_NAME, { sessions, actionTokens, permissions, org }) => {
+  const getEmployee = async (companyId, employeesID) => {
+    const [rows] = await pool.execute(
+      `SELECT ${PUBLIC_COLUMNS} FROM ${TABLE_NAME} WHERE employeesID = ? AND company_id = ? LIMIT 1`,
+      [employeesID, companyId]
+    );
+    if (!rows.length) throw employeeError(404, 'Employee not found');
+    return rows[0];
+  };
+
+  // status: 'active' (default), 'deactivated' or 'all'
+  const listEmployees = async (companyId, { status = 'active' } = {}) => {
+    const filters = {
+      active: 'AND deactivated_at IS NULL',
+      deactivated: 'AND deactivated_at IS NOT NULL',
+      all: '',
+    };
+    if (!(status in filters)) throw employeeError(400, 'status must be active, deactivated or all');
+    const [rows] = await pool.execute(
+      `SELECT ${PUBLIC_COLUMNS} FROM ${TABLE_NAME} WHERE company_id = ? ${filters[status]} ORDER BY name, employeesID`,
+      [companyId]
+    );
+    return rows;
+  };
+
+  // Admin accounts can only be changed by someone with admin access
+  const assertManageable = (target, actorPermissions) => {
+    if (target.role === 'Admin' && !actorPermissions.has('admin.access')) {
+      throw employeeError(403, 'Admin accounts cannot be changed here');
+    }
+  };
+
+  // Same rule as on creation: an email is used once per company
+  const assertEmailFree = async (companyId, email, employeesID) => {
+    const [rows] = await pool.execute(
+      `SELECT employeesID FROM ${TABLE_NAME} WHERE email = ? AND company_id = ? AND employeesID != ? LIMIT 1`,
+      [email, companyId, employeesID]
+    );
+    if (rows.length) {
+      throw employeeError(409, `Email ${email} already used in this company by employeesID ${rows[0].employeesID}`);
+    }
+  };
+
+  // Role for a new or changed employee: a built-in or custom role of the company that grants
+  // nothing the actor lacks (every employee can answer surveys). API keys never
+  // create HR or Admin accounts.
+  const assignableRole = async (companyId, role, { actorPermissions, apiKey = false }) => {
+    const name = String(role || '').trim();
+    if (!name) throw employeeError(400, 'role cannot be empty');
+    const builtIn = Object.keys(BUILT_IN_ROLES).find(r => r.toLowerCase() === name.toLowerCase());
+    if (apiKey && (builtIn === 'Admin' || builtIn === 'HR')) {
+      throw employeeError(403, `API keys cannot assign the ${builtIn} role`);
+    }
+    const granted = await permissions.getRolePermissions(companyId, builtIn || name);
+    if (!granted) throw employeeError(400, `Unknown role "${name}"`);
+    const notHeld = granted.filter(p => !EMPLOYEE_PERMISSIONS.includes(p) && !actorPermissions.has(p));
+    if (notHeld.length) {
+      throw employeeError(403, `Not allowed to assign the role "${builtIn || name}": it has permission(s) you do not have: ${notHeld.join(', ')}`);
+    }
+    return builtIn || name;
+  };
+
+  // changes: any of { name, email, role, departmentId, managerId } (null clears the
+  // last two). employeesID cannot be changed.
+  const updateEmployee = async (companyId, employeesID, changes, { actorId, actorPermissions, apiKey }) => {
+    const target = await getEmployee(companyId, employeesID);
+    assertManageable(target, actorPermissions);
+
+    const assignment = {};
+    if (changes.departmentId !== undefined) assignment.departmentId = changes.departmentId;
+    if (changes.managerId !== undefined) assignment.managerId = changes.managerId;
+    await org.checkAssignment(companyId, employeesID, assignment);
+
+    const updates = {};
+    if (changes.name !== undefined) {
+      const name = changes.name === null ? null : String(changes.name).trim();
+      updates.name = name || null;
+    }
+    if (changes.email !== undefined) {
+      const email = changes.email === null ? '' : String(changes.email).trim();
+      if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) throw employeeError(400, 'Invalid email address');
+      if (email && email.toLowerCase() !== String(target.email || '').toLowerCase()) {
+        await assertEmailFree(companyId, email, employeesID);
+      }
+      updates.email = email || null;
+    }
+    if (changes.role !== undefined) {
+      if (String(employeesID) === String(actorId)) throw employeeError(409, 'You cannot change your own role');
+      // Nor take a role away from someone who has more permissions than the actor
+      const current = (await permissions.getRolePermissions(companyId, target.role)) || [];
+      if (current.some(p => !EMPLOYEE_PERMISSIONS.includes(p) && !actorPermissions.has(p))) {
+        throw employeeError(403, `Not allowed to change the role of a ${target.role}: it has permission(s) you do not have`);
+      }
+      updates.role = await assignableRole(companyId, changes.role, { actorPermissions, apiKey });
+    }
+    if (!Object.keys(updates).length && !Object.keys(assignment).length) {
+      throw employeeError(400, 'Nothing to update (name, email, role, departmentId, managerId)');
+    }
+
+    const columns = Object.keys(updates);
+    if (columns.length) {
+      try {
+        await pool.execute(
+          `UPDATE ${TABLE_NAME} SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE employeesID = ? AND company_id = ?`,
+          [...columns.map(c => updates[c]), employeesID, companyId]
+        );
+      } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY' && (err.sqlMessage || '').includes('email')) {
+          throw employeeError(409, `Duplicate email: ${updates.email} already exists`);
+        }
+        throw err;
+      }
+    }
+    await org.assignEmployee(companyId, employeesID, assignment);
+
+    // Access tokens carry the role, and reset / invitation links went to the old address
+    if (updates.role !== undefined && updates.role !== target.role) {
+      await sessions.revokeAllForEmployee(employeesID, { reason: 'role changed' });
+    }
+    if (updates.email !== undefined && updates.email !== target.email) {
+      await actionTokens.invalidateForEmployee(employeesID);
+    }
+    return getEmployee(companyId, employeesID);
+  };
+
+  const deactivate = async (companyId, employeesID, { actorId, actorPermissions }) => {
+    if (employeesID === actorId) throw employeeError(409, 'You cannot deactivate your own account');
+    const target = await getEmployee(companyId, employeesID);
+    assertManageable(target, actorPermissions);
+    if (target.deactivated_at) throw employeeError(409, 'Employee is already deactivated');
+
+    await pool.execute(
+      `UPDATE ${TABLE_NAME} SET deactivated_at = NOW(), deactivated_by = ? WHERE employeesID = ? AND company_id = ?`,
+      [actorId || null, employeesID, companyId]
+    );
+    await sessions.revokeAllForEmployee(employeesID, { reason: 'deactivated' });
+    await actionTokens.invalidateForEmployee(employeesID);
+    console.log(`🚫 Employee ${employeesID} deactivated by ${actorId}`);
+    return getEmployee(companyId, employeesID);
+  };
+
+  const reactivate = async (companyId, employeesID, { actorId, actorPermissions }) => {
+    const target = await getEmployee(companyId, employeesID);
+    assertManageable(target, actorPermissions);
+    if (!target.deactivated_at) throw employeeError(409, 'Employee is not deactivated');
+    if (target.leave_date && new Date(target.leave_date) <= new Date()) {
+      throw employeeError(409, 'Employee has left the company; cancel the offboarding first');
+    }
+
+    await pool.execute(
+      `UPDATE ${TABLE_NAME} SET deactivated_at = NULL, deactivated_by = NULL WHERE employeesID = ? AND company_id = ?`,
+      [employeesID, companyId]
+    );
+    console.log(`✅ Employee ${employeesID} reactivated by ${actorId}`);
+    return getEmployee(companyId, employeesID);
+  };
+
+  // Returns the number of rows removed per table
+  const deleteEmployee = async (companyId, employeesID, { actorId, actorPermissions }) => {
+    if (employeesID === actorId) throw employeeError(409, 'You cannot delete your own account');
+    const target = await getEmployee(companyId, employeesID);
+    assertManageable(target, actorPermissions);
+
+    await sessions.revokeAllForEmployee(employeesID, { reason: 'deleted' });
+
+    const deleted = {};
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      // Requests made while impersonating them go with their impersonation sessions
+      const [audit] = await connection.execute(
+        `DELETE a FROM impersonation_audit a
+         JOIN impersonation_sessions s ON s.impersonation_id = a.impersonation_id
+         WHERE s.employeesID = ?`,
+        [employeesID]
+      );
+      deleted.impersonation_audit = audit.affectedRows;
+      for (const table of DELETE_CASCADE) {
+        const [result] = await connection.execute(`DELETE FROM ${table} WHERE employeesID = ?`, [employeesID]);
+        deleted[table] = result.affectedRows;
+      }
+      // Their reports no longer have a manager
+      await connection.execute(`UPDATE ${TABLE_NAME} SET manager_id = NULL WHERE manager_id = ? AND company_id = ?`, [employeesID, companyId]);
+      await connection.execute(`DELETE FROM ${TABLE_NAME} WHERE employeesID = ? AND company_id = ?`, [employeesID, companyId]);
+      await connection.commit();
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    } finally {
+      connection.release();
+    }
+    console.log(`🗑️ Employee ${employeesID} (company ${companyId}) deleted by ${actorId}`);
+    return deleted;
+  };
+
+  return {
+    getEmployee,
+    assertManageable,
+    assignableRole,
+    listEmployees,
+    updateEmployee,
+    deactivate,
+    reactivate,
+    deleteEmployee,
+  };
+};
@@ -0,0 +1,356 @@
+// Sentiment questionnaire builder: Forms_Sentiment, MasterQuestions_Sentiment
+// and FormQuestions_Sentiment.
+// Master questions carry the type, answer options and global order
+// (question_number); FormQuestions attach them to a form with the wording shown.
+// A form is live while it is attached to an open survey cycle, or has responses
+// or drafts in one (cycles without a form). Live forms and the master questions
+// they use cannot change structurally, and anything that already has responses
+// cannot be deleted, so stored answers keep their meaning.
+const formError = (status, message) => Object.assign(new Error(message), { status });
+
+const MAX_TYPE_LENGTH = 50;
+
+// options_questions is stored as a JSON array of { value, label }
+const parseOptions = (raw) => {
+  if (raw === undefined || raw === null || raw === '') return null;
+  let options = raw;
+  if (typeof raw === 'string') {
+    try {
+      options = JSON.parse(raw);
+    } catch (e) {
+      throw formError(400, 'options_questions must be valid JSON');
+    }
+  }
+  if (!Array.isArray(options)) throw formError(400, 'options_questions must be an array');
+  const seen = new Set();
+  return options.map((opt, i) => {
+    if (!opt || opt.value === undefined || opt.value === null || String(opt.value).trim() === '') {
+      throw formError(400, `options_questions[${i}] needs a value`);
+    }
+    const value = String(opt.value);
+    if (seen.has(value)) throw formError(400, `Duplicate option value "${value}"`);
+    seen.add(value);
+    return { value: opt.value, label: opt.label === undefined || opt.label === null ? value : String(opt.label) };
+  });
+};
+
+const parseRequired = (value) => {
+  if (value === undefined || value === null || value === '') return 1;
+  if (value === true || value === 1 || value === '1' || value === 'true') return 1;
+  if (value === false || value === 0 || value === '0' || value === 'false') return 0;
+  throw formError(400, 'is_required must be a boolean');
+};
+
+const validateQuestion = ({ question_type, options_questions }) => {
+  const type = String(question_type || '').trim();
+  if (!type) throw formError(400, 'question_type required');
+  if (type.length > MAX_TYPE_LENGTH) throw formError(400, `question_type must be at most ${MAX_TYPE_LENGTH} characters`);
+  const options = parseOptions(options_questions);
+  if (type === 'text') {
+    if (options && options.length) throw formError(400, 'Text questions cannot have options');
+    return { type, options: null };
+  }
+  if (!options || !options.length) throw formError(400, `Questions of type "${type}" need options_questions`);
+  return { type, options };
+};
+
+const OPEN_CYCLE_SQL = 'sc.opens_at <= NOW() AND (sc.closes_at IS NULL OR sc.closes_at > NOW())';
+
+const LIVE_FORMS_SQL = `
+  SELECT sc.form_id FROM survey_cycles sc
+  WHERE sc.form_id IS NOT NULL AND ${OPEN_CYCLE_SQL}
+  UNION
+  SELECT rs.form_id FROM Responses_Sentiment rs
+  JOIN survey_cycles sc ON sc.cycle_id = rs.cycle_id
+  WHERE ${OPEN_CYCLE_SQL}
+  UNION
+  SELECT d.form_id FROM survey_drafts d
+  JOIN survey_cycles sc ON sc.cycle_id = d.cycle_id
+  WHERE ${OPEN_CYCLE_SQL}`;
+
+module.exports = (pool) => {
+  const liveFormIds = async () => {
+    const [rows] = await pool.execute(LIVE_FORMS_SQL);
+    return new Set(rows.map(r => r.form_id));
+  };
+
+  const assertNotLive = async (formId, action) => {
+    if ((await liveFormIds()).has(Number(formId))) {
+      throw formError(409, `Form ${formId} is in use by an open survey cycle; ${action} is not allowed`);
+    }
+  };
+
+  const getFormRow = async (formId) => {
+    const [rows] = await pool.execute('SELECT * FROM Forms_Sentiment WHERE form_id = ? LIMIT 1', [formId]);
+    if (!rows.length) throw formError(404, 'Form not found');
+    return rows[0];
+  };
+
+  const getMasterRow = async (masterQuestionId) => {
+    const [rows] = await pool.execute(
+      'SELECT * FROM MasterQuestions_Sentiment WHERE master_question_id = ? LIMIT 1',
+      [masterQuestionId]
+    );
+    if (!rows.length) throw formError(404, 'Master question not found');
+    return rows[0];
+  };
+
+  // ----- Forms -----
+
+  const listForms = async () => {
+    const [rows] = await pool.execute(
+      `SELECT f.*,
+         (SELECT COUNT(*) FROM FormQuestions_Sentiment fq WHERE fq.form_id = f.form_id) AS question_count,
+         (SELECT COUNT(*) FROM Responses_Sentiment rs WHERE rs.form_id = f.form_id) AS response_count
+       FROM Forms_Sentiment f ORDER BY f.form_id`
+    );
+    const live = await liveFormIds();
+    return rows.map(r => ({ ...r, is_live: live.has(r.form_id) }));
+  };
+
+  const getForm = async (formId) => {
+    const form = await getFormRow(formId);
+    const [questions] = await pool.execute(
+      `SELECT fq.form_question_id, fq.master_question_id, fq.question_text,
+         mq.question_number, mq.question_type, mq.options_questions, mq.helper_text, mq.is_required,
+         (SELECT COUNT(*) FROM Responses_Sentiment rs WHERE rs.form_question_id = fq.form_question_id) AS response_count
+       FROM FormQuestions_Sentiment fq
+       JOIN MasterQuestions_Sentiment mq ON fq.master_question_id = mq.master_question_id
+       WHERE fq.form_id = ?
+       ORDER BY mq.question_number`,
+      [formId]
+    );
+    const live = await liveFormIds();
+    return { ...form, is_live: live.has(form.form_id), questions };
+  };
+
+  const createForm = async ({ form_name }) => {
+    const name = String(form_name || '').trim();
+    if (!name) throw formError(400, 'form_name required');
+    const [result] = await pool.execute('INSERT INTO Forms_Sentiment (form_name) VALUES (?)', [name]);
+    return getForm(result.insertId);
+  };
+
+  // Renaming is allowed even while live; it does not change what was asked
+  const updateForm = async (formId, { form_name }) => {
+    await getFormRow(formId);
+    const name = String(form_name || '').trim();
+    if (!name) throw formError(400, 'form_name required');
+    await pool.execute('UPDATE Forms_Sentiment SET form_name = ? WHERE form_id = ?', [name, formId]);
+    return getForm(formId);
+  };
+
+  const deleteForm = async (formId) => {
+    await getFormRow(formId);
+    const [used] = await pool.execute('SELECT COUNT(*) AS cnt FROM Responses_Sentiment WHERE form_id = ?', [formId]);
+    if (used[0].cnt > 0) throw formError(409, `Form ${formId} has ${used[0].cnt} stored response(s) and cannot be deleted`);
+
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      await connection.execute('DELETE FROM FormQuestions_Sentiment WHERE form_id = ?', [formId]);
+      await connection.execute('DELETE FROM Forms_Sentiment WHERE form_id = ?', [formId]);
+      await connection.commit();
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    } finally {
+      connection.release();
+    }
+  };
+
+  // ----- Form questions -----
+
+  const attachQuestion = async (formId, { master_question_id, question_text }) => {
+    await getFormRow(formId);
+    await getMasterRow(master_question_id);
+    const text = String(question_text || '').trim();
+    if (!text) throw formError(400, 'question_text required');
+    await assertNotLive(formId, 'adding questions');
+    const [exists] = await pool.execute(
+      'SELECT 1 FROM FormQuestions_Sentiment WHERE form_id = ? AND master_question_id = ? LIMIT 1',
+      [formId, master_question_id]
+    );
+    if (exists.length) throw formError(409, 'Question is already attached to this form');
+    await pool.execute(
+      'INSERT INTO FormQuestions_Sentiment (form_id, master_question_id, question_text) VALUES (?, ?, ?)',
+      [formId, master_question_id, text]
+    );
+    return getForm(formId);
+  };
+
+  const getFormQuestionRow = async (formId, formQuestionId) => {
+    const [rows] = await pool.execute(
+      'SELECT * FROM FormQuestions_Sentiment WHERE form_id = ? AND form_question_id = ? LIMIT 1',
+      [formId, formQuestionId]
+    );
+    if (!rows.length) throw formError(404, 'Question not found on this form');
+    return rows[0];
+  };
+
+  const updateFormQuestion = async (formId, formQuestionId, { question_text }) => {
+    await getFormQuestionRow(formId, formQuestionId);
+    const text = String(question_text || '').trim();
+    if (!text) throw formError(400, 'question_text required');
+    await assertNotLive(formId, 'rewording questions');
+    await pool.execute(
+      'UPDATE FormQuestions_Sentiment SET question_text = ? WHERE form_question_id = ?',
+      [text, formQuestionId]
+    );
+    return getForm(formId);
+  };
+
+  const detachQuestion = async (formId, formQuestionId) => {
+    await getFormQuestionRow(formId, formQuestionId);
+    const [used] = await pool.execute(
+      'SELECT COUNT(*) AS cnt FROM Responses_Sentiment WHERE form_question_id = ?',
+      [formQuestionId]
+    );
+    if (used[0].cnt > 0) throw formError(409, `Question has ${used[0].cnt} stored response(s) and cannot be removed`);
+    await assertNotLive(formId, 'removing questions');
+    await pool.execute('DELETE FROM FormQuestions_Sentiment WHERE form_question_id = ?', [formQuestionId]);
+    return getForm(formId);
+  };
+
+  // ----- Master questions -----
+
+  // Live forms using a master question
+  const liveFormsUsing = async (masterQuestionIds) => {
+    if (!masterQuestionIds.length) return [];
+    const live = await liveFormIds();
+    if (!live.size) return [];
+    const [rows] = await pool.execute(
+      `SELECT DISTINCT form_id FROM FormQuestions_Sentiment
+       WHERE master_question_id IN (${masterQuestionIds.map(() => '?').join(',')})`,
+      masterQuestionIds
+    );
+    return rows.map(r => r.form_id).filter(id => live.has(id));
+  };
+
+  const listMasterQuestions = async () => {
+    const [rows] = await pool.execute(
+      `SELECT mq.*,
+         (SELECT COUNT(*) FROM FormQuestions_Sentiment fq WHERE fq.master_question_id = mq.master_question_id) AS form_count
+       FROM MasterQuestions_Sentiment mq ORDER BY mq.question_number, mq.master_question_id`
+    );
+    return rows;
+  };
+
+  const createMasterQuestion = async (body) => {
+    const { type, options } = validateQuestion(body);
+    let number = body.question_number === undefined || body.question_number === null || body.question_number === ''
+      ? null : Number(body.question_number);
+    if (number !== null && (!Number.isInteger(number) || number < 1)) throw formError(400, 'question_number must be a positive integer');
+    if (number === null) {
+      const [max] = await pool.execute('SELECT COALESCE(MAX(question_number), 0) AS n FROM MasterQuestions_Sentiment');
+      number = Number(max[0].n) + 1;
+    } else {
+      const [taken] = await pool.execute('SELECT 1 FROM MasterQuestions_Sentiment WHERE question_number = ? LIMIT 1', [number]);
+      if (taken.length) throw formError(409, `question_number ${number} is already used`);
+    }
+    const [result] = await pool.execute(
+      'INSERT INTO MasterQuestions_Sentiment (question_number, question_type, options_questions, helper_text, is_required) VALUES (?, ?, ?, ?, ?)',
+      [number, type, options ? JSON.stringify(options) : null, body.helper_text || null, parseRequired(body.is_required)]
+    );
+    return getMasterRow(result.insertId);
+  };
+
+  // helper_text can always change; type, options and is_required only when no
+  // live form uses the question
+  const updateMasterQuestion = async (masterQuestionId, body) => {
+    const current = await getMasterRow(masterQuestionId);
+    const structural = body.question_type !== undefined || body.options_questions !== undefined || body.is_required !== undefined;
+    let type = current.question_type;
+    let options = current.options_questions;
+    const required = body.is_required !== undefined ? parseRequired(body.is_required) : current.is_required;
+    if (structural) {
+      const validated = validateQuestion({
+        question_type: body.question_type !== undefined ? body.question_type : current.question_type,
+        options_questions: body.options_questions !== undefined ? body.options_questions : current.options_questions,
+      });
+      const forms = await liveFormsUsing([Number(masterQuestionId)]);
+      if (forms.length) {
+        throw formError(409, `Question is used by live form(s) ${forms.join(', ')}; its type, options and required flag cannot change`);
+      }
+      type = validated.type;
+      options = validated.options ? JSON.stringify(validated.options) : null;
+    }
+    const helper = body.helper_text !== undefined ? (body.helper_text || null) : current.helper_text;
+    await pool.execute(
+      'UPDATE MasterQuestions_Sentiment SET question_type = ?, options_questions = ?, helper_text = ?, is_required = ? WHERE master_question_id = ?',
+      [type, typeof options === 'string' || options === null ? options : JSON.stringify(options), helper, required, masterQuestionId]
+    );
+    return getMasterRow(masterQuestionId);
+  };
+
+  const deleteMasterQuestion = async (masterQuestionId) => {
+    await getMasterRow(masterQuestionId);
+    const [attached] = await pool.execute(
+      'SELECT COUNT(*) AS cnt FROM FormQuestions_Sentiment WHERE master_question_id = ?',
+      [masterQuestionId]
+    );
+    if (attached[0].cnt > 0) throw formError(409, `Question is attached to ${attached[0].cnt} form(s); remove it from them first`);
+    await pool.execute('DELETE FROM MasterQuestions_Sentiment WHERE master_question_id = ?', [masterQuestionId]);
+  };
+
+  // Renumber question_number from 1 in the given order. The list must contain
+  // every master question exactly once.
+  const reorderMasterQuestions = async (order) => {
+    if (!Array.isArray(order) || !order.length) throw formError(400, 'order must be a non-empty array of master_question_id');
+    const ids = order.map(Number);
+    const [rows] = await pool.execute('SELECT master_question_id, question_number FROM MasterQuestions_Sentiment');
+    const known = new Map(rows.map(r => [r.master_question_id, r.question_number]));
+    if (new Set(ids).size !== ids.length || ids.length !== known.size || ids.some(id => !known.has(id))) {
+      throw formError(400, 'order must list every master question exactly once');
+    }
+    const moved = ids.filter((id, i) => Number(known.get(id)) !== i + 1);
+    if (!moved.length) return listMasterQuestions();
+    const forms = await liveFormsUsing(moved);
+    if (forms.length) throw formError(409, `Reordering would change live form(s) ${forms.join(', ')}`);
+
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      // Move out of the way first so a unique index on question_number is not hit mid-way
+      const [max] = await connection.execute('SELECT COALESCE(MAX(question_number), 0) AS n FROM MasterQuestions_Sentiment');
+      const offset = Number(max[0].n) + ids.length;
+      for (let i = 0; i < ids.length; i++) {
+        await connection.execute(
+          'UPDATE MasterQuestions_Sentiment SET question_number = ? WHERE master_question_id = ?',
+          [offset + i + 1, ids[i]]
+        );
+      }
+      for (let i = 0; i < ids.length; i++) {
+        await connection.execute(
+          'UPDATE MasterQuestions_Sentiment SET question_number = ? WHERE master_question_id = ?',
+          [i + 1, ids[i]]
+        );
+      }
+      await connection.commit();
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    } finally {
+      connection.release();
+    }
+    return listMasterQuestions();
+  };
+
+  return {
+    listForms,
+    getForm,
+    createForm,
+    updateForm,
+    deleteForm,
+    attachQuestion,
+    updateFormQuestion,
+    detachQuestion,
+    listMasterQuestions,
+    createMasterQuestion,
+    updateMasterQuestion,
+    deleteMasterQuestion,
+    reorderMasterQuestions,
+  };
+};
+
+module.exports.parseOptions = parseOptions;
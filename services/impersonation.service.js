@@ -0,0 +1,141 @@
+// Admin impersonation for support: an admin gets a short-lived access token for an
+// HR user or employee, so they see exactly what that user sees.
+// The token is a normal access JWT for the target plus impersonatedBy (the admin)
+// and imp (impersonation_sessions row). There is no refresh token; the token ends
+// at IMPERSONATION_TTL_MINUTES or when an admin ends it.
+// Impersonated requests are read-only (GET / HEAD / OPTIONS), so nothing is
+// changed, reset or deleted in the user's name, and each one is written to
+// impersonation_audit, blocked ones included.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const impersonationError = (status, message) => Object.assign(new Error(message), { status });
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const MAX_TTL_MINUTES = 60;
+
+module.exports = (pool, TABLE_NAME) => {
+  const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+  const ttlMinutes = Math.min(Math.max(parseInt(process.env.IMPERSONATION_TTL_MINUTES, 10) || 15, 1), MAX_TTL_MINUTES);
+  const cacheMs = Number(process.env.SESSION_CHECK_CACHE_MS) || 10000;
+  const endedCache = new Map();
+
+  const start = async (admin, employeesID, { reason, ip } = {}) => {
+    const why = String(reason || '').trim();
+    if (!why) throw impersonationError(400, 'A reason is required to impersonate a user');
+    if (why.length > 255) throw impersonationError(400, 'Reason must be at most 255 characters');
+
+    const [rows] = await pool.execute(
+      `SELECT employeesID, name, email, role, company_id FROM ${TABLE_NAME} WHERE employeesID = ? LIMIT 1`,
+      [employeesID]
+    );
+    const target = rows[0];
+    if (!target) throw impersonationError(404, 'Employee not found');
+    if (target.role === 'Admin') throw impersonationError(403, 'Admin accounts cannot be impersonated');
+
+    const impersonationId = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+    await pool.execute(
+      `INSERT INTO impersonation_sessions (impersonation_id, admin_id, employeesID, reason, ip_address, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [impersonationId, admin.employeesID, target.employeesID, why, ip ? String(ip).slice(0, 45) : null, expiresAt]
+    );
+    console.log(`🕵️ ${admin.employeesID} started impersonating ${target.employeesID} (${impersonationId}): ${why}`);
+
+    const accessToken = jwt.sign(
+      { employeesID: target.employeesID, role: target.role, impersonatedBy: admin.employeesID, imp: impersonationId },
+      JWT_SECRET,
+      { expiresIn: ttlMinutes * 60 }
+    );
+    return { impersonationId, accessToken, expiresAt, employee: target };
+  };
+
+  // Revocation check for impersonation tokens; resolves true once ended or expired
+  const isEnded = async (payload) => {
+    const hit = endedCache.get(payload.imp);
+    if (hit && hit.expires > Date.now()) return hit.value;
+    const [rows] = await pool.execute(
+      'SELECT 1 FROM impersonation_sessions WHERE impersonation_id = ? AND ended_at IS NULL AND expires_at > NOW() LIMIT 1',
+      [payload.imp]
+    );
+    const value = rows.length === 0;
+    endedCache.set(payload.imp, { value, expires: Date.now() + cacheMs });
+    if (endedCache.size > 10000) endedCache.clear();
+    return value;
+  };
+
+  const end = async (impersonationId, adminId) => {
+    const [result] = await pool.execute(
+      'UPDATE impersonation_sessions SET ended_at = NOW(), ended_by = ? WHERE impersonation_id = ? AND ended_at IS NULL',
+      [adminId, impersonationId]
+    );
+    endedCache.delete(impersonationId);
+    if (!result.affectedRows) throw impersonationError(404, 'Impersonation not found or already ended');
+  };
+
+  // Most recent impersonations, optionally of one employee or by one admin
+  const list = async ({ employeesID, adminId, limit } = {}) => {
+    const where = [];
+    const params = [];
+    if (employeesID) { where.push('employeesID = ?'); params.push(employeesID); }
+    if (adminId) { where.push('admin_id = ?'); params.push(adminId); }
+    const n = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+    const [rows] = await pool.execute(
+      `SELECT s.*, (SELECT COUNT(*) FROM impersonation_audit a WHERE a.impersonation_id = s.impersonation_id) AS request_count
+       FROM impersonation_sessions s ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY created_at DESC LIMIT ${n}`,
+      params
+    );
+    return rows;
+  };
+
+  const getRequests = async (impersonationId) => {
+    const [sessions] = await pool.execute(
+      'SELECT * FROM impersonation_sessions WHERE impersonation_id = ? LIMIT 1',
+      [impersonationId]
+    );
+    if (!sessions.length) throw impersonationError(404, 'Impersonation not found');
+    const [rows] = await pool.execute(
+      `SELECT method, path, status_code, blocked, created_at FROM impersonation_audit
+       WHERE impersonation_id = ? ORDER BY audit_id`,
+      [impersonationId]
+    );
+    return { impersonation: sessions[0], requests: rows };
+  };
+
+  // Express middleware, before any route: blocks changes made with an impersonation
+  // token and records each request. Tokens that fail verification are left to the
+  // auth middlewares.
+  const guardRequests = (req, res, next) => {
+    const token = req.headers['authorization']?.split(' ')[1];
+    if (!token || token.startsWith('nxk_')) return next();
+    let payload;
+    try {
+      payload = jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+      return next();
+    }
+    if (!payload.imp) return next();
+
+    const blocked = !SAFE_METHODS.includes(req.method);
+    res.on('finish', () => {
+      pool.execute(
+        'INSERT INTO impersonation_audit (impersonation_id, method, path, status_code, blocked) VALUES (?, ?, ?, ?, ?)',
+        [payload.imp, req.method, req.originalUrl.split('?')[0].slice(0, 255), res.statusCode, blocked ? 1 : 0]
+      ).catch(err => console.error('Error writing impersonation audit:', err.message));
+    });
+    if (blocked) {
+      return res.status(403).json({ success: false, message: 'Not available while impersonating a user (read-only)' });
+    }
+    next();
+  };
+
+  return {
+    start,
+    isEnded,
+    end,
+    list,
+    getRequests,
+    guardRequests,
+  };
+};
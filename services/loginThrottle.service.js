@@ -0,0 +1,190 @@
+// Brute-force protection for /api/login and /api/forgot-password.
+// Attempts are counted per submitted account id and per client IP, whether or not
+// the account exists, so responses never tell the two apart. Past a few free
+// attempts every further one is delayed (429 + Retry-After, doubling up to a cap);
+// too many failed logins lock the account until the lockout ends or HR unlocks it.
+// Counters live in process memory by default; LOGIN_THROTTLE_STORE=mysql keeps them
+// in auth_throttle so all server instances share them.
+
+const throttleError = (retryAfterMs) => Object.assign(
+  new Error('Too many attempts. Please try again later.'),
+  { status: 429, retryAfter: Math.max(1, Math.ceil(retryAfterMs / 1000)) }
+);
+
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const MINUTE = 60 * 1000;
+
+// { attempts, windowEndsAt, blockedUntil, locked } per key
+const memoryStore = () => {
+  const entries = new Map();
+
+  const prune = (now) => {
+    for (const [key, entry] of entries) {
+      if (entry.windowEndsAt <= now && !(entry.blockedUntil > now)) entries.delete(key);
+    }
+  };
+
+  return {
+    async get(key) {
+      return entries.get(key) || null;
+    },
+    async increment(key, windowMs, now) {
+      let entry = entries.get(key);
+      if (!entry || entry.windowEndsAt <= now) {
+        entry = { attempts: 0, windowEndsAt: now + windowMs, blockedUntil: null, locked: false };
+        entries.set(key, entry);
+      }
+      entry.attempts++;
+      if (entries.size > 50000) prune(now);
+      return entry.attempts;
+    },
+    async block(key, until, locked) {
+      const entry = entries.get(key);
+      if (!entry) return;
+      entry.blockedUntil = until;
+      entry.locked = !!locked;
+    },
+    async clear(keys) {
+      let cleared = 0;
+      keys.forEach(key => { if (entries.delete(key)) cleared++; });
+      return cleared;
+    },
+  };
+};
+
+const mysqlStore = (pool) => {
+  const fromRow = (row) => ({
+    attempts: row.attempts,
+    windowEndsAt: Number(row.window_ends_at),
+    blockedUntil: row.blocked_until === null ? null : Number(row.blocked_until),
+    locked: !!row.locked,
+  });
+
+  // Drop finished windows now and then
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    pool.execute(
+      'DELETE FROM auth_throttle WHERE window_ends_at <= ? AND (blocked_until IS NULL OR blocked_until <= ?)',
+      [now, now]
+    ).catch(err => console.error('Error cleaning up auth_throttle:', err.message));
+  }, 10 * MINUTE);
+  cleanup.unref();
+
+  return {
+    async get(key) {
+      const [rows] = await pool.execute('SELECT * FROM auth_throttle WHERE throttle_key = ? LIMIT 1', [key]);
+      return rows.length ? fromRow(rows[0]) : null;
+    },
+    async increment(key, windowMs, now) {
+      // attempts is assigned before window_ends_at, so both IF()s see the old window
+      await pool.execute(
+        `INSERT INTO auth_throttle (throttle_key, attempts, window_ends_at) VALUES (?, 1, ?)
+         ON DUPLICATE KEY UPDATE
+           attempts = IF(window_ends_at <= ?, 1, attempts + 1),
+           window_ends_at = IF(window_ends_at <= ?, VALUES(window_ends_at), window_ends_at)`,
+        [key, now + windowMs, now, now]
+      );
+      const entry = await this.get(key);
+      return entry ? entry.attempts : 1;
+    },
+    async block(key, until, locked) {
+      await pool.execute(
+        'UPDATE auth_throttle SET blocked_until = ?, locked = ? WHERE throttle_key = ?',
+        [until, locked ? 1 : 0, key]
+      );
+    },
+    async clear(keys) {
+      if (!keys.length) return 0;
+      const [result] = await pool.execute(
+        `DELETE FROM auth_throttle WHERE throttle_key IN (${keys.map(() => '?').join(', ')})`,
+        keys
+      );
+      return result.affectedRows;
+    },
+  };
+};
+
+module.exports = (pool) => {
+  const store = (process.env.LOGIN_THROTTLE_STORE || 'memory').toLowerCase() === 'mysql'
+    ? mysqlStore(pool)
+    : memoryStore();
+
+  const LOCKOUT_MS = intFromEnv('LOGIN_LOCKOUT_MINUTES', 15) * MINUTE;
+  const MAX_DELAY_MS = intFromEnv('LOGIN_MAX_DELAY_SECONDS', 30) * 1000;
+
+  // free: attempts without delay; lockAfter: attempts that lock the key (null = never)
+  const POLICIES = {
+    login: {
+      windowMs: intFromEnv('LOGIN_ATTEMPT_WINDOW_MINUTES', 15) * MINUTE,
+      account: { free: intFromEnv('LOGIN_FREE_ATTEMPTS', 3), lockAfter: intFromEnv('LOGIN_LOCKOUT_ATTEMPTS', 10) },
+      ip: { free: intFromEnv('LOGIN_IP_FREE_ATTEMPTS', 20), lockAfter: null },
+    },
+    forgot: {
+      windowMs: 60 * MINUTE,
+      account: { free: 3, lockAfter: 10 },
+      ip: { free: 10, lockAfter: null },
+    },
+  };
+
+  const normaliseAccount = (account) => String(account || '').trim().toLowerCase().slice(0, 100);
+
+  const keysFor = (action, { account, ip }) => {
+    const keys = [];
+    if (account) keys.push({ key: `${action}:account:${normaliseAccount(account)}`, rule: POLICIES[action].account });
+    if (ip) keys.push({ key: `${action}:ip:${ip}`, rule: POLICIES[action].ip });
+    return keys;
+  };
+
+  // Rejects (429) while the account or the IP is delayed or locked
+  const check = async (action, subject) => {
+    const now = Date.now();
+    for (const { key } of keysFor(action, subject)) {
+      const entry = await store.get(key);
+      if (entry && entry.blockedUntil && entry.blockedUntil > now) throw throttleError(entry.blockedUntil - now);
+    }
+  };
+
+  // Count an attempt (a failed login, or any forgot-password request)
+  const record = async (action, subject) => {
+    const now = Date.now();
+    const { windowMs } = POLICIES[action];
+    for (const { key, rule } of keysFor(action, subject)) {
+      const attempts = await store.increment(key, windowMs, now);
+      if (rule.lockAfter && attempts >= rule.lockAfter) {
+        await store.block(key, now + LOCKOUT_MS, true);
+        console.warn(`🔒 ${key} locked after ${attempts} attempts`);
+      } else if (attempts > rule.free) {
+        await store.block(key, now + Math.min(1000 * 2 ** (attempts - rule.free - 1), MAX_DELAY_MS), false);
+      }
+    }
+  };
+
+  // Successful login: forget the account's failures (not the IP's)
+  const reset = async (action, account) => {
+    await store.clear([`${action}:account:${normaliseAccount(account)}`]);
+  };
+
+  const getStatus = async (account) => {
+    const entry = await store.get(`login:account:${normaliseAccount(account)}`);
+    const now = Date.now();
+    return {
+      locked: !!(entry && entry.locked && entry.blockedUntil > now),
+      lockedUntil: entry && entry.locked && entry.blockedUntil > now ? new Date(entry.blockedUntil) : null,
+      failedAttempts: entry && entry.windowEndsAt > now ? entry.attempts : 0,
+    };
+  };
+
+  // HR / Admin unlock: clears the account's login and forgot-password counters.
+  // With the in-process store this only reaches the instance handling the request.
+  const unlock = async (account) => {
+    const status = await getStatus(account);
+    await store.clear(Object.keys(POLICIES).map(action => `${action}:account:${normaliseAccount(account)}`));
+    return status.locked;
+  };
+
+  return { check, record, reset, getStatus, unlock };
+};
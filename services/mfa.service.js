@@ -0,0 +1,245 @@
+// TOTP two-factor authentication for HR and Admin accounts.
+// Enrolment stores a pending secret; it becomes active once the first code is
+// confirmed, which also issues the recovery codes. Each TOTP time step can only
+// be used once per account.
+// Between the password step and the code step of login the client holds a
+// short-lived challenge token (purpose mfa_login or mfa_enroll), which the auth
+// middlewares do not accept as a session.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const totp = require('./totp');
+
+const mfaError = (status, message) => Object.assign(new Error(message), { status });
+
+const MFA_ROLES = ['HR', 'Admin'];
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+const MAX_FAILED_ATTEMPTS = 5;
+const ATTEMPT_WINDOW_MS = 5 * 60 * 1000;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// xxxxx-xxxxx, lowercase hex
+const newRecoveryCode = () => {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+};
+
+const normaliseRecoveryCode = (code) => String(code || '').trim().toLowerCase().replace(/[^0-9a-f]/g, '');
+
+module.exports = (pool, TABLE_NAME) => {
+  const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+  const ISSUER = process.env.MFA_ISSUER || 'ForteAI Nexus';
+
+  // Failed code attempts per employee, to slow down guessing
+  const failures = new Map();
+
+  const checkAttempts = (employeesID) => {
+    const entry = failures.get(employeesID);
+    if (entry && entry.resetAt > Date.now() && entry.count >= MAX_FAILED_ATTEMPTS) {
+      throw mfaError(429, 'Too many invalid codes. Please wait a few minutes and try again.');
+    }
+  };
+
+  const recordFailure = (employeesID) => {
+    const entry = failures.get(employeesID);
+    if (!entry || entry.resetAt <= Date.now()) {
+      failures.set(employeesID, { count: 1, resetAt: Date.now() + ATTEMPT_WINDOW_MS });
+    } else {
+      entry.count++;
+    }
+  };
+
+  const getCredential = async (employeesID) => {
+    const [rows] = await pool.execute('SELECT * FROM mfa_credentials WHERE employeesID = ? LIMIT 1', [employeesID]);
+    return rows[0] || null;
+  };
+
+  const isEnrolled = async (employeesID) => {
+    const credential = await getCredential(employeesID);
+    return !!(credential && credential.enabled_at);
+  };
+
+  // HR users of companies that require MFA must enrol before they get a session
+  const isRequired = async (employee) => {
+    if (employee.role !== 'HR' || !employee.company_id) return false;
+    const [rows] = await pool.execute(
+      'SELECT mfa_required_hr FROM companies WHERE company_id = ? LIMIT 1',
+      [employee.company_id]
+    );
+    return rows.length > 0 && !!rows[0].mfa_required_hr;
+  };
+
+  const getStatus = async (employee) => {
+    const credential = await getCredential(employee.employeesID);
+    const [codes] = await pool.execute(
+      'SELECT COUNT(*) AS cnt FROM mfa_recovery_codes WHERE employeesID = ? AND used_at IS NULL',
+      [employee.employeesID]
+    );
+    return {
+      available: MFA_ROLES.includes(employee.role),
+      enrolled: !!(credential && credential.enabled_at),
+      pending: !!(credential && !credential.enabled_at),
+      required: await isRequired(employee),
+      recoveryCodesLeft: Number(codes[0].cnt),
+    };
+  };
+
+  // Create (or replace) a pending secret; returns what the authenticator app needs
+  const startEnrolment = async (employee) => {
+    if (!MFA_ROLES.includes(employee.role)) throw mfaError(403, 'Two-factor authentication is available for HR and Admin accounts');
+    if (await isEnrolled(employee.employeesID)) throw mfaError(409, 'Two-factor authentication is already enabled');
+    const secret = totp.generateSecret();
+    await pool.execute(
+      `INSERT INTO mfa_credentials (employeesID, secret) VALUES (?, ?)
+       ON DUPLICATE KEY UPDATE secret = VALUES(secret), enabled_at = NULL, last_used_step = NULL`,
+      [employee.employeesID, secret]
+    );
+    return {
+      secret,
+      otpauthUri: totp.otpauthUri({ secret, accountName: employee.email || employee.employeesID, issuer: ISSUER }),
+    };
+  };
+
+  const replaceRecoveryCodes = async (employeesID) => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, newRecoveryCode);
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      await connection.execute('DELETE FROM mfa_recovery_codes WHERE employeesID = ?', [employeesID]);
+      for (const code of codes) {
+        await connection.execute(
+          'INSERT INTO mfa_recovery_codes (employeesID, code_hash) VALUES (?, ?)',
+          [employeesID, sha256(normaliseRecoveryCode(code))]
+        );
+      }
+      await connection.commit();
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    } finally {
+      connection.release();
+    }
+    return codes;
+  };
+
+  // TOTP check with single use per time step
+  const useTotp = async (credential, code) => {
+    const step = totp.verifyCode(credential.secret, code);
+    if (step === null) return false;
+    const [result] = await pool.execute(
+      `UPDATE mfa_credentials SET last_used_step = ?
+       WHERE employeesID = ? AND (last_used_step IS NULL OR last_used_step < ?)`,
+      [step, credential.employeesID, step]
+    );
+    return result.affectedRows > 0;
+  };
+
+  // Activate the pending secret with a first code; returns the recovery codes
+  const confirmEnrolment = async (employeesID, code) => {
+    checkAttempts(employeesID);
+    const credential = await getCredential(employeesID);
+    if (!credential) throw mfaError(400, 'Start enrolment first');
+    if (credential.enabled_at) throw mfaError(409, 'Two-factor authentication is already enabled');
+    if (!(await useTotp(credential, code))) {
+      recordFailure(employeesID);
+      throw mfaError(400, 'Invalid verification code');
+    }
+    await pool.execute('UPDATE mfa_credentials SET enabled_at = NOW() WHERE employeesID = ?', [employeesID]);
+    failures.delete(employeesID);
+    return replaceRecoveryCodes(employeesID);
+  };
+
+  // Second login step: a TOTP code or an unused recovery code
+  const verify = async (employeesID, code) => {
+    checkAttempts(employeesID);
+    const credential = await getCredential(employeesID);
+    if (!credential || !credential.enabled_at) throw mfaError(400, 'Two-factor authentication is not enabled');
+
+    if (await useTotp(credential, code)) {
+      failures.delete(employeesID);
+      return { method: 'totp' };
+    }
+    const recovery = normaliseRecoveryCode(code);
+    if (recovery.length === 10) {
+      const [result] = await pool.execute(
+        `UPDATE mfa_recovery_codes SET used_at = NOW()
+         WHERE employeesID = ? AND code_hash = ? AND used_at IS NULL LIMIT 1`,
+        [employeesID, sha256(recovery)]
+      );
+      if (result.affectedRows) {
+        failures.delete(employeesID);
+        return { method: 'recovery_code' };
+      }
+    }
+    recordFailure(employeesID);
+    throw mfaError(400, 'Invalid verification code');
+  };
+
+  const regenerateRecoveryCodes = async (employeesID, code) => {
+    await verify(employeesID, code);
+    return replaceRecoveryCodes(employeesID);
+  };
+
+  const removeCredential = async (employeesID) => {
+    await pool.execute('DELETE FROM mfa_recovery_codes WHERE employeesID = ?', [employeesID]);
+    const [result] = await pool.execute('DELETE FROM mfa_credentials WHERE employeesID = ?', [employeesID]);
+    failures.delete(employeesID);
+    return result.affectedRows > 0;
+  };
+
+  // Self-service disable needs a valid code and is refused where MFA is mandatory
+  const disable = async (employee, code) => {
+    if (await isRequired(employee)) throw mfaError(409, 'Two-factor authentication is required for your account');
+    await verify(employee.employeesID, code);
+    await removeCredential(employee.employeesID);
+  };
+
+  // Admin reset for a lost device; the user enrols again at next login if required
+  const reset = (employeesID) => removeCredential(employeesID);
+
+  const setCompanyRequirement = async (companyId, required) => {
+    await pool.execute('UPDATE companies SET mfa_required_hr = ? WHERE company_id = ?', [required ? 1 : 0, companyId]);
+    if (!required) return [];
+    // HR users who still have to enrol
+    const [rows] = await pool.execute(
+      `SELECT e.employeesID FROM ${TABLE_NAME} e
+       LEFT JOIN mfa_credentials m ON m.employeesID = e.employeesID AND m.enabled_at IS NOT NULL
+       WHERE e.company_id = ? AND e.role = 'HR' AND m.employeesID IS NULL`,
+      [companyId]
+    );
+    return rows.map(r => r.employeesID);
+  };
+
+  // Challenge tokens between the password and code steps of login
+  const createChallenge = (employee, purpose) => jwt.sign(
+    { employeesID: employee.employeesID, purpose },
+    JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL }
+  );
+
+  const readChallenge = (token, purpose) => {
+    try {
+      const payload = jwt.verify(token, JWT_SECRET);
+      if (payload.purpose === purpose) return payload;
+    } catch (err) {
+      // fall through
+    }
+    throw mfaError(401, 'Login step expired, please sign in again');
+  };
+
+  return {
+    isEnrolled,
+    isRequired,
+    getStatus,
+    startEnrolment,
+    confirmEnrolment,
+    verify,
+    regenerateRecoveryCodes,
+    disable,
+    reset,
+    setCompanyRequirement,
+    createChallenge,
+    readChallenge,
+  };
+};
@@ -0,0 +1,191 @@
+// Offboarding of employees who leave, and retention of their individual reports.
+// HR records a leave date (the first day the employee is no longer employed).
+// From that day the employee no longer counts towards survey completion unless
+// they responded in the cycle (see cycles.getCompletion), and the periodic sweep
+// deactivates the account. Their survey responses stay in their cycles.
+// Once the company's retention period after the leave date has passed, the sweep
+// anonymizes their individual AI reports (detached from the employee but kept
+// with the company, free text removed, sentiment scores and attrition factors
+// kept) or purges them, depending on the company setting.
+const crypto = require('crypto');
+
+const offboardingError = (status, message) => Object.assign(new Error(message), { status });
+
+const REPORT_ACTIONS = ['anonymize', 'purge'];
+const MAX_RETENTION_DAYS = 3650;
+// Free-text report fields that can identify the employee
+const IDENTIFYING_REPORT_FIELDS = [
+  'summary_opinion', 'key_positive_1', 'key_positive_2', 'key_positive_3',
+  'attrition_problem_1', 'retention_strategy_1',
+  'attrition_problem_2', 'retention_strategy_2',
+  'attrition_problem_3', 'retention_strategy_3',
+];
+
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+module.exports = (pool, TABLE_NAME, { employeeAccounts, sessions, actionTokens }) => {
+  const DEFAULT_RETENTION_DAYS = intFromEnv('OFFBOARDING_RETENTION_DAYS', 180);
+  const SWEEP_MINUTES = intFromEnv('OFFBOARDING_SWEEP_MINUTES', 60);
+
+  const parseLeaveDate = (value) => {
+    const text = String(value || '').trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(new Date(`${text}T00:00:00Z`).getTime())) {
+      throw offboardingError(400, 'leaveDate must be a date (YYYY-MM-DD)');
+    }
+    return text;
+  };
+
+  // Record the leave date; a date today or earlier deactivates right away
+  const offboard = async (companyId, employeesID, { leaveDate }, { actorId, actorPermissions }) => {
+    if (employeesID === actorId) throw offboardingError(409, 'You cannot offboard your own account');
+    const target = await employeeAccounts.getEmployee(companyId, employeesID);
+    employeeAccounts.assertManageable(target, actorPermissions);
+    if (target.reports_retired_at) throw offboardingError(409, 'Employee was offboarded and their reports have been retired');
+
+    await pool.execute(
+      `UPDATE ${TABLE_NAME} SET leave_date = ?, offboarded_at = NOW(), offboarded_by = ? WHERE employeesID = ? AND company_id = ?`,
+      [parseLeaveDate(leaveDate), actorId || null, employeesID, companyId]
+    );
+    console.log(`👋 Employee ${employeesID} offboarded by ${actorId} (leave date ${leaveDate})`);
+    await deactivateDeparted();
+    return employeeAccounts.getEmployee(companyId, employeesID);
+  };
+
+  // Remove a leave date that has not been acted on yet (e.g. the employee stays)
+  const cancelOffboarding = async (companyId, employeesID, { actorId, actorPermissions }) => {
+    const target = await employeeAccounts.getEmployee(companyId, employeesID);
+    employeeAccounts.assertManageable(target, actorPermissions);
+    if (!target.leave_date) throw offboardingError(409, 'Employee is not being offboarded');
+    if (target.reports_retired_at) throw offboardingError(409, 'Reports of this employee have already been retired');
+
+    await pool.execute(
+      `UPDATE ${TABLE_NAME} SET leave_date = NULL, offboarded_at = NULL, offboarded_by = NULL WHERE employeesID = ? AND company_id = ?`,
+      [employeesID, companyId]
+    );
+    console.log(`↩️ Offboarding of ${employeesID} cancelled by ${actorId}`);
+    // An account the sweep already deactivated stays so until HR reactivates it
+    return employeeAccounts.getEmployee(companyId, employeesID);
+  };
+
+  const getRetention = async (companyId) => {
+    const [rows] = await pool.execute(
+      'SELECT offboarding_retention_days, offboarding_report_action FROM companies WHERE company_id = ? LIMIT 1',
+      [companyId]
+    );
+    if (!rows.length) throw offboardingError(404, 'Company not found');
+    return {
+      retentionDays: rows[0].offboarding_retention_days === null ? DEFAULT_RETENTION_DAYS : rows[0].offboarding_retention_days,
+      reportAction: rows[0].offboarding_report_action || 'anonymize',
+      isDefault: rows[0].offboarding_retention_days === null,
+    };
+  };
+
+  // changes: any of { retentionDays (null = default), reportAction }
+  const setRetention = async (companyId, { retentionDays, reportAction }) => {
+    const current = await getRetention(companyId);
+    let days = current.isDefault ? null : current.retentionDays;
+    if (retentionDays !== undefined) {
+      if (retentionDays === null) {
+        days = null;
+      } else {
+        days = Number(retentionDays);
+        if (!Number.isInteger(days) || days < 0 || days > MAX_RETENTION_DAYS) {
+          throw offboardingError(400, `retentionDays must be a whole number between 0 and ${MAX_RETENTION_DAYS}, or null for the default`);
+        }
+      }
+    }
+    const action = reportAction === undefined ? current.reportAction : reportAction;
+    if (!REPORT_ACTIONS.includes(action)) throw offboardingError(400, `reportAction must be one of: ${REPORT_ACTIONS.join(', ')}`);
+
+    await pool.execute(
+      'UPDATE companies SET offboarding_retention_days = ?, offboarding_report_action = ? WHERE company_id = ?',
+      [days, action, companyId]
+    );
+    return getRetention(companyId);
+  };
+
+  // Employees whose leave date has come lose access
+  const deactivateDeparted = async () => {
+    const [rows] = await pool.execute(
+      `SELECT employeesID FROM ${TABLE_NAME}
+       WHERE leave_date IS NOT NULL AND leave_date <= CURDATE() AND deactivated_at IS NULL`
+    );
+    for (const { employeesID } of rows) {
+      await pool.execute(
+        `UPDATE ${TABLE_NAME} SET deactivated_at = NOW(), deactivated_by = 'offboarding' WHERE employeesID = ? AND deactivated_at IS NULL`,
+        [employeesID]
+      );
+      await sessions.revokeAllForEmployee(employeesID, { reason: 'left the company' });
+      await actionTokens.invalidateForEmployee(employeesID);
+    }
+    return rows.length;
+  };
+
+  const retireReports = async (employeesID, companyId, action) => {
+    if (action === 'purge') {
+      const [result] = await pool.execute('DELETE FROM responses_langchain_sentiment WHERE employeesID = ?', [employeesID]);
+      return result.affectedRows;
+    }
+    // A fresh pseudonym per cycle, so anonymized reports cannot be linked to each other
+    const [reportCycles] = await pool.execute(
+      'SELECT DISTINCT cycle_id FROM responses_langchain_sentiment WHERE employeesID = ?',
+      [employeesID]
+    );
+    let count = 0;
+    for (const { cycle_id: cycleId } of reportCycles) {
+      const [result] = await pool.execute(
+        `UPDATE responses_langchain_sentiment
+         SET employeesID = ?, company_id = ?, ${IDENTIFYING_REPORT_FIELDS.map(f => `${f} = NULL`).join(', ')}, anonymized_at = NOW()
+         WHERE employeesID = ? AND cycle_id <=> ?`,
+        [`anon-${crypto.randomBytes(8).toString('hex')}`, companyId, employeesID, cycleId]
+      );
+      count += result.affectedRows;
+    }
+    return count;
+  };
+
+  // Individual reports of departed employees whose retention period is over
+  const applyRetention = async () => {
+    const [rows] = await pool.execute(
+      `SELECT e.employeesID, e.company_id, c.offboarding_report_action AS action
+       FROM ${TABLE_NAME} e
+       JOIN companies c ON c.company_id = e.company_id
+       WHERE e.leave_date IS NOT NULL AND e.reports_retired_at IS NULL
+         AND DATE_ADD(e.leave_date, INTERVAL COALESCE(c.offboarding_retention_days, ?) DAY) <= CURDATE()`,
+      [DEFAULT_RETENTION_DAYS]
+    );
+    let reports = 0;
+    for (const row of rows) {
+      const action = row.action || 'anonymize';
+      reports += await retireReports(row.employeesID, row.company_id, action);
+      await pool.execute(`UPDATE ${TABLE_NAME} SET reports_retired_at = NOW() WHERE employeesID = ?`, [row.employeesID]);
+      console.log(`🧹 Individual reports of former employee ${row.employeesID}: ${action}`);
+    }
+    return { employees: rows.length, reports };
+  };
+
+  const sweep = async () => {
+    const deactivated = await deactivateDeparted();
+    const retired = await applyRetention();
+    return { deactivated, retired };
+  };
+
+  // Runs the sweep shortly after start-up and then every OFFBOARDING_SWEEP_MINUTES
+  const startSweeps = () => {
+    const run = () => sweep().catch(err => console.error('Offboarding sweep failed:', err.message));
+    setTimeout(run, 30 * 1000).unref();
+    setInterval(run, Math.max(SWEEP_MINUTES, 1) * 60 * 1000).unref();
+  };
+
+  return {
+    offboard,
+    cancelOffboarding,
+    getRetention,
+    setRetention,
+    sweep,
+    startSweeps,
+  };
+};
@@ -0,0 +1,284 @@
+// OpenID Connect single sign-on (authorization code flow with PKCE), configured
+// per company in company_sso_providers.
+// The IdP sends the browser back to /api/sso/callback; the verified ID token's
+// email claim is matched to an employee of that company, and the frontend gets a
+// one-time code (valid 60s) that it exchanges for the usual access/refresh tokens.
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+const oidcError = (status, message) => Object.assign(new Error(message), { status });
+
+const HTTP_TIMEOUT = 10000;
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const STATE_TTL_MINUTES = 10;
+const HANDOFF_TTL_SECONDS = 60;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url'); // 43 chars
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const trimSlash = (url) => String(url || '').replace(/\/+$/, '');
+
+// 'email' or a dotted path such as 'attributes.mail'
+const readClaim = (claims, path) => String(path || '').split('.').reduce(
+  (value, key) => (value && typeof value === 'object' ? value[key] : undefined),
+  claims
+);
+
+const fromRow = (row) => ({
+  companyId: row.company_id,
+  issuer: row.issuer,
+  clientId: row.client_id,
+  hasClientSecret: !!row.client_secret,
+  tokenAuthMethod: row.token_auth_method,
+  scopes: row.scopes,
+  emailClaim: row.email_claim,
+  requireEmailVerified: !!row.require_email_verified,
+  enabled: !!row.enabled,
+  updatedAt: row.updated_at,
+});
+
+module.exports = (pool, TABLE_NAME, { callbackUrl }) => {
+  // Discovery documents and key sets per issuer
+  const metadataCache = new Map();
+  const jwksCache = new Map();
+
+  const getProviderRow = async (companyId) => {
+    const [rows] = await pool.execute('SELECT * FROM company_sso_providers WHERE company_id = ? LIMIT 1', [companyId]);
+    return rows[0] || null;
+  };
+
+  const getConfig = async (companyId) => {
+    const row = await getProviderRow(companyId);
+    return row ? fromRow(row) : null;
+  };
+
+  const setConfig = async (companyId, body, updatedBy) => {
+    const existing = await getProviderRow(companyId);
+    const value = (key, fallback) => (body[key] !== undefined ? body[key] : fallback);
+    const config = {
+      issuer: trimSlash(value('issuer', existing && existing.issuer)),
+      clientId: value('clientId', existing && existing.client_id),
+      clientSecret: value('clientSecret', existing && existing.client_secret),
+      tokenAuthMethod: value('tokenAuthMethod', existing ? existing.token_auth_method : 'client_secret_basic'),
+      scopes: value('scopes', existing ? existing.scopes : 'openid email profile'),
+      emailClaim: value('emailClaim', existing ? existing.email_claim : 'email'),
+      enabled: value('enabled', existing ? !!existing.enabled : true),
+    };
+    // email_verified only vouches for the standard email claim
+    config.requireEmailVerified = value('requireEmailVerified',
+      existing ? !!existing.require_email_verified : config.emailClaim === 'email');
+    if (!/^https?:\/\/\S+$/.test(config.issuer)) throw oidcError(400, 'issuer must be an http(s) URL');
+    if (!config.clientId) throw oidcError(400, 'clientId is required');
+    if (!['client_secret_basic', 'client_secret_post'].includes(config.tokenAuthMethod)) {
+      throw oidcError(400, 'tokenAuthMethod must be client_secret_basic or client_secret_post');
+    }
+    if (!String(config.scopes).split(/\s+/).includes('openid')) throw oidcError(400, 'scopes must include openid');
+    if (!config.emailClaim) throw oidcError(400, 'emailClaim is required');
+    if (config.requireEmailVerified && config.emailClaim !== 'email') {
+      throw oidcError(400, 'requireEmailVerified can only be used with emailClaim "email"');
+    }
+
+    await pool.execute(
+      `INSERT INTO company_sso_providers
+         (company_id, issuer, client_id, client_secret, token_auth_method, scopes, email_claim, require_email_verified, enabled, updated_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE issuer = VALUES(issuer), client_id = VALUES(client_id), client_secret = VALUES(client_secret),
+         token_auth_method = VALUES(token_auth_method), scopes = VALUES(scopes), email_claim = VALUES(email_claim),
+         require_email_verified = VALUES(require_email_verified), enabled = VALUES(enabled), updated_by = VALUES(updated_by)`,
+      [
+        companyId, config.issuer, String(config.clientId), config.clientSecret || null, config.tokenAuthMethod,
+        String(config.scopes), String(config.emailClaim), config.requireEmailVerified ? 1 : 0, config.enabled ? 1 : 0,
+        updatedBy || null,
+      ]
+    );
+    metadataCache.delete(config.issuer);
+    jwksCache.delete(config.issuer);
+    return getConfig(companyId);
+  };
+
+  const deleteConfig = async (companyId) => {
+    const [result] = await pool.execute('DELETE FROM company_sso_providers WHERE company_id = ?', [companyId]);
+    return result.affectedRows > 0;
+  };
+
+  const getMetadata = async (issuer) => {
+    const hit = metadataCache.get(issuer);
+    if (hit && hit.expires > Date.now()) return hit.value;
+    let metadata;
+    try {
+      const response = await axios.get(`${issuer}/.well-known/openid-configuration`, { timeout: HTTP_TIMEOUT });
+      metadata = response.data;
+    } catch (err) {
+      console.error(`OIDC discovery failed for ${issuer}:`, err.message);
+      throw oidcError(502, 'Identity provider is not reachable');
+    }
+    if (!metadata || trimSlash(metadata.issuer) !== issuer) {
+      throw oidcError(502, 'Identity provider metadata does not match the configured issuer');
+    }
+    metadataCache.set(issuer, { value: metadata, expires: Date.now() + METADATA_TTL_MS });
+    return metadata;
+  };
+
+  // Signing key for a kid; the key set is fetched again once for an unknown kid (key rotation)
+  const getSigningKey = async (issuer, metadata, kid) => {
+    const findKey = (keys) => keys.find(k => (kid ? k.kid === kid : k.use !== 'enc'));
+    let keys = jwksCache.get(issuer);
+    let jwk = keys && findKey(keys);
+    if (!jwk) {
+      try {
+        const response = await axios.get(metadata.jwks_uri, { timeout: HTTP_TIMEOUT });
+        keys = (response.data && response.data.keys) || [];
+      } catch (err) {
+        console.error(`OIDC key set fetch failed for ${issuer}:`, err.message);
+        throw oidcError(502, 'Identity provider is not reachable');
+      }
+      jwksCache.set(issuer, keys);
+      jwk = findKey(keys);
+    }
+    if (!jwk) throw oidcError(401, 'ID token signed with an unknown key');
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  };
+
+  const getEnabledProvider = async (companyId) => {
+    const provider = await getProviderRow(companyId);
+    if (!provider || !provider.enabled) throw oidcError(404, 'Single sign-on is not enabled for this company');
+    return provider;
+  };
+
+  // Authorization URL to send the browser to
+  const startLogin = async (companyId) => {
+    const provider = await getEnabledProvider(companyId);
+    const metadata = await getMetadata(provider.issuer);
+    await pool.execute('DELETE FROM sso_login_states WHERE expires_at < DATE_SUB(NOW(), INTERVAL 1 DAY)');
+    const state = randomToken();
+    const nonce = randomToken();
+    const codeVerifier = randomToken();
+    await pool.execute(
+      `INSERT INTO sso_login_states (state, company_id, nonce, code_verifier, expires_at)
+       VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ${STATE_TTL_MINUTES} MINUTE))`,
+      [state, companyId, nonce, codeVerifier]
+    );
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: provider.client_id,
+      redirect_uri: callbackUrl,
+      scope: provider.scopes,
+      state,
+      nonce,
+      code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+      code_challenge_method: 'S256',
+    });
+    return `${metadata.authorization_endpoint}?${params.toString()}`;
+  };
+
+  const exchangeCode = async (provider, metadata, code, codeVerifier) => {
+    const form = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: callbackUrl,
+      code_verifier: codeVerifier,
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+    if (provider.token_auth_method === 'client_secret_post') {
+      form.set('client_id', provider.client_id);
+      if (provider.client_secret) form.set('client_secret', provider.client_secret);
+    } else {
+      const basic = `${encodeURIComponent(provider.client_id)}:${encodeURIComponent(provider.client_secret || '')}`;
+      headers.Authorization = `Basic ${Buffer.from(basic).toString('base64')}`;
+    }
+    try {
+      const response = await axios.post(metadata.token_endpoint, form.toString(), { headers, timeout: HTTP_TIMEOUT });
+      return response.data;
+    } catch (err) {
+      const detail = err.response && err.response.data ? JSON.stringify(err.response.data) : err.message;
+      console.error(`OIDC code exchange failed for ${provider.issuer}:`, detail);
+      throw oidcError(401, 'Sign-in with your identity provider failed');
+    }
+  };
+
+  const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) throw oidcError(401, 'Identity provider returned no valid ID token');
+    const key = await getSigningKey(provider.issuer, metadata, decoded.header.kid);
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        issuer: [provider.issuer, `${provider.issuer}/`],
+        audience: provider.client_id,
+        clockTolerance: 60,
+      });
+    } catch (err) {
+      console.error(`OIDC ID token rejected for ${provider.issuer}:`, err.message);
+      throw oidcError(401, 'Identity provider returned an invalid ID token');
+    }
+    if (claims.nonce !== nonce) throw oidcError(401, 'Identity provider returned an invalid ID token');
+    return claims;
+  };
+
+  // Callback from the IdP; returns a one-time code for exchangeHandoff
+  const finishLogin = async ({ state, code }) => {
+    if (!state || !code) throw oidcError(400, 'Missing state or code');
+    const [claimed] = await pool.execute(
+      'UPDATE sso_login_states SET used_at = NOW() WHERE state = ? AND used_at IS NULL AND expires_at > NOW()',
+      [String(state)]
+    );
+    if (!claimed.affectedRows) throw oidcError(400, 'Sign-in request expired, please try again');
+    const [[login]] = await pool.execute('SELECT * FROM sso_login_states WHERE state = ?', [String(state)]);
+
+    const provider = await getEnabledProvider(login.company_id);
+    const metadata = await getMetadata(provider.issuer);
+    const tokens = await exchangeCode(provider, metadata, String(code), login.code_verifier);
+    if (!tokens || !tokens.id_token) throw oidcError(401, 'Identity provider returned no ID token');
+    const claims = await verifyIdToken(provider, metadata, tokens.id_token, login.nonce);
+
+    const email = readClaim(claims, provider.email_claim);
+    if (!email || typeof email !== 'string') throw oidcError(403, 'Your identity provider did not share an email address');
+    if (provider.require_email_verified && claims.email_verified !== true && claims.email_verified !== 'true') {
+      throw oidcError(403, 'Your email address is not verified with your identity provider');
+    }
+
+    const [employees] = await pool.execute(
+      `SELECT employeesID, deactivated_at FROM ${TABLE_NAME} WHERE LOWER(email) = LOWER(?) AND company_id = ? LIMIT 1`,
+      [email.trim(), login.company_id]
+    );
+    if (!employees.length) {
+      console.warn(`SSO login for ${email} (company ${login.company_id}): no matching employee`);
+      throw oidcError(403, 'No account with your email address exists for this company');
+    }
+    if (employees[0].deactivated_at) throw oidcError(403, 'Your account has been deactivated. Please contact your HR department.');
+
+    const handoff = randomToken();
+    await pool.execute(
+      `UPDATE sso_login_states SET employeesID = ?, handoff_hash = ?,
+         handoff_expires_at = DATE_ADD(NOW(), INTERVAL ${HANDOFF_TTL_SECONDS} SECOND)
+       WHERE state = ?`,
+      [employees[0].employeesID, sha256(handoff), login.state]
+    );
+    console.log(`✅ SSO login for ${employees[0].employeesID} via ${provider.issuer}`);
+    return handoff;
+  };
+
+  // One-time code from the callback -> employeesID (single use)
+  const exchangeHandoff = async (code) => {
+    const hash = sha256(String(code || ''));
+    const [result] = await pool.execute(
+      `UPDATE sso_login_states SET handoff_used_at = NOW()
+       WHERE handoff_hash = ? AND handoff_used_at IS NULL AND handoff_expires_at > NOW()`,
+      [hash]
+    );
+    if (!result.affectedRows) throw oidcError(401, 'Sign-in code expired or already used');
+    const [[row]] = await pool.execute('SELECT employeesID FROM sso_login_states WHERE handoff_hash = ?', [hash]);
+    return row.employeesID;
+  };
+
+  return {
+    getConfig,
+    setConfig,
+    deleteConfig,
+    startLogin,
+    finishLogin,
+    exchangeHandoff,
+  };
+};
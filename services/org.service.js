@@ -0,0 +1,356 @@
+// Org structure: departments (teams are departments with a parent) and reporting
+// lines (employees.manager_id), maintained by HR through the API and the import.
+// Completion and sentiment can be sliced by department; a department's numbers
+// include its teams. Departments below the company's minimum group size are
+// suppressed (anonymity service), as are groups that would reveal them.
+const orgError = (status, message) => Object.assign(new Error(message), { status });
+
+const MAX_DEPTH = 50;
+
+const toNumber = (value) => {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+const average = (values) => {
+  const numbers = values.filter(v => v !== null);
+  if (!numbers.length) return null;
+  return Math.round((numbers.reduce((a, b) => a + b, 0) / numbers.length) * 10) / 10;
+};
+
+// Most frequent attrition factors over a set of individual reports
+const topFactors = (reports, top = 3) => {
+  const counts = new Map();
+  reports.forEach(r => [r.attrition_factor_1, r.attrition_factor_2, r.attrition_factor_3].forEach(f => {
+    const factor = String(f || '').trim();
+    if (!factor) return;
+    const key = factor.toLowerCase();
+    const entry = counts.get(key) || { factor, count: 0 };
+    entry.count++;
+    counts.set(key, entry);
+  }));
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.factor.localeCompare(b.factor)).slice(0, top);
+};
+
+// department id -> Set of its own id and the ids of everything below it
+const scopesOf = (departments) => {
+  const children = new Map();
+  departments.forEach(d => {
+    if (d.parentId === null) return;
+    if (!children.has(d.parentId)) children.set(d.parentId, []);
+    children.get(d.parentId).push(d.departmentId);
+  });
+  const scopes = new Map();
+  departments.forEach(d => {
+    const scope = new Set();
+    const queue = [d.departmentId];
+    while (queue.length && scope.size <= departments.length) {
+      const id = queue.shift();
+      if (scope.has(id)) continue;
+      scope.add(id);
+      queue.push(...(children.get(id) || []));
+    }
+    scopes.set(d.departmentId, scope);
+  });
+  return scopes;
+};
+
+// Key of the employees without a department in hiddenGroups
+const UNASSIGNED = 'unassigned';
+
+// Groups to suppress: every group below the minimum, plus enough others that no
+// suppressed group can be worked out as a parent minus its visible parts.
+// A department's parts are its teams and its own members (never shown on their
+// own); the company's parts are the top-level departments and the unassigned.
+// sizes: department id (and UNASSIGNED) -> group size including teams;
+// own: department id -> members directly in the department.
+const hiddenGroups = (departments, sizes, own, isTooSmall) => {
+  const hidden = new Set([...sizes.keys()].filter(key => isTooSmall(sizes.get(key))));
+  const parents = [
+    { key: null, own: 0, parts: [...departments.filter(d => d.parentId === null).map(d => d.departmentId), UNASSIGNED] },
+    ...departments.map(d => ({
+      key: d.departmentId,
+      own: own.get(d.departmentId),
+      parts: departments.filter(c => c.parentId === d.departmentId).map(c => c.departmentId),
+    })),
+  ];
+  let changed = true;
+  while (changed) {
+    changed = false;
+    parents.forEach(parent => {
+      if (parent.key !== null && hidden.has(parent.key)) return;
+      let hiddenSize = parent.own + parent.parts.filter(k => hidden.has(k)).reduce((sum, k) => sum + sizes.get(k), 0);
+      const visible = parent.parts.filter(k => !hidden.has(k)).sort((a, b) => sizes.get(a) - sizes.get(b));
+      while (hiddenSize > 0 && isTooSmall(hiddenSize) && visible.length) {
+        const key = visible.shift();
+        hidden.add(key);
+        hiddenSize += sizes.get(key);
+        changed = true;
+      }
+    });
+  }
+  return hidden;
+};
+
+module.exports = (pool, TABLE_NAME, { cycles, aiReports, anonymity }) => {
+  const listDepartments = async (companyId) => {
+    const [rows] = await pool.execute(
+      `SELECT d.department_id, d.name, d.parent_id, d.created_at,
+         (SELECT COUNT(*) FROM ${TABLE_NAME} e WHERE e.department_id = d.department_id AND e.deactivated_at IS NULL) AS member_count
+       FROM departments d WHERE d.company_id = ? ORDER BY d.name`,
+      [companyId]
+    );
+    const byId = new Map(rows.map(r => [r.department_id, r]));
+    const pathOf = (row) => {
+      const names = [];
+      for (let d = row, depth = 0; d && depth < MAX_DEPTH; d = byId.get(d.parent_id), depth++) names.unshift(d.name);
+      return names.join(' / ');
+    };
+    return rows.map(r => ({
+      departmentId: r.department_id,
+      name: r.name,
+      parentId: r.parent_id,
+      path: pathOf(r),
+      memberCount: Number(r.member_count),
+      createdAt: r.created_at,
+    }));
+  };
+
+  const getDepartment = async (companyId, departmentId) => {
+    const [rows] = await pool.execute(
+      'SELECT * FROM departments WHERE department_id = ? AND company_id = ? LIMIT 1',
+      [departmentId, companyId]
+    );
+    if (!rows.length) throw orgError(404, 'Department not found');
+    return rows[0];
+  };
+
+  const assertNameFree = async (companyId, name, parentId, exceptId = null) => {
+    const [rows] = await pool.execute(
+      `SELECT department_id FROM departments
+       WHERE company_id = ? AND parent_id <=> ? AND LOWER(name) = LOWER(?) AND department_id != ? LIMIT 1`,
+      [companyId, parentId, name, exceptId || 0]
+    );
+    if (rows.length) throw orgError(409, `A department named "${name}" already exists here`);
+  };
+
+  const cleanName = (name) => {
+    const trimmed = String(name || '').trim();
+    if (!trimmed || trimmed.length > 100) throw orgError(400, 'Department name is required (max 100 characters)');
+    return trimmed;
+  };
+
+  // Ids of a department and everything below it
+  const departmentScope = async (companyId, departmentId) => {
+    const department = await getDepartment(companyId, departmentId);
+    return scopesOf(await listDepartments(companyId)).get(department.department_id);
+  };
+
+  // body: { name, parentId? } - a department with a parent is a team
+  const createDepartment = async (companyId, { name, parentId }) => {
+    const clean = cleanName(name);
+    const parent = parentId === undefined || parentId === null ? null : Number(parentId);
+    if (parent !== null) await getDepartment(companyId, parent);
+    await assertNameFree(companyId, clean, parent);
+    const [result] = await pool.execute(
+      'INSERT INTO departments (company_id, name, parent_id) VALUES (?, ?, ?)',
+      [companyId, clean, parent]
+    );
+    return (await listDepartments(companyId)).find(d => d.departmentId === result.insertId);
+  };
+
+  // changes: any of { name, parentId (null = top level) }
+  const updateDepartment = async (companyId, departmentId, { name, parentId }) => {
+    const current = await getDepartment(companyId, departmentId);
+    const clean = name === undefined ? current.name : cleanName(name);
+    let parent = current.parent_id;
+    if (parentId !== undefined) {
+      parent = parentId === null ? null : Number(parentId);
+      if (parent !== null) {
+        await getDepartment(companyId, parent);
+        if ((await departmentScope(companyId, departmentId)).has(parent)) {
+          throw orgError(400, 'A department cannot be moved below itself or one of its teams');
+        }
+      }
+    }
+    await assertNameFree(companyId, clean, parent, current.department_id);
+    await pool.execute(
+      'UPDATE departments SET name = ?, parent_id = ? WHERE department_id = ?',
+      [clean, parent, current.department_id]
+    );
+    return (await listDepartments(companyId)).find(d => d.departmentId === current.department_id);
+  };
+
+  // Only empty departments without teams; members must be moved first
+  const deleteDepartment = async (companyId, departmentId) => {
+    const current = await getDepartment(companyId, departmentId);
+    const [children] = await pool.execute('SELECT 1 FROM departments WHERE parent_id = ? LIMIT 1', [current.department_id]);
+    if (children.length) throw orgError(409, 'Department still has teams');
+    const [members] = await pool.execute(`SELECT 1 FROM ${TABLE_NAME} WHERE department_id = ? LIMIT 1`, [current.department_id]);
+    if (members.length) throw orgError(409, 'Department still has employees');
+    await pool.execute('DELETE FROM departments WHERE department_id = ?', [current.department_id]);
+  };
+
+  // Department (and optional team inside it) by name, created when missing. Used by the import.
+  const findOrCreateUnit = async (companyId, departmentName, teamName) => {
+    const ensure = async (name, parentId) => {
+      const clean = cleanName(name);
+      const [rows] = await pool.execute(
+        'SELECT department_id FROM departments WHERE company_id = ? AND parent_id <=> ? AND LOWER(name) = LOWER(?) LIMIT 1',
+        [companyId, parentId, clean]
+      );
+      if (rows.length) return rows[0].department_id;
+      const [result] = await pool.execute(
+        'INSERT INTO departments (company_id, name, parent_id) VALUES (?, ?, ?)',
+        [companyId, clean, parentId]
+      );
+      return result.insertId;
+    };
+    const departmentId = await ensure(departmentName, null);
+    return teamName ? ensure(teamName, departmentId) : departmentId;
+  };
+
+  // Checks a department / manager assignment without writing it. managerId must be
+  // an employee of the company and may not report (directly or not) to the employee.
+  const checkAssignment = async (companyId, employeesID, { departmentId, managerId }) => {
+    if (departmentId !== undefined && departmentId !== null) await getDepartment(companyId, Number(departmentId));
+    if (managerId === undefined || managerId === null || managerId === '') return;
+    if (String(managerId) === String(employeesID)) throw orgError(400, 'An employee cannot be their own manager');
+    let current = String(managerId);
+    for (let depth = 0; current && depth < MAX_DEPTH; depth++) {
+      const [rows] = await pool.execute(
+        `SELECT employeesID, manager_id FROM ${TABLE_NAME} WHERE employeesID = ? AND company_id = ? LIMIT 1`,
+        [current, companyId]
+      );
+      if (!rows.length) {
+        if (depth === 0) throw orgError(400, `Manager ${managerId} is not an employee of this company`);
+        return;
+      }
+      if (rows[0].manager_id !== null && String(rows[0].manager_id) === String(employeesID)) {
+        throw orgError(400, `${managerId} already reports to ${employeesID}; reporting lines cannot loop`);
+      }
+      current = rows[0].manager_id;
+    }
+  };
+
+  // assignment: any of { departmentId, managerId }; null clears
+  const assignEmployee = async (companyId, employeesID, assignment) => {
+    await checkAssignment(companyId, employeesID, assignment);
+    const updates = {};
+    if (assignment.departmentId !== undefined) {
+      updates.department_id = assignment.departmentId === null ? null : Number(assignment.departmentId);
+    }
+    if (assignment.managerId !== undefined) {
+      updates.manager_id = assignment.managerId === null || assignment.managerId === '' ? null : String(assignment.managerId);
+    }
+    const columns = Object.keys(updates);
+    if (!columns.length) return;
+    await pool.execute(
+      `UPDATE ${TABLE_NAME} SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE employeesID = ? AND company_id = ?`,
+      [...columns.map(c => updates[c]), employeesID, companyId]
+    );
+  };
+
+  // employeesIDs reporting to a manager: direct (manager_id) and all (direct and indirect)
+  const reportsOf = async (companyId, managerId) => {
+    const [rows] = await pool.execute(
+      `SELECT employeesID, manager_id FROM ${TABLE_NAME} WHERE company_id = ? AND manager_id IS NOT NULL`,
+      [companyId]
+    );
+    const byManager = new Map();
+    rows.forEach(r => {
+      if (!byManager.has(r.manager_id)) byManager.set(r.manager_id, []);
+      byManager.get(r.manager_id).push(r.employeesID);
+    });
+    const direct = byManager.get(String(managerId)) || [];
+    const all = new Set();
+    const queue = [...direct];
+    while (queue.length) {
+      const id = queue.shift();
+      if (all.has(id) || id === String(managerId)) continue;
+      all.add(id);
+      queue.push(...(byManager.get(id) || []));
+    }
+    return { direct, all: [...all] };
+  };
+
+  // Slices rows (one per employee) by department, teams included in their department.
+  // departmentOf(row) is the row's department_id or null (reported as unassigned).
+  // Groups below the minimum group size are suppressed, together with whatever
+  // else would let them be worked out by subtraction (see hiddenGroups).
+  const sliceByDepartment = async (companyId, rows, departmentOf, build) => {
+    const departments = await listDepartments(companyId);
+    const scopes = scopesOf(departments);
+    const guard = await anonymity.guardFor(companyId);
+
+    const inScope = (id) => rows.filter(r => departmentOf(r) !== null && scopes.get(id).has(departmentOf(r)));
+    const unassigned = rows.filter(r => departmentOf(r) === null);
+    const sizes = new Map(departments.map(d => [d.departmentId, inScope(d.departmentId).length]));
+    const own = new Map(departments.map(d => [d.departmentId, rows.filter(r => departmentOf(r) === d.departmentId).length]));
+    sizes.set(UNASSIGNED, unassigned.length);
+    const hidden = hiddenGroups(departments, sizes, own, guard.isTooSmall);
+
+    const summarize = (key, group) => (hidden.has(key) ? guard.marker() : { suppressed: false, ...build(group) });
+    return {
+      departments: departments.map(d => ({
+        departmentId: d.departmentId,
+        name: d.name,
+        path: d.path,
+        parentId: d.parentId,
+        ...summarize(d.departmentId, inScope(d.departmentId)),
+      })),
+      unassigned: summarize(UNASSIGNED, unassigned),
+    };
+  };
+
+  // Per department: employees counted for the cycle and how many responded
+  const completionByDepartment = async (companyId, cycleId) => {
+    const rows = await cycles.getCompletion(companyId, cycleId);
+    return sliceByDepartment(companyId, rows, r => r.department_id, (members) => {
+      const filled = members.filter(r => r.is_filled).length;
+      return {
+        total: members.length,
+        filled,
+        completionRate: members.length ? Math.round((filled / members.length) * 1000) / 10 : null,
+      };
+    });
+  };
+
+  // Per department: average sentiment of the individual reports of the cycle and
+  // the most frequent attrition factors
+  const sentimentByDepartment = async (companyId, cycleId) => {
+    const reports = await aiReports.getEmployeeReports(companyId, cycleId);
+    const [members] = await pool.execute(
+      `SELECT employeesID, department_id FROM ${TABLE_NAME} WHERE company_id = ?`,
+      [companyId]
+    );
+    const departmentOf = new Map(members.map(m => [m.employeesID, m.department_id]));
+    // Anonymized reports of former employees have no department
+    const attributed = reports.filter(r => departmentOf.has(r.employeesID));
+    return sliceByDepartment(companyId, attributed, r => departmentOf.get(r.employeesID), (group) => ({
+      respondents: group.length,
+      positive: average(group.map(r => toNumber(r.positive_sentiment))),
+      neutral: average(group.map(r => toNumber(r.neutral_sentiment))),
+      negative: average(group.map(r => toNumber(r.negative_sentiment))),
+      topAttritionFactors: topFactors(group),
+    }));
+  };
+
+  return {
+    listDepartments,
+    getDepartment,
+    departmentScope,
+    createDepartment,
+    updateDepartment,
+    deleteDepartment,
+    findOrCreateUnit,
+    checkAssignment,
+    assignEmployee,
+    reportsOf,
+    completionByDepartment,
+    sentimentByDepartment,
+  };
+};
+
+module.exports.average = average;
+module.exports.topFactors = topFactors;
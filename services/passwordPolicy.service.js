@@ -0,0 +1,330 @@
+// Password policy per company (length, character classes, common passwords,
+// reuse of the last N passwords) and the one place passwords get set and checked.
+// Policy failures are thrown as a 400 with `errors: [{ code, message }]` and the
+// policy's `requirements`, so API clients and the HTML pages can list them.
+// Legacy plaintext passwords and bcrypt hashes below BCRYPT_COST are re-hashed at
+// the next successful login. After PLAINTEXT_PASSWORD_CUTOFF (a date) plaintext
+// passwords are no longer accepted and the user has to reset their password.
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+
+const MAX_HISTORY = 24;
+const MAX_LENGTH = 128;
+
+const DEFAULT_POLICY = {
+  minLength: 8,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireDigit: true,
+  requireSymbol: false,
+  blockCommon: true,
+  historyCount: 5,
+};
+
+// Compared case-insensitively, also with trailing digits/symbols stripped
+const COMMON_PASSWORDS = new Set([
+  'password', 'passw0rd', 'p@ssword', 'p@ssw0rd', 'welcome', 'welcome@123', 'letmein',
+  'qwerty', 'qwertyuiop', 'asdfgh', 'asdfghjkl', 'zxcvbnm', 'abc123', 'abcdef', 'abcd1234',
+  '123456', '1234567', '12345678', '123456789', '1234567890', '111111', '000000', '123123',
+  'iloveyou', 'admin', 'administrator', 'changeme', 'default', 'monkey', 'dragon', 'master',
+  'sunshine', 'princess', 'football', 'baseball', 'superman', 'trustno1', 'secret', 'login',
+  'test', 'test123', 'guest', 'hello', 'freedom', 'whatever', 'shadow', 'michael', 'india',
+  'forteai', 'nexus', 'company', 'employee', 'summer', 'winter', 'spring', 'autumn',
+]);
+
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const BCRYPT_COST = Math.min(Math.max(intFromEnv('BCRYPT_COST', 10), 10), 15);
+
+const plaintextCutoff = () => {
+  if (!process.env.PLAINTEXT_PASSWORD_CUTOFF) return null;
+  const date = new Date(process.env.PLAINTEXT_PASSWORD_CUTOFF);
+  if (Number.isNaN(date.getTime())) {
+    console.warn('⚠️ PLAINTEXT_PASSWORD_CUTOFF is not a valid date, ignoring it');
+    return null;
+  }
+  return date;
+};
+
+const isBcrypt = (stored) => typeof stored === 'string' && stored.startsWith('$2');
+
+// Constant-time comparison for legacy plaintext values
+const sameText = (a, b) => crypto.timingSafeEqual(
+  crypto.createHash('sha256').update(String(a)).digest(),
+  crypto.createHash('sha256').update(String(b)).digest()
+);
+
+const policyError = (status, message, extra = {}) => Object.assign(new Error(message), { status }, extra);
+
+const fromRow = (row) => ({
+  minLength: row.min_length,
+  requireUppercase: !!row.require_uppercase,
+  requireLowercase: !!row.require_lowercase,
+  requireDigit: !!row.require_digit,
+  requireSymbol: !!row.require_symbol,
+  blockCommon: !!row.block_common,
+  historyCount: row.history_count,
+});
+
+// Human-readable list of the rules, for forms and error responses
+const describePolicy = (policy) => {
+  const rules = [`At least ${policy.minLength} characters`];
+  if (policy.requireUppercase) rules.push('An uppercase letter');
+  if (policy.requireLowercase) rules.push('A lowercase letter');
+  if (policy.requireDigit) rules.push('A number');
+  if (policy.requireSymbol) rules.push('A symbol (e.g. ! @ # $)');
+  if (policy.blockCommon) rules.push('Not a common password or your employee ID, name or email');
+  if (policy.historyCount > 0) rules.push(`Different from your last ${policy.historyCount} passwords`);
+  return rules;
+};
+
+const isCommon = (password, employee) => {
+  const lower = password.toLowerCase();
+  const stem = lower.replace(/[^a-z]+$/, '');
+  if (COMMON_PASSWORDS.has(lower) || COMMON_PASSWORDS.has(stem)) return true;
+  const personal = [employee.employeesID, employee.name, String(employee.email || '').split('@')[0]]
+    .map(v => String(v || '').toLowerCase().trim())
+    .filter(v => v.length >= 3);
+  return personal.some(v => lower.includes(v));
+};
+
+// Rule checks that need no database access
+const checkRules = (policy, password, employee = {}) => {
+  const errors = [];
+  const fail = (code, message) => errors.push({ code, message });
+  if (typeof password !== 'string' || password.length === 0) {
+    fail('required', 'Password is required');
+    return errors;
+  }
+  if (password.length < policy.minLength) fail('min_length', `Password must be at least ${policy.minLength} characters long`);
+  if (password.length > MAX_LENGTH) fail('max_length', `Password must be at most ${MAX_LENGTH} characters long`);
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) fail('uppercase', 'Password must contain an uppercase letter');
+  if (policy.requireLowercase && !/[a-z]/.test(password)) fail('lowercase', 'Password must contain a lowercase letter');
+  if (policy.requireDigit && !/[0-9]/.test(password)) fail('digit', 'Password must contain a number');
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) fail('symbol', 'Password must contain a symbol');
+  if (policy.blockCommon && isCommon(password, employee)) {
+    fail('common', 'Password is too common or contains your employee ID, name or email');
+  }
+  return errors;
+};
+
+const matchesHash = async (password, stored) => {
+  if (!stored) return false;
+  if (isBcrypt(stored)) return bcrypt.compare(password, stored);
+  return sameText(password, stored); // legacy plaintext
+};
+
+module.exports = (pool, TABLE_NAME) => {
+  const PLAINTEXT_CUTOFF = plaintextCutoff();
+  const plaintextRefused = () => !!PLAINTEXT_CUTOFF && Date.now() >= PLAINTEXT_CUTOFF.getTime();
+  const getPolicy = async (companyId) => {
+    if (!companyId) return { ...DEFAULT_POLICY };
+    const [rows] = await pool.execute('SELECT * FROM company_password_policies WHERE company_id = ? LIMIT 1', [companyId]);
+    return rows.length ? fromRow(rows[0]) : { ...DEFAULT_POLICY };
+  };
+
+  const updatePolicy = async (companyId, body, updatedBy) => {
+    const policy = { ...(await getPolicy(companyId)) };
+    const errors = [];
+    const intField = (key, min, max) => {
+      if (body[key] === undefined) return;
+      const value = Number(body[key]);
+      if (!Number.isInteger(value) || value < min || value > max) {
+        errors.push({ field: key, message: `${key} must be a whole number between ${min} and ${max}` });
+      } else {
+        policy[key] = value;
+      }
+    };
+    intField('minLength', 6, MAX_LENGTH);
+    intField('historyCount', 0, MAX_HISTORY);
+    ['requireUppercase', 'requireLowercase', 'requireDigit', 'requireSymbol', 'blockCommon'].forEach(key => {
+      if (body[key] === undefined) return;
+      if (typeof body[key] !== 'boolean') errors.push({ field: key, message: `${key} must be true or false` });
+      else policy[key] = body[key];
+    });
+    if (errors.length) throw policyError(400, 'Invalid password policy', { errors });
+
+    await pool.execute(
+      `INSERT INTO company_password_policies
+         (company_id, min_length, require_uppercase, require_lowercase, require_digit, require_symbol, block_common, history_count, updated_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE min_length = VALUES(min_length), require_uppercase = VALUES(require_uppercase),
+         require_lowercase = VALUES(require_lowercase), require_digit = VALUES(require_digit),
+         require_symbol = VALUES(require_symbol), block_common = VALUES(block_common),
+         history_count = VALUES(history_count), updated_by = VALUES(updated_by)`,
+      [
+        companyId, policy.minLength, policy.requireUppercase ? 1 : 0, policy.requireLowercase ? 1 : 0,
+        policy.requireDigit ? 1 : 0, policy.requireSymbol ? 1 : 0, policy.blockCommon ? 1 : 0,
+        policy.historyCount, updatedBy || null,
+      ]
+    );
+    return policy;
+  };
+
+  const getEmployee = async (employeesID) => {
+    const [rows] = await pool.execute(
+      `SELECT employeesID, name, email, company_id, password FROM ${TABLE_NAME} WHERE employeesID = ? LIMIT 1`,
+      [employeesID]
+    );
+    if (!rows.length) throw policyError(404, 'Employee not found');
+    return rows[0];
+  };
+
+  // Policy check for an employee's new password; resolves to [] when it is acceptable
+  const validate = async (employee, password, policy) => {
+    policy = policy || await getPolicy(employee.company_id);
+    const errors = checkRules(policy, password, employee);
+    if (errors.length || policy.historyCount <= 0) return errors;
+
+    // The current password counts as one of the last N
+    const previous = [employee.password];
+    if (policy.historyCount > 1) {
+      const [rows] = await pool.execute(
+        `SELECT password_hash FROM password_history WHERE employeesID = ?
+         ORDER BY history_id DESC LIMIT ${Number(policy.historyCount) - 1}`,
+        [employee.employeesID]
+      );
+      rows.forEach(r => previous.push(r.password_hash));
+    }
+    for (const stored of previous) {
+      if (await matchesHash(password, stored)) {
+        errors.push({ code: 'reused', message: `Password must be different from your last ${policy.historyCount} passwords` });
+        break;
+      }
+    }
+    return errors;
+  };
+
+  const assertValid = async (employee, password) => {
+    const policy = await getPolicy(employee.company_id);
+    const errors = await validate(employee, password, policy);
+    if (errors.length) {
+      throw policyError(400, errors[0].message, { errors, requirements: describePolicy(policy) });
+    }
+  };
+
+  const hashPassword = (password) => bcrypt.hash(password, BCRYPT_COST);
+
+  // Replace a stored plaintext / low-cost value with a current hash. Only applies
+  // if the stored value is unchanged, so a concurrent password change wins.
+  const upgradeHash = async (employeesID, stored, password) => {
+    try {
+      const hashed = await hashPassword(password);
+      const [result] = await pool.execute(
+        `UPDATE ${TABLE_NAME} SET password = ? WHERE employeesID = ? AND password = ?`,
+        [hashed, employeesID, stored]
+      );
+      if (result.affectedRows) {
+        console.log(`🔐 Password of ${employeesID} re-hashed (${isBcrypt(stored) ? 'low-cost bcrypt' : 'plaintext'} -> bcrypt cost ${BCRYPT_COST})`);
+      }
+    } catch (err) {
+      console.error(`Error re-hashing password of ${employeesID}:`, err.message);
+    }
+  };
+
+  // Check a password against the employee's stored one (employee needs employeesID
+  // and password). Resolves to { ok, resetRequired }; resetRequired means the
+  // plaintext password matched but plaintext is no longer accepted.
+  const verifyPassword = async (employee, password) => {
+    const stored = employee.password;
+    if (!stored || typeof password !== 'string' || password === '') return { ok: false, resetRequired: false };
+    if (isBcrypt(stored)) {
+      const ok = await bcrypt.compare(password, stored);
+      if (ok && bcrypt.getRounds(stored) < BCRYPT_COST) await upgradeHash(employee.employeesID, stored, password);
+      return { ok, resetRequired: false };
+    }
+    if (!sameText(password, stored)) return { ok: false, resetRequired: false };
+    if (plaintextRefused()) return { ok: false, resetRequired: true };
+    await upgradeHash(employee.employeesID, stored, password);
+    return { ok: true, resetRequired: false };
+  };
+
+  // Stand-in for verifyPassword when the account does not exist: runs a bcrypt
+  // compare of the same cost so the response time does not reveal the difference
+  let dummyHash = null;
+  const verifyMissingAccount = async (password) => {
+    if (!dummyHash) dummyHash = hashPassword(crypto.randomBytes(32).toString('base64url'));
+    await bcrypt.compare(typeof password === 'string' ? password : '', await dummyHash);
+    return { ok: false, resetRequired: false };
+  };
+
+  // Accounts whose stored password is plaintext or a bcrypt hash below BCRYPT_COST
+  const weakPasswordReport = async ({ companyId } = {}) => {
+    const params = [BCRYPT_COST];
+    let where = '';
+    if (companyId) {
+      where = 'AND e.company_id = ?';
+      params.push(companyId);
+    }
+    const [rows] = await pool.execute(
+      `SELECT e.employeesID, e.name, e.email, e.role, e.company_id, c.company_name, e.is_loggedin,
+              CASE WHEN e.password LIKE '$2%' THEN 'low_cost' ELSE 'plaintext' END AS storage,
+              CASE WHEN e.password LIKE '$2%' THEN CAST(SUBSTRING(e.password, 5, 2) AS UNSIGNED) ELSE NULL END AS cost
+       FROM ${TABLE_NAME} e
+       LEFT JOIN companies c ON c.company_id = e.company_id
+       WHERE e.password IS NOT NULL AND e.password != ''
+         AND (e.password NOT LIKE '$2%' OR CAST(SUBSTRING(e.password, 5, 2) AS UNSIGNED) < ?)
+         ${where}
+       ORDER BY storage DESC, c.company_name, e.employeesID`,
+      params
+    );
+    return {
+      bcryptCost: BCRYPT_COST,
+      plaintextCutoff: PLAINTEXT_CUTOFF,
+      plaintextRefused: plaintextRefused(),
+      summary: {
+        plaintext: rows.filter(r => r.storage === 'plaintext').length,
+        lowCost: rows.filter(r => r.storage === 'low_cost').length,
+      },
+      accounts: rows.map(r => ({ ...r, is_loggedin: !!r.is_loggedin, cost: r.cost === null ? null : Number(r.cost) })),
+    };
+  };
+
+  // Validate, hash and store a new password; the replaced one goes into the history.
+  // markLoggedIn also sets is_loggedin (first password of invited / imported users).
+  const setPassword = async (employeesID, password, { markLoggedIn = false } = {}) => {
+    const employee = await getEmployee(employeesID);
+    await assertValid(employee, password);
+    const hashed = await hashPassword(password);
+    await pool.execute(
+      `UPDATE ${TABLE_NAME} SET password = ?${markLoggedIn ? ', is_loggedin = TRUE' : ''} WHERE employeesID = ?`,
+      [hashed, employeesID]
+    );
+    if (isBcrypt(employee.password)) {
+      await pool.execute('INSERT INTO password_history (employeesID, password_hash) VALUES (?, ?)', [employeesID, employee.password]);
+      await pool.execute(
+        `DELETE FROM password_history WHERE employeesID = ? AND history_id NOT IN (
+           SELECT history_id FROM (
+             SELECT history_id FROM password_history WHERE employeesID = ? ORDER BY history_id DESC LIMIT ${MAX_HISTORY}
+           ) keep
+         )`,
+        [employeesID, employeesID]
+      );
+    }
+  };
+
+  // Hash for accounts created without a password (imports, invited users): nobody
+  // knows it, so the first password is always chosen through the invitation link
+  const unusablePasswordHash = () => hashPassword(crypto.randomBytes(32).toString('base64url'));
+
+  return {
+    getPolicy,
+    updatePolicy,
+    validate,
+    assertValid,
+    setPassword,
+    hashPassword,
+    verifyPassword,
+    verifyMissingAccount,
+    weakPasswordReport,
+    unusablePasswordHash,
+    describePolicy,
+  };
+};
+
+module.exports.DEFAULT_POLICY = DEFAULT_POLICY;
+module.exports.checkRules = checkRules;
+module.exports.describePolicy = describePolicy;
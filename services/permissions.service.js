@@ -0,0 +1,248 @@
+// Permission registry: named permissions, the built-in roles that grant them and
+// custom roles per company (company_roles).
+// An employee's permissions come from employees.role: a built-in role name, or a
+// custom role of their company (which always includes the Employee permissions).
+// Unknown role names get the Employee permissions. Custom role lookups are cached
+// briefly per process (PERMISSION_CACHE_MS).
+
+const roleError = (status, message) => Object.assign(new Error(message), { status });
+
+const PERMISSIONS = {
+  'survey.respond': 'Fill in sentiment surveys and see own survey status',
+  'feedback.submit': 'Submit product feedback',
+  'hr.access': 'Use the HR portal',
+  'employees.read': "List the company's employees and their survey completion",
+  'employees.status.read': "See any employee's survey status",
+  'employees.create': 'Add single employees',
+  'employees.import': 'Import employees from CSV / XLSX',
+  'employees.update': "Change employees' name, email, role, department and manager",
+  'employees.deactivate': 'Deactivate and reactivate employees',
+  'employees.delete': 'Permanently delete employees and their survey data',
+  'employees.offboard': 'Record leave dates of departing employees',
+  'employees.invite': 'Send invitation emails',
+  'employees.sessions': "End employees' sessions and unlock locked accounts",
+  'responses.reset': "Delete an employee's survey responses so they can retake it",
+  'org.manage': 'Create, rename and delete departments and teams',
+  'team.read': "See survey completion and aggregated sentiment of one's own reports",
+  'reports.read.individual': "Read individual employees' sentiment reports",
+  'reports.read.company': 'Read company reports, report status and trends',
+  'reports.generate': 'Run and re-run AI analysis',
+  'cycles.manage': 'Open, schedule and close survey cycles',
+  'company.settings': 'Change company settings such as the password policy',
+  'roles.manage': 'Create, change and delete custom roles',
+  'apikeys.manage': 'Create and revoke API keys for integrations',
+  'admin.access': 'Use the admin portal (all companies)',
+  'company.manage': 'Create companies, add HR users and configure SSO / MFA',
+  'company.reset': "Delete a company's responses and reports",
+};
+
+// Never part of a custom role
+const ADMIN_ONLY = ['admin.access', 'company.manage', 'company.reset'];
+
+const EMPLOYEE_PERMISSIONS = ['survey.respond'];
+
+const BUILT_IN_ROLES = {
+  Employee: EMPLOYEE_PERMISSIONS,
+  Manager: [...EMPLOYEE_PERMISSIONS, 'feedback.submit', 'team.read'],
+  HR: Object.keys(PERMISSIONS).filter(name => !ADMIN_ONLY.includes(name)),
+  Admin: Object.keys(PERMISSIONS),
+};
+
+const isBuiltInRole = (name) => Object.keys(BUILT_IN_ROLES).some(r => r.toLowerCase() === String(name || '').trim().toLowerCase());
+
+const parsePermissions = (value) => {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+const fromRow = (row) => ({
+  roleId: row.role_id,
+  companyId: row.company_id,
+  name: row.role_name,
+  description: row.description,
+  permissions: parsePermissions(row.permissions),
+  createdBy: row.created_by,
+  updatedAt: row.updated_at,
+});
+
+module.exports = (pool, TABLE_NAME) => {
+  const cacheMs = Number(process.env.PERMISSION_CACHE_MS) || 30000;
+  const cache = new Map();
+
+  // Set of permission names for an authenticated employee (token payload)
+  const resolvePermissions = async (employee) => {
+    if (!employee) return new Set();
+    // API keys carry their own (already restricted) permissions
+    if (employee.apiKeyId) return new Set((employee.permissions || []).filter(name => PERMISSIONS[name] && !ADMIN_ONLY.includes(name)));
+    if (BUILT_IN_ROLES[employee.role]) return new Set(BUILT_IN_ROLES[employee.role]);
+
+    const hit = cache.get(employee.employeesID);
+    if (hit && hit.expires > Date.now()) return hit.value;
+    const [rows] = await pool.execute(
+      `SELECT r.permissions FROM ${TABLE_NAME} e
+       JOIN company_roles r ON r.company_id = e.company_id AND r.role_name = e.role
+       WHERE e.employeesID = ? LIMIT 1`,
+      [employee.employeesID]
+    );
+    const granted = rows.length ? parsePermissions(rows[0].permissions) : [];
+    const value = new Set([...EMPLOYEE_PERMISSIONS, ...granted.filter(name => PERMISSIONS[name] && !ADMIN_ONLY.includes(name))]);
+    cache.set(employee.employeesID, { value, expires: Date.now() + cacheMs });
+    if (cache.size > 10000) cache.clear();
+    return value;
+  };
+
+  const listRoles = async (companyId) => {
+    const [rows] = await pool.execute(
+      'SELECT * FROM company_roles WHERE company_id = ? ORDER BY role_name',
+      [companyId]
+    );
+    return {
+      builtIn: Object.entries(BUILT_IN_ROLES).map(([name, permissions]) => ({ name, permissions })),
+      custom: rows.map(fromRow),
+    };
+  };
+
+  // actorPermissions: a custom role can only grant what its creator has
+  const validateRole = ({ name, description, permissions }, actorPermissions, { partial = false } = {}) => {
+    if (!partial || name !== undefined) {
+      const trimmed = String(name || '').trim();
+      if (!trimmed || trimmed.length > 50) throw roleError(400, 'Role name is required (max 50 characters)');
+      if (isBuiltInRole(trimmed)) throw roleError(400, `"${trimmed}" is a built-in role`);
+    }
+    if (description !== undefined && description !== null && String(description).length > 255) {
+      throw roleError(400, 'Description must be at most 255 characters');
+    }
+    if (!partial || permissions !== undefined) {
+      if (!Array.isArray(permissions)) throw roleError(400, 'permissions must be an array of permission names');
+      const unknown = permissions.filter(p => !PERMISSIONS[p]);
+      if (unknown.length) throw roleError(400, `Unknown permission(s): ${unknown.join(', ')}`);
+      const adminOnly = permissions.filter(p => ADMIN_ONLY.includes(p));
+      if (adminOnly.length) throw roleError(400, `Permission(s) only available to admins: ${adminOnly.join(', ')}`);
+      if (actorPermissions) {
+        const notHeld = permissions.filter(p => !actorPermissions.has(p));
+        if (notHeld.length) throw roleError(403, `You cannot grant permission(s) you do not have: ${notHeld.join(', ')}`);
+      }
+    }
+  };
+
+  const getRole = async (companyId, roleId) => {
+    const [rows] = await pool.execute(
+      'SELECT * FROM company_roles WHERE company_id = ? AND role_id = ? LIMIT 1',
+      [companyId, roleId]
+    );
+    if (!rows.length) throw roleError(404, 'Role not found');
+    return fromRow(rows[0]);
+  };
+
+  const createRole = async (companyId, body, { actorId, actorPermissions } = {}) => {
+    validateRole(body, actorPermissions);
+    try {
+      const [result] = await pool.execute(
+        `INSERT INTO company_roles (company_id, role_name, description, permissions, created_by)
+         VALUES (?, ?, ?, ?, ?)`,
+        [companyId, String(body.name).trim(), body.description || null, JSON.stringify([...new Set(body.permissions)]), actorId || null]
+      );
+      cache.clear();
+      return getRole(companyId, result.insertId);
+    } catch (err) {
+      if (err.code === 'ER_DUP_ENTRY') throw roleError(409, `Role "${String(body.name).trim()}" already exists`);
+      throw err;
+    }
+  };
+
+  const countMembers = async (companyId, roleName) => {
+    const [rows] = await pool.execute(
+      `SELECT COUNT(*) AS cnt FROM ${TABLE_NAME} WHERE company_id = ? AND role = ?`,
+      [companyId, roleName]
+    );
+    return Number(rows[0].cnt);
+  };
+
+  // Renaming a role moves its members along
+  const updateRole = async (companyId, roleId, body, { actorPermissions } = {}) => {
+    const role = await getRole(companyId, roleId);
+    validateRole(body, actorPermissions, { partial: true });
+    if (actorPermissions && role.permissions.some(p => !actorPermissions.has(p))) {
+      throw roleError(403, 'You cannot change a role that has permissions you do not have');
+    }
+    const name = body.name !== undefined ? String(body.name).trim() : role.name;
+    const description = body.description !== undefined ? body.description || null : role.description;
+    const permissions = body.permissions !== undefined ? [...new Set(body.permissions)] : role.permissions;
+
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      await connection.execute(
+        'UPDATE company_roles SET role_name = ?, description = ?, permissions = ? WHERE role_id = ?',
+        [name, description, JSON.stringify(permissions), roleId]
+      );
+      if (name !== role.name) {
+        await connection.execute(
+          `UPDATE ${TABLE_NAME} SET role = ? WHERE company_id = ? AND role = ?`,
+          [name, companyId, role.name]
+        );
+      }
+      await connection.commit();
+    } catch (err) {
+      await connection.rollback();
+      if (err.code === 'ER_DUP_ENTRY') throw roleError(409, `Role "${name}" already exists`);
+      throw err;
+    } finally {
+      connection.release();
+    }
+    cache.clear();
+    return getRole(companyId, roleId);
+  };
+
+  const deleteRole = async (companyId, roleId, { actorPermissions } = {}) => {
+    const role = await getRole(companyId, roleId);
+    if (actorPermissions && role.permissions.some(p => !actorPermissions.has(p))) {
+      throw roleError(403, 'You cannot delete a role that has permissions you do not have');
+    }
+    const members = await countMembers(companyId, role.name);
+    if (members > 0) throw roleError(409, `Role "${role.name}" is assigned to ${members} employee(s)`);
+    await pool.execute('DELETE FROM company_roles WHERE role_id = ?', [roleId]);
+    cache.clear();
+  };
+
+  // Whether a role name can be assigned to employees of a company
+  const roleExists = async (companyId, name) => {
+    if (isBuiltInRole(name)) return true;
+    const [rows] = await pool.execute(
+      'SELECT 1 FROM company_roles WHERE company_id = ? AND role_name = ? LIMIT 1',
+      [companyId, String(name || '').trim()]
+    );
+    return rows.length > 0;
+  };
+
+  // Permissions a role grants in a company; null when there is no such role
+  const getRolePermissions = async (companyId, name) => {
+    const builtIn = Object.keys(BUILT_IN_ROLES).find(r => r.toLowerCase() === String(name || '').trim().toLowerCase());
+    if (builtIn) return BUILT_IN_ROLES[builtIn];
+    const [rows] = await pool.execute(
+      'SELECT permissions FROM company_roles WHERE company_id = ? AND role_name = ? LIMIT 1',
+      [companyId, String(name || '').trim()]
+    );
+    return rows.length ? parsePermissions(rows[0].permissions) : null;
+  };
+
+  return {
+    resolvePermissions,
+    listRoles,
+    createRole,
+    updateRole,
+    deleteRole,
+    roleExists,
+    getRolePermissions,
+  };
+};
+
+module.exports.PERMISSIONS = PERMISSIONS;
+module.exports.BUILT_IN_ROLES = BUILT_IN_ROLES;
+module.exports.ADMIN_ONLY = ADMIN_ONLY;
+module.exports.EMPLOYEE_PERMISSIONS = EMPLOYEE_PERMISSIONS;
@@ -0,0 +1,123 @@
+// Retry with exponential backoff + jitter, behind a circuit breaker.
+// Used for calls to the AI service: transient failures are retried, and after
+// `failureThreshold` consecutive failed calls the circuit opens and calls fail
+// fast until `resetTimeoutMs` has passed. The next call is then let through as
+// a trial (half-open): success closes the circuit, failure opens it again.
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Errors raised before the request reached the service
+const CONNECT_ERRORS = ['ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND'];
+
+// Network errors, timeouts, 429 and 5xx are worth retrying; other 4xx are not.
+// A call that is not idempotent may already have been applied when it timed out
+// or the connection dropped, so it is only retried when it never got through
+// (connect errors) or was turned away (429, 503).
+const isRetryable = (err, { idempotent = true } = {}) => {
+  if (!err) return false;
+  if (err.response) {
+    const status = err.response.status;
+    if (!idempotent) return status === 429 || status === 503;
+    return status === 429 || status >= 500;
+  }
+  if (!idempotent) return CONNECT_ERRORS.includes(err.code);
+  return [...CONNECT_ERRORS, 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE']
+    .includes(err.code) || /timeout/i.test(err.message || '');
+};
+
+const createCircuitBreaker = (name, options = {}) => {
+  const retries = options.retries ?? 2;
+  const baseDelayMs = options.baseDelayMs ?? 1000;
+  const maxDelayMs = options.maxDelayMs ?? 15000;
+  const failureThreshold = options.failureThreshold ?? 5;
+  const resetTimeoutMs = options.resetTimeoutMs ?? 60000;
+
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let lastError = null;
+  let lastFailureAt = null;
+  let lastSuccessAt = null;
+  let trialInFlight = false;
+
+  // Full jitter: random delay between 0 and the exponential cap
+  const backoffDelay = (attempt) => Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+
+  const onSuccess = () => {
+    if (state !== 'closed') console.log(`✅ Circuit "${name}" closed`);
+    state = 'closed';
+    consecutiveFailures = 0;
+    openedAt = null;
+    lastSuccessAt = new Date();
+  };
+
+  const onFailure = (err) => {
+    consecutiveFailures++;
+    lastError = err.message;
+    lastFailureAt = new Date();
+    if (state === 'half-open' || consecutiveFailures >= failureThreshold) {
+      if (state !== 'open') console.warn(`⚠️ Circuit "${name}" opened after ${consecutiveFailures} failure(s): ${err.message}`);
+      state = 'open';
+      openedAt = Date.now();
+    }
+  };
+
+  // Run fn() with retries. Errors that are not retryable are passed straight through
+  // and only count against the circuit when they are service failures (a timeout
+  // or 5xx on a call that is not retried). Pass { idempotent: false } for calls
+  // with side effects on the other end.
+  const execute = async (fn, { idempotent = true } = {}) => {
+    if (state === 'open' && Date.now() - openedAt >= resetTimeoutMs) state = 'half-open';
+    if (state === 'open' || (state === 'half-open' && trialInFlight)) {
+      const err = new Error(`AI service unavailable (circuit "${name}" open, last error: ${lastError})`);
+      err.code = 'ECIRCUITOPEN';
+      throw err;
+    }
+
+    // A half-open circuit gets a single trial call, no retries
+    const isTrial = state === 'half-open';
+    const attempts = isTrial ? 1 : retries + 1;
+    if (isTrial) trialInFlight = true;
+    try {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const result = await fn();
+          onSuccess();
+          return result;
+        } catch (err) {
+          if (!isRetryable(err, { idempotent })) {
+            if (isRetryable(err)) onFailure(err);
+            // The service answered (e.g. a 400), so it is up
+            else if (err.response) onSuccess();
+            throw err;
+          }
+          if (attempt + 1 >= attempts) {
+            onFailure(err);
+            throw err;
+          }
+          const delay = backoffDelay(attempt);
+          console.warn(`🔁 ${name} call failed (${err.code || err.message}), retry ${attempt + 1}/${attempts - 1} in ${delay}ms`);
+          await sleep(delay);
+        }
+      }
+    } finally {
+      if (isTrial) trialInFlight = false;
+    }
+  };
+
+  const getState = () => ({
+    name,
+    state: state === 'open' && Date.now() - openedAt >= resetTimeoutMs ? 'half-open' : state,
+    consecutiveFailures,
+    failureThreshold,
+    lastError,
+    lastFailureAt,
+    lastSuccessAt,
+    openedAt: openedAt ? new Date(openedAt) : null,
+    retryAt: state === 'open' ? new Date(openedAt + resetTimeoutMs) : null,
+  });
+
+  return { execute, getState };
+};
+
+module.exports = { createCircuitBreaker, isRetryable };
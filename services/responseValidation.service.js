@@ -0,0 +1,126 @@
+// Validation of survey submissions against the form's question metadata
+// (FormQuestions_Sentiment + MasterQuestions_Sentiment).
+// Every problem is reported per question so the UI can highlight it; nothing is
+// written unless the whole submission is valid.
+const { parseOptions } = require('./forms.service');
+
+const MAX_TEXT_LENGTH = 5000;
+
+const isBlank = (v) => v === undefined || v === null || String(v).trim() === '';
+
+// Check answers against the form's questions. With { partial: true } missing
+// required answers are allowed (used for drafts).
+// Returns { errors, answers } where answers are the non-blank ones normalised to
+// { form_question_id, answer_text, answer_choice }.
+const validateAnswers = (questions, answers, { partial = false } = {}) => {
+  const errors = [];
+  const normalised = [];
+  const byId = new Map(questions.map(q => [Number(q.form_question_id), q]));
+  const seen = new Set();
+
+  const fail = (index, question, code, message) => errors.push({
+    index,
+    form_question_id: question ? question.form_question_id : null,
+    question_number: question ? question.question_number : null,
+    code,
+    message,
+  });
+
+  if (!Array.isArray(answers)) {
+    fail(null, null, 'invalid_payload', 'answers must be an array');
+    return { errors, answers: normalised };
+  }
+
+  answers.forEach((a, index) => {
+    if (!a || typeof a !== 'object') {
+      fail(index, null, 'invalid_answer', 'Answer must be an object');
+      return;
+    }
+    const question = byId.get(Number(a.form_question_id));
+    if (!question) {
+      fail(index, null, 'unknown_question', `form_question_id ${a.form_question_id} does not belong to this form`);
+      return;
+    }
+    const id = Number(question.form_question_id);
+    if (seen.has(id)) {
+      fail(index, question, 'duplicate_answer', 'Question answered more than once');
+      return;
+    }
+    seen.add(id);
+
+    if (question.question_type === 'text') {
+      if (!isBlank(a.answer_choice)) {
+        fail(index, question, 'unexpected_choice', 'Text questions do not take answer_choice');
+        return;
+      }
+      if (!isBlank(a.answer_text) && typeof a.answer_text !== 'string') {
+        fail(index, question, 'invalid_text', 'answer_text must be a string');
+        return;
+      }
+      if (!isBlank(a.answer_text) && a.answer_text.length > MAX_TEXT_LENGTH) {
+        fail(index, question, 'text_too_long', `answer_text must be at most ${MAX_TEXT_LENGTH} characters`);
+        return;
+      }
+      if (!isBlank(a.answer_text)) normalised.push({ form_question_id: id, answer_text: a.answer_text.trim(), answer_choice: null });
+      return;
+    }
+
+    // Choice questions: the answer must be one of the option values
+    let options;
+    try {
+      options = parseOptions(question.options_questions) || [];
+    } catch (e) {
+      fail(index, question, 'question_misconfigured', 'Question has invalid options configured');
+      return;
+    }
+    const value = isBlank(a.answer_choice) ? a.answer_text : a.answer_choice;
+    if (isBlank(value)) return;
+    const option = options.find(o => String(o.value) === String(value).trim());
+    if (!option) {
+      fail(index, question, 'invalid_choice', `"${value}" is not one of the allowed options`);
+      return;
+    }
+    normalised.push({ form_question_id: id, answer_text: null, answer_choice: String(option.value) });
+  });
+
+  if (!partial) {
+    const answered = new Set(normalised.map(a => a.form_question_id));
+    questions.forEach(q => {
+      if (Number(q.is_required) !== 0 && !answered.has(Number(q.form_question_id))) {
+        fail(null, q, 'required', 'This question is required');
+      }
+    });
+  }
+
+  return { errors, answers: normalised };
+};
+
+module.exports = (pool) => {
+  const getFormQuestions = async (formId) => {
+    const [rows] = await pool.execute(
+      `SELECT fq.form_question_id, mq.question_number, mq.question_type, mq.options_questions, mq.is_required
+       FROM FormQuestions_Sentiment fq
+       JOIN MasterQuestions_Sentiment mq ON fq.master_question_id = mq.master_question_id
+       WHERE fq.form_id = ?
+       ORDER BY mq.question_number`,
+      [formId]
+    );
+    return rows;
+  };
+
+  // Validate a submission for a form; see validateAnswers for the result shape
+  const validateSubmission = async (formId, answers, options) => {
+    const questions = await getFormQuestions(formId);
+    if (!questions.length) {
+      return {
+        errors: [{ index: null, form_question_id: null, question_number: null, code: 'unknown_form', message: `Form ${formId} has no questions` }],
+        answers: [],
+      };
+    }
+    return validateAnswers(questions, answers, options);
+  };
+
+  return { getFormQuestions, validateSubmission };
+};
+
+module.exports.validateAnswers = validateAnswers;
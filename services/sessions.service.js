@@ -0,0 +1,213 @@
+// Login sessions: short-lived access tokens (JWT) plus rotating refresh tokens
+// stored in auth_sessions.
+// Access tokens carry the session id (sid). The auth middlewares reject them once
+// the session is revoked or expired. Tokens without a sid (issued before sessions
+// existed) are rejected once the employee has an auth_revocations entry no older
+// than the token. Both are in whole seconds, so a token issued in the second of
+// the revocation is rejected too.
+// Revocation results are cached briefly per process (SESSION_CHECK_CACHE_MS), so
+// another server instance may accept a revoked token for that long.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const sessionError = (status, message) => Object.assign(new Error(message), { status });
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+module.exports = (pool, TABLE_NAME) => {
+  const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+  const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+  const REFRESH_TOKEN_DAYS = intFromEnv('REFRESH_TOKEN_DAYS', 30);
+  const CHECK_CACHE_MS = intFromEnv('SESSION_CHECK_CACHE_MS', 10000);
+
+  const checkCache = new Map();
+  // employeesID -> session ids with a cached check, so revoking one employee's
+  // sessions only drops their entries
+  const cachedSids = new Map();
+
+  const cached = async (key, load) => {
+    const hit = checkCache.get(key);
+    if (hit && hit.expires > Date.now()) return hit.value;
+    const value = await load();
+    checkCache.set(key, { value, expires: Date.now() + CHECK_CACHE_MS });
+    if (checkCache.size > 10000) {
+      checkCache.clear();
+      cachedSids.clear();
+    }
+    return value;
+  };
+
+  const signAccessToken = (employee, sessionId) => jwt.sign(
+    { employeesID: employee.employeesID, role: employee.role, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+  const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+  const tokenPair = (employee, sessionId, secret, expiresAt) => {
+    const accessToken = signAccessToken(employee, sessionId);
+    return {
+      accessToken,
+      refreshToken: `${sessionId}.${secret}`,
+      expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+      refreshExpiresAt: expiresAt,
+    };
+  };
+
+  // Start a session after a successful login
+  const createSession = async (employee, { userAgent, ip } = {}) => {
+    if (employee.deactivated_at) throw sessionError(403, 'This account has been deactivated');
+    const sessionId = crypto.randomBytes(16).toString('hex');
+    const secret = newSecret();
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+    await pool.execute(
+      `INSERT INTO auth_sessions (session_id, employeesID, refresh_hash, user_agent, ip_address, expires_at, last_used_at)
+       VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+      [sessionId, employee.employeesID, sha256(secret), userAgent ? String(userAgent).slice(0, 255) : null, ip || null, expiresAt]
+    );
+    return tokenPair(employee, sessionId, secret, expiresAt);
+  };
+
+  const parseRefreshToken = (refreshToken) => {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret || !/^[0-9a-f]{32}$/.test(sessionId)) return null;
+    return { sessionId, secret };
+  };
+
+  const revokeSession = async (sessionId, reason = 'logout') => {
+    const [result] = await pool.execute(
+      'UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE session_id = ? AND revoked_at IS NULL',
+      [reason, sessionId]
+    );
+    checkCache.delete(`sid:${sessionId}`);
+    return result.affectedRows > 0;
+  };
+
+  // Logout with a refresh token: only revokes the session when the token's
+  // secret matches, so a session id alone is not enough
+  const revokeByRefreshToken = async (refreshToken, reason = 'logout') => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return false;
+    const [result] = await pool.execute(
+      `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = ?
+       WHERE session_id = ? AND refresh_hash = ? AND revoked_at IS NULL`,
+      [reason, parsed.sessionId, sha256(parsed.secret)]
+    );
+    checkCache.delete(`sid:${parsed.sessionId}`);
+    return result.affectedRows > 0;
+  };
+
+  // Exchange a refresh token for a new access token and refresh token
+  const refresh = async (refreshToken) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) throw sessionError(401, 'Invalid refresh token');
+
+    const [rows] = await pool.execute(
+      `SELECT s.*, e.role, e.deactivated_at FROM auth_sessions s
+       JOIN ${TABLE_NAME} e ON e.employeesID = s.employeesID
+       WHERE s.session_id = ? LIMIT 1`,
+      [parsed.sessionId]
+    );
+    const session = rows[0];
+    if (!session || session.revoked_at || session.deactivated_at || new Date(session.expires_at) <= new Date()) {
+      throw sessionError(401, 'Session expired or revoked');
+    }
+
+    const hash = sha256(parsed.secret);
+    if (session.previous_refresh_hash && hash === session.previous_refresh_hash) {
+      // An already rotated token was presented again: assume it was stolen
+      await revokeSession(session.session_id, 'refresh token reuse');
+      console.warn(`⚠️ Refresh token reuse detected for ${session.employeesID}, session revoked`);
+      throw sessionError(401, 'Session expired or revoked');
+    }
+    if (hash !== session.refresh_hash) throw sessionError(401, 'Invalid refresh token');
+
+    const secret = newSecret();
+    // Conditional update so two concurrent refreshes cannot both rotate
+    const [result] = await pool.execute(
+      `UPDATE auth_sessions SET previous_refresh_hash = refresh_hash, refresh_hash = ?, last_used_at = NOW()
+       WHERE session_id = ? AND refresh_hash = ? AND revoked_at IS NULL`,
+      [sha256(secret), session.session_id, hash]
+    );
+    if (!result.affectedRows) throw sessionError(401, 'Invalid refresh token');
+
+    return {
+      ...tokenPair({ employeesID: session.employeesID, role: session.role }, session.session_id, secret, session.expires_at),
+      employeesID: session.employeesID,
+    };
+  };
+
+  // Revoke every session of an employee, e.g. when they leave or their account
+  // is compromised. exceptSessionId keeps the caller's own session alive.
+  const revokeAllForEmployee = async (employeesID, { reason = 'revoked', exceptSessionId = null } = {}) => {
+    const [result] = await pool.execute(
+      `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = ?
+       WHERE employeesID = ? AND revoked_at IS NULL AND session_id != ?`,
+      [reason, employeesID, exceptSessionId || '']
+    );
+    await pool.execute(
+      `INSERT INTO auth_revocations (employeesID, revoked_before, reason) VALUES (?, NOW(), ?)
+       ON DUPLICATE KEY UPDATE revoked_before = NOW(), reason = VALUES(reason)`,
+      [employeesID, reason]
+    );
+    for (const sid of cachedSids.get(employeesID) || []) checkCache.delete(`sid:${sid}`);
+    cachedSids.delete(employeesID);
+    checkCache.delete(`emp:${employeesID}`);
+    return result.affectedRows;
+  };
+
+  // Active sessions of an employee (no secrets)
+  const listSessions = async (employeesID) => {
+    const [rows] = await pool.execute(
+      `SELECT session_id, user_agent, ip_address, created_at, last_used_at, expires_at
+       FROM auth_sessions WHERE employeesID = ? AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_used_at DESC`,
+      [employeesID]
+    );
+    return rows;
+  };
+
+  // Revocation check used by the auth middlewares; resolves true when the
+  // token must be rejected
+  const isRevoked = async (payload) => {
+    if (payload.sid) {
+      if (payload.employeesID) {
+        if (!cachedSids.has(payload.employeesID)) cachedSids.set(payload.employeesID, new Set());
+        cachedSids.get(payload.employeesID).add(payload.sid);
+      }
+      return cached(`sid:${payload.sid}`, async () => {
+        const [rows] = await pool.execute(
+          'SELECT 1 FROM auth_sessions WHERE session_id = ? AND revoked_at IS NULL AND expires_at > NOW() LIMIT 1',
+          [payload.sid]
+        );
+        return rows.length === 0;
+      });
+    }
+    if (!payload.employeesID || !payload.iat) return false;
+    const revokedBefore = await cached(`emp:${payload.employeesID}`, async () => {
+      const [rows] = await pool.execute(
+        'SELECT revoked_before FROM auth_revocations WHERE employeesID = ? LIMIT 1',
+        [payload.employeesID]
+      );
+      return rows.length ? new Date(rows[0].revoked_before).getTime() : null;
+    });
+    return revokedBefore !== null && payload.iat * 1000 <= revokedBefore;
+  };
+
+  return {
+    createSession,
+    refresh,
+    revokeSession,
+    revokeByRefreshToken,
+    revokeAllForEmployee,
+    listSessions,
+    isRevoked,
+    parseRefreshToken,
+  };
+};
@@ -0,0 +1,83 @@
+// Survey submission: the survey_submissions row, the Responses_Sentiment rows,
+// the legacy is_filled flag and removal of the draft happen in one transaction.
+// An employee can submit a form once per cycle. Retrying with the same
+// idempotency key returns the original submission instead of an error.
+const submissionError = (status, message, extra) => Object.assign(new Error(message), { status }, extra);
+
+const MAX_KEY_LENGTH = 100;
+
+module.exports = (pool, TABLE_NAME) => {
+  const findSubmission = async (db, where, params) => {
+    const [rows] = await db.execute(`SELECT * FROM survey_submissions WHERE ${where} LIMIT 1`, params);
+    return rows[0] || null;
+  };
+
+  // Earlier submission that answers this request, or a 409 when the employee
+  // already submitted the form in this cycle under a different key
+  const resolveExisting = async (db, { employeeId, formId, cycleId, idempotencyKey }) => {
+    if (idempotencyKey) {
+      const byKey = await findSubmission(db, 'employeesID = ? AND idempotency_key = ?', [employeeId, idempotencyKey]);
+      if (byKey) {
+        if (Number(byKey.form_id) !== Number(formId) || Number(byKey.cycle_id) !== Number(cycleId)) {
+          throw submissionError(422, 'Idempotency-Key was already used for a different submission');
+        }
+        return byKey;
+      }
+    }
+    const byForm = await findSubmission(db, 'employeesID = ? AND form_id = ? AND cycle_id = ?', [employeeId, formId, cycleId]);
+    if (byForm) {
+      throw submissionError(409, 'You have already submitted this survey', { submissionId: byForm.submission_id });
+    }
+    return null;
+  };
+
+  // Returns { submissionId, answerCount, replayed }
+  const submit = async ({ employeeId, formId, cycleId, answers, idempotencyKey }) => {
+    const key = idempotencyKey ? String(idempotencyKey).trim() : null;
+    if (key && key.length > MAX_KEY_LENGTH) {
+      throw submissionError(400, `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`);
+    }
+    const request = { employeeId, formId, cycleId, idempotencyKey: key };
+
+    const existing = await resolveExisting(pool, request);
+    if (existing) {
+      return { submissionId: existing.submission_id, answerCount: existing.answer_count, replayed: true };
+    }
+
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      // The unique keys on survey_submissions serialise concurrent submissions
+      const [result] = await connection.execute(
+        'INSERT INTO survey_submissions (employeesID, form_id, cycle_id, idempotency_key, answer_count) VALUES (?, ?, ?, ?, ?)',
+        [employeeId, formId, cycleId, key, answers.length]
+      );
+      for (const a of answers) {
+        await connection.execute(
+          'INSERT INTO Responses_Sentiment (employeesID, form_id, form_question_id, answer_text, answer_choice, cycle_id) VALUES (?, ?, ?, ?, ?, ?)',
+          [employeeId, formId, a.form_question_id, a.answer_text || null, a.answer_choice || null, cycleId]
+        );
+      }
+      await connection.execute(`UPDATE ${TABLE_NAME} SET is_filled = 1 WHERE employeesID = ?`, [employeeId]);
+      // The draft has been promoted into Responses_Sentiment
+      await connection.execute(
+        'DELETE FROM survey_drafts WHERE employeesID = ? AND form_id = ? AND cycle_id = ?',
+        [employeeId, formId, cycleId]
+      );
+      await connection.commit();
+      return { submissionId: result.insertId, answerCount: answers.length, replayed: false };
+    } catch (err) {
+      await connection.rollback();
+      if (err.code === 'ER_DUP_ENTRY') {
+        // Lost a race with a concurrent request; answer as if it had come first
+        const winner = await resolveExisting(pool, request);
+        if (winner) return { submissionId: winner.submission_id, answerCount: winner.answer_count, replayed: true };
+      }
+      throw err;
+    } finally {
+      connection.release();
+    }
+  };
+
+  return { submit };
+};
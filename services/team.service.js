@@ -0,0 +1,72 @@
+// Manager dashboard: survey completion and sentiment of a manager's reports,
+// either the direct ones or all of them (direct and indirect) following
+// employees.manager_id.
+// Only aggregates are returned, never who answered what, and a group smaller
+// than the company's minimum group size is suppressed (anonymity service).
+// The direct view is also suppressed when the indirect reports alone are a
+// non-empty group below the minimum, since all minus direct would expose them.
+const { average, topFactors } = require('./org.service');
+
+const teamError = (status, message) => Object.assign(new Error(message), { status });
+
+const SCOPES = ['direct', 'all'];
+
+const toNumber = (value) => {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+module.exports = (pool, TABLE_NAME, { cycles, aiReports, org, anonymity }) => {
+  // employeesIDs of the manager's reports for a scope, and the indirect ones
+  const teamOf = async (companyId, managerId, scope = 'all') => {
+    if (!SCOPES.includes(scope)) throw teamError(400, `scope must be one of: ${SCOPES.join(', ')}`);
+    const reports = await org.reportsOf(companyId, managerId);
+    const direct = new Set(reports.direct);
+    return { team: new Set(reports[scope]), indirect: new Set(reports.all.filter(id => !direct.has(id))) };
+  };
+
+  // rows: per-employee rows of the whole company; data is built from the scope's rows
+  const guarded = async (companyId, scope, { team, indirect }, rows, build) => {
+    const guard = await anonymity.guardFor(companyId);
+    const members = rows.filter(r => team.has(r.employeesID));
+    const indirectCount = rows.filter(r => indirect.has(r.employeesID)).length;
+    if (scope === 'direct' && indirectCount > 0 && guard.isTooSmall(indirectCount)) return guard.marker();
+    return guard.apply(members.length, build(members));
+  };
+
+  const getOverview = async (companyId, managerId) => {
+    const reports = await org.reportsOf(companyId, managerId);
+    return {
+      directReports: reports.direct.length,
+      allReports: reports.all.length,
+      minGroupSize: (await anonymity.guardFor(companyId)).minGroupSize,
+    };
+  };
+
+  // How many of the team are counted for the cycle and how many responded
+  const getCompletion = async (companyId, managerId, cycleId, { scope = 'all' } = {}) => {
+    const groups = await teamOf(companyId, managerId, scope);
+    return guarded(companyId, scope, groups, await cycles.getCompletion(companyId, cycleId), (members) => {
+      const filled = members.filter(r => r.is_filled).length;
+      return {
+        total: members.length,
+        filled,
+        completionRate: members.length ? Math.round((filled / members.length) * 1000) / 10 : null,
+      };
+    });
+  };
+
+  // Average sentiment of the team's individual reports and their most frequent attrition factors
+  const getSentiment = async (companyId, managerId, cycleId, { scope = 'all' } = {}) => {
+    const groups = await teamOf(companyId, managerId, scope);
+    return guarded(companyId, scope, groups, await aiReports.getEmployeeReports(companyId, cycleId), (reports) => ({
+      respondents: reports.length,
+      positive: average(reports.map(r => toNumber(r.positive_sentiment))),
+      neutral: average(reports.map(r => toNumber(r.neutral_sentiment))),
+      negative: average(reports.map(r => toNumber(r.negative_sentiment))),
+      topAttritionFactors: topFactors(reports),
+    }));
+  };
+
+  return { getOverview, getCompletion, getSentiment };
+};
@@ -0,0 +1,319 @@
+// Trend analytics across survey cycles.
+// Each cycle contributes one point: its latest company report from
+// company_reports_sentiment and the answer distributions from Responses_Sentiment.
+// Questions are matched across cycles by master_question_id so that the same
+// question stays comparable when it moves between forms.
+// Cycles and question distributions with fewer respondents than the company's
+// minimum group size are suppressed (anonymity service).
+const trendError = (status, message) => Object.assign(new Error(message), { status });
+
+const SENTIMENT_FIELDS = ['positive_sentiment', 'neutral_sentiment', 'negative_sentiment'];
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// Attrition factors are free text from the AI; compare them case/space-insensitively
+const factorKey = (factor) => String(factor).trim().replace(/\s+/g, ' ').toLowerCase();
+
+const cycleInfo = (c) => ({ cycleId: c.cycle_id, name: c.name, opensAt: c.opens_at, closesAt: c.closes_at });
+
+module.exports = (pool, { anonymity }) => {
+  // Opened cycles of a company, oldest first; limit keeps only the most recent N
+  const getCycles = async (companyId, limit) => {
+    const [rows] = await pool.execute(
+      `SELECT cycle_id, name, opens_at, closes_at FROM survey_cycles
+       WHERE company_id = ? AND opens_at <= NOW()
+       ORDER BY opens_at, cycle_id`,
+      [companyId]
+    );
+    const n = parseInt(limit, 10);
+    return n > 0 ? rows.slice(-n) : rows;
+  };
+
+  // Latest company report per cycle, keyed by cycle_id
+  const getCompanyReports = async (companyId) => {
+    const [rows] = await pool.execute(
+      `SELECT * FROM company_reports_sentiment
+       WHERE company_id = ? AND cycle_id IS NOT NULL AND COALESCE(is_filled, 0) = 1
+       ORDER BY created_at DESC`,
+      [companyId]
+    );
+    const latest = new Map();
+    rows.forEach(r => { if (!latest.has(r.cycle_id)) latest.set(r.cycle_id, r); });
+    return latest;
+  };
+
+  // Number of employees who responded, keyed by cycle_id
+  const getRespondents = async (companyId) => {
+    const [rows] = await pool.execute(
+      `SELECT rs.cycle_id, COUNT(DISTINCT rs.employeesID) AS respondents FROM Responses_Sentiment rs
+       JOIN survey_cycles sc ON sc.cycle_id = rs.cycle_id WHERE sc.company_id = ?
+       GROUP BY rs.cycle_id`,
+      [companyId]
+    );
+    return new Map(rows.map(r => [r.cycle_id, Number(r.respondents)]));
+  };
+
+  const reportFactors = (report) => [1, 2, 3]
+    .map(i => ({ rank: i, factor: report[`attrition_factor_${i}`], problem: report[`attrition_problem_${i}`] }))
+    .filter(f => f.factor);
+
+  // Company sentiment time series plus the history of each attrition factor
+  const getSentimentSeries = async (companyId, { limit } = {}) => {
+    const cycles = await getCycles(companyId, limit);
+    const reports = await getCompanyReports(companyId);
+    const respondents = await getRespondents(companyId);
+    const guard = await anonymity.guardFor(companyId);
+
+    const points = [];
+    const factors = new Map();
+    cycles.forEach(c => {
+      const report = reports.get(c.cycle_id);
+      if (!report) return;
+      if (guard.isTooSmall(respondents.get(c.cycle_id) || 0)) {
+        points.push({ ...cycleInfo(c), ...guard.marker() });
+        return;
+      }
+      const point = { ...cycleInfo(c), suppressed: false, reportCreatedAt: report.created_at };
+      SENTIMENT_FIELDS.forEach(f => { point[f] = report[f] === null ? null : Number(report[f]); });
+      point.attritionFactors = reportFactors(report);
+      points.push(point);
+
+      point.attritionFactors.forEach(f => {
+        const key = factorKey(f.factor);
+        if (!factors.has(key)) factors.set(key, { factor: f.factor, appearances: [] });
+        factors.get(key).appearances.push({ cycleId: c.cycle_id, rank: f.rank });
+      });
+    });
+
+    const attritionFactors = [...factors.values()]
+      .sort((a, b) => b.appearances.length - a.appearances.length || a.factor.localeCompare(b.factor));
+    return { points, attritionFactors };
+  };
+
+  // Answer counts per question and cycle. Choice answers and numeric ratings are
+  // counted by value; other free-text answers are only counted. Each row also
+  // carries the number of distinct employees who answered the question in the cycle.
+  const getAnswerCounts = async (companyId, cycleIds, masterQuestionId) => {
+    if (!cycleIds.length) return [];
+    const params = [companyId, ...cycleIds];
+    let questionFilter = '';
+    if (masterQuestionId) {
+      questionFilter = 'AND mq.master_question_id = ?';
+      params.push(masterQuestionId);
+    }
+    const [rows] = await pool.execute(
+      `SELECT rs.cycle_id, mq.master_question_id, mq.question_number, mq.question_type,
+         MAX(fq.question_text) AS question_text,
+         CASE
+           WHEN rs.answer_choice IS NOT NULL AND rs.answer_choice != '' THEN rs.answer_choice
+           WHEN TRIM(rs.answer_text) REGEXP '^-?[0-9]+(\\\\.[0-9]+)?$' THEN TRIM(rs.answer_text)
+           ELSE NULL
+         END AS answer_value,
+         COUNT(*) AS cnt
+       FROM Responses_Sentiment rs
+       JOIN survey_cycles sc ON sc.cycle_id = rs.cycle_id
+       JOIN FormQuestions_Sentiment fq ON rs.form_question_id = fq.form_question_id
+       JOIN MasterQuestions_Sentiment mq ON fq.master_question_id = mq.master_question_id
+       WHERE sc.company_id = ? AND rs.cycle_id IN (${cycleIds.map(() => '?').join(',')}) ${questionFilter}
+       GROUP BY rs.cycle_id, mq.master_question_id, mq.question_number, mq.question_type, answer_value
+       ORDER BY mq.question_number, rs.cycle_id`,
+      params
+    );
+    const [respondents] = await pool.execute(
+      `SELECT rs.cycle_id, mq.master_question_id, COUNT(DISTINCT rs.employeesID) AS respondents
+       FROM Responses_Sentiment rs
+       JOIN survey_cycles sc ON sc.cycle_id = rs.cycle_id
+       JOIN FormQuestions_Sentiment fq ON rs.form_question_id = fq.form_question_id
+       JOIN MasterQuestions_Sentiment mq ON fq.master_question_id = mq.master_question_id
+       WHERE sc.company_id = ? AND rs.cycle_id IN (${cycleIds.map(() => '?').join(',')}) ${questionFilter}
+       GROUP BY rs.cycle_id, mq.master_question_id`,
+      params
+    );
+    const byQuestion = new Map(respondents.map(r => [`${r.cycle_id}:${r.master_question_id}`, Number(r.respondents)]));
+    return rows.map(r => ({ ...r, respondents: byQuestion.get(`${r.cycle_id}:${r.master_question_id}`) || 0 }));
+  };
+
+  // Map of master_question_id -> question with a Map of cycle_id -> distribution
+  const buildDistributions = (rows) => {
+    const questions = new Map();
+    rows.forEach(r => {
+      if (!questions.has(r.master_question_id)) {
+        questions.set(r.master_question_id, {
+          masterQuestionId: r.master_question_id,
+          questionNumber: r.question_number,
+          questionType: r.question_type,
+          questionText: r.question_text,
+          cycles: new Map(),
+        });
+      }
+      const q = questions.get(r.master_question_id);
+      if (!q.cycles.has(r.cycle_id)) {
+        q.cycles.set(r.cycle_id, { cycleId: r.cycle_id, respondents: r.respondents, total: 0, freeText: 0, counts: new Map() });
+      }
+      const dist = q.cycles.get(r.cycle_id);
+      const count = Number(r.cnt);
+      dist.total += count;
+      if (r.answer_value === null) {
+        dist.freeText += count;
+      } else {
+        const value = String(r.answer_value);
+        dist.counts.set(value, (dist.counts.get(value) || 0) + count);
+      }
+    });
+    return questions;
+  };
+
+  // Share of each value among the counted (non free-text) answers, in percent
+  const shares = (dist) => {
+    const counted = dist.total - dist.freeText;
+    const result = new Map();
+    dist.counts.forEach((count, value) => result.set(value, counted ? (count / counted) * 100 : 0));
+    return result;
+  };
+
+  // Distributions with fewer respondents than the minimum group size are suppressed
+  const serializeDistribution = (dist, guard) => {
+    const s = shares(dist);
+    return {
+      cycleId: dist.cycleId,
+      ...guard.apply(dist.respondents, {
+        total: dist.total,
+        freeText: dist.freeText,
+        distribution: [...dist.counts.entries()]
+          .sort((a, b) => a[0].localeCompare(b[0], undefined, { numeric: true }))
+          .map(([value, count]) => ({ value, count, share: round1(s.get(value)) })),
+      }),
+    };
+  };
+
+  // Per-question answer distributions for each cycle
+  const getQuestionTrends = async (companyId, { limit, masterQuestionId } = {}) => {
+    const cycles = await getCycles(companyId, limit);
+    const rows = await getAnswerCounts(companyId, cycles.map(c => c.cycle_id), masterQuestionId);
+    const questions = buildDistributions(rows);
+    const guard = await anonymity.guardFor(companyId);
+    return {
+      cycles: cycles.map(cycleInfo),
+      minGroupSize: guard.minGroupSize,
+      questions: [...questions.values()].map(q => ({
+        ...q,
+        cycles: cycles.filter(c => q.cycles.has(c.cycle_id)).map(c => serializeDistribution(q.cycles.get(c.cycle_id), guard)),
+      })),
+    };
+  };
+
+  // Compare two cycles (default: the two most recent with responses or a report)
+  // and rank what changed the most.
+  const getMovers = async (companyId, { fromCycleId, toCycleId, top } = {}) => {
+    const cycles = await getCycles(companyId);
+    const reports = await getCompanyReports(companyId);
+    const [responded] = await pool.execute(
+      `SELECT DISTINCT rs.cycle_id FROM Responses_Sentiment rs
+       JOIN survey_cycles sc ON sc.cycle_id = rs.cycle_id WHERE sc.company_id = ?`,
+      [companyId]
+    );
+    const respondedIds = new Set(responded.map(r => r.cycle_id));
+    const withData = cycles.filter(c => reports.has(c.cycle_id) || respondedIds.has(c.cycle_id));
+
+    const findCycle = (id) => {
+      const cycle = cycles.find(c => c.cycle_id === Number(id));
+      if (!cycle) throw trendError(404, `Survey cycle ${id} not found`);
+      return cycle;
+    };
+    let to = toCycleId ? findCycle(toCycleId) : withData[withData.length - 1];
+    let from;
+    if (fromCycleId) {
+      from = findCycle(fromCycleId);
+    } else if (to) {
+      const earlier = withData.filter(c => cycles.indexOf(c) < cycles.indexOf(to));
+      from = earlier[earlier.length - 1];
+    }
+    if (!to || !from) throw trendError(409, 'At least two survey cycles with data are needed to compare');
+    if (from.cycle_id === to.cycle_id) throw trendError(400, 'fromCycleId and toCycleId must differ');
+
+    // Company sentiment deltas, only when both cycles have enough respondents
+    const guard = await anonymity.guardFor(companyId);
+    const respondents = await getRespondents(companyId);
+    const fromReport = reports.get(from.cycle_id);
+    const toReport = reports.get(to.cycle_id);
+    let sentiment = null;
+    let attritionFactors = null;
+    if (fromReport && toReport && [from, to].some(c => guard.isTooSmall(respondents.get(c.cycle_id) || 0))) {
+      sentiment = guard.marker();
+      attritionFactors = guard.marker();
+    } else if (fromReport && toReport) {
+      sentiment = {};
+      SENTIMENT_FIELDS.forEach(f => {
+        const a = fromReport[f] === null ? null : Number(fromReport[f]);
+        const b = toReport[f] === null ? null : Number(toReport[f]);
+        sentiment[f] = { from: a, to: b, delta: a === null || b === null ? null : round1(b - a) };
+      });
+
+      const before = new Map(reportFactors(fromReport).map(f => [factorKey(f.factor), f]));
+      const after = new Map(reportFactors(toReport).map(f => [factorKey(f.factor), f]));
+      attritionFactors = { new: [], resolved: [], persisting: [] };
+      after.forEach((f, key) => {
+        if (!before.has(key)) attritionFactors.new.push({ factor: f.factor, rank: f.rank });
+        else attritionFactors.persisting.push({ factor: f.factor, fromRank: before.get(key).rank, toRank: f.rank });
+      });
+      before.forEach((f, key) => {
+        if (!after.has(key)) attritionFactors.resolved.push({ factor: f.factor, rank: f.rank });
+      });
+    }
+
+    // Largest change in answer share per question
+    const questions = buildDistributions(await getAnswerCounts(companyId, [from.cycle_id, to.cycle_id]));
+    const questionMovers = [];
+    let suppressedQuestions = 0;
+    questions.forEach(q => {
+      const a = q.cycles.get(from.cycle_id);
+      const b = q.cycles.get(to.cycle_id);
+      if (!a || !b) return;
+      if (guard.isTooSmall(a.respondents) || guard.isTooSmall(b.respondents)) {
+        suppressedQuestions++;
+        return;
+      }
+      const sa = shares(a);
+      const sb = shares(b);
+      let best = null;
+      new Set([...sa.keys(), ...sb.keys()]).forEach(value => {
+        const delta = (sb.get(value) || 0) - (sa.get(value) || 0);
+        if (!best || Math.abs(delta) > Math.abs(best.delta)) best = { value, delta };
+      });
+      if (!best || best.delta === 0) return;
+      questionMovers.push({
+        masterQuestionId: q.masterQuestionId,
+        questionNumber: q.questionNumber,
+        questionText: q.questionText,
+        value: best.value,
+        fromShare: round1(sa.get(best.value) || 0),
+        toShare: round1(sb.get(best.value) || 0),
+        delta: round1(best.delta),
+      });
+    });
+    const n = parseInt(top, 10) > 0 ? parseInt(top, 10) : 5;
+    questionMovers.sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta));
+
+    // One ranked list over sentiment metrics and questions (both in percentage points)
+    const summary = [
+      ...(sentiment && !sentiment.suppressed ? SENTIMENT_FIELDS
+        .filter(f => sentiment[f].delta)
+        .map(f => ({ type: 'sentiment', label: f, from: sentiment[f].from, to: sentiment[f].to, delta: sentiment[f].delta })) : []),
+      ...questionMovers.map(m => ({ type: 'question', label: `${m.questionText}: ${m.value}`, from: m.fromShare, to: m.toShare, delta: m.delta })),
+    ].sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta)).slice(0, n);
+
+    return {
+      from: cycleInfo(from),
+      to: cycleInfo(to),
+      sentiment,
+      attritionFactors,
+      questions: questionMovers.slice(0, n),
+      // questions left out because one of the cycles had too few respondents
+      suppressedQuestions,
+      minGroupSize: guard.minGroupSize,
+      summary,
+    };
+  };
+
+  return { getSentimentSeries, getQuestionTrends, getMovers };
+};